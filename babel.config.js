@@ -0,0 +1,10 @@
+// Jest runs the ES module sources through Babel. The webpack build sets its
+// own presets in webpack.config.js, so this only applies under test.
+// noInterop keeps `import * as moment` callable, as it is under webpack.
+module.exports = {
+  env: {
+    test: {
+      plugins: [['@babel/plugin-transform-modules-commonjs', { noInterop: true }]]
+    }
+  }
+};
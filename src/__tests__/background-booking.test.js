@@ -0,0 +1,161 @@
+import { resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+// Thursday 3 PM in New York over Zoom
+const booking = {
+  date: '2026-10-22',
+  time: '15:00',
+  timezone: 'America/New_York',
+  duration: 30,
+  platform: 'zoom',
+  email: 'ana@example.com',
+  message: 'Here is the link: [Meeting Link]',
+  context: { threadId: 'thread-1', participantInfo: { name: 'Ana Lima' } }
+};
+
+let background;
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  background = new BackgroundService();
+
+  jest.spyOn(background.meetingPlatform, 'createMeeting').mockResolvedValue({
+    ok: true,
+    link: 'https://zoom.us/j/123',
+    meetingId: 'zoom-1'
+  });
+  jest.spyOn(background.meetingPlatform, 'deleteMeeting').mockResolvedValue(true);
+  jest.spyOn(background.calendarService, 'createEvent').mockResolvedValue({ id: 'event-1', calendarId: 'primary' });
+  jest.spyOn(background.calendarService, 'deleteEvent').mockResolvedValue(true);
+  jest.spyOn(background, 'sendLinkedInMessage').mockResolvedValue({ success: true, sent: false });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('bookMeeting', () => {
+  test('creates the link and event, records the meeting and places the message', async () => {
+    const response = await background.bookMeeting(booking);
+
+    expect(response).toMatchObject({ success: true, status: 'completed', meetingLink: 'https://zoom.us/j/123' });
+    expect(background.sendLinkedInMessage).toHaveBeenCalledWith(
+      booking.context,
+      'Here is the link: https://zoom.us/j/123',
+      { allowAutoSend: true }
+    );
+    expect(await background.storage.getMeetingById(response.meetingId)).toMatchObject({
+      status: 'drafted',
+      calendarEventId: 'event-1',
+      platformMeetingId: 'zoom-1'
+    });
+  });
+
+  test('a calendar event that is refused takes the video link with it', async () => {
+    background.calendarService.createEvent.mockRejectedValueOnce(
+      Object.assign(new Error('Invalid attendee email'), { status: 400 })
+    );
+
+    const response = await background.bookMeeting(booking);
+
+    expect(response).toMatchObject({ success: false, status: 'rolledBack', error: 'Meeting was not created: Invalid attendee email' });
+    expect(background.meetingPlatform.deleteMeeting).toHaveBeenCalledWith('zoom', 'zoom-1');
+    expect(background.sendLinkedInMessage).not.toHaveBeenCalled();
+    expect(await background.storage.getMeetingHistory()).toEqual([]);
+  });
+
+  test('a message that can\'t be placed leaves the meeting to retry or roll back', async () => {
+    background.sendLinkedInMessage.mockResolvedValueOnce({ success: false, error: 'The conversation is not open' });
+
+    const response = await background.bookMeeting(booking);
+
+    expect(response).toMatchObject({ success: false, status: 'failed', resumable: true, error: 'The conversation is not open' });
+    expect(background.calendarService.deleteEvent).not.toHaveBeenCalled();
+
+    const rolledBack = await new Promise(resolve => background.rollbackMeeting({ sagaId: response.sagaId }, resolve));
+
+    expect(rolledBack).toMatchObject({ success: true, status: 'rolledBack' });
+    expect(background.calendarService.deleteEvent).toHaveBeenCalledWith('event-1', 'primary');
+    expect(background.meetingPlatform.deleteMeeting).toHaveBeenCalledWith('zoom', 'zoom-1');
+    expect((await background.storage.getMeetingById(response.meetingId)).status).toBe('cancelled');
+  });
+
+  test('retrying a paused meeting only places the message again', async () => {
+    background.sendLinkedInMessage.mockResolvedValueOnce({ success: false, error: 'The conversation is not open' });
+    const paused = await background.bookMeeting(booking);
+
+    const retried = await new Promise(resolve => background.retryMeeting({ sagaId: paused.sagaId }, resolve));
+
+    expect(retried).toMatchObject({ success: true, meetingId: paused.meetingId });
+    expect(background.meetingPlatform.createMeeting).toHaveBeenCalledTimes(1);
+    expect(background.calendarService.createEvent).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('retrying a booking', () => {
+  test('a calendar that is down queues the meeting, and the queue finishes it', async () => {
+    background.calendarService.createEvent.mockRejectedValueOnce(
+      Object.assign(new Error('Service unavailable'), { status: 503 })
+    );
+
+    const response = await background.bookMeeting(booking);
+
+    expect(response).toMatchObject({ success: false, queued: true, operationId: expect.any(String) });
+    expect(background.meetingPlatform.deleteMeeting).not.toHaveBeenCalled();
+
+    await background.processRetryQueue(Date.now() + 60000);
+
+    expect(await background.storage.getPendingOperations()).toEqual([]);
+    expect(background.meetingPlatform.createMeeting).toHaveBeenCalledTimes(1);
+    // Nobody is watching, so the retried message is only left as a draft
+    expect(background.sendLinkedInMessage).toHaveBeenCalledWith(booking.context, expect.any(String), { allowAutoSend: false });
+  });
+
+  test('rolling back a queued meeting takes it off the queue', async () => {
+    background.calendarService.createEvent.mockRejectedValueOnce(
+      Object.assign(new Error('Service unavailable'), { status: 503 })
+    );
+    const queued = await background.bookMeeting(booking);
+
+    await new Promise(resolve => background.rollbackMeeting({ sagaId: queued.sagaId }, resolve));
+
+    expect(await background.storage.getPendingOperations()).toEqual([]);
+    expect(background.meetingPlatform.deleteMeeting).toHaveBeenCalledWith('zoom', 'zoom-1');
+  });
+});
+
+describe('a link that can\'t be made', () => {
+  test('stops the booking and says why, with no made-up link', async () => {
+    background.meetingPlatform.createMeeting.mockResolvedValueOnce({
+      ok: false,
+      platform: 'zoom',
+      reason: 'auth',
+      status: 401,
+      error: 'Failed to create Zoom meeting (HTTP 401)'
+    });
+
+    const response = await background.bookMeeting(booking);
+
+    expect(response).toMatchObject({
+      success: false,
+      status: 'rolledBack',
+      meetingLink: undefined,
+      linkFailure: { platform: 'zoom', reason: 'auth', error: 'Failed to create Zoom meeting (HTTP 401)' }
+    });
+    expect(background.calendarService.createEvent).not.toHaveBeenCalled();
+    expect(background.sendLinkedInMessage).not.toHaveBeenCalled();
+  });
+
+  test('the user can go ahead without a link', async () => {
+    const response = await background.bookMeeting({
+      ...booking,
+      withoutLink: true,
+      message: 'See you Thursday!\nHere is the link: [Meeting Link]'
+    });
+
+    expect(response.success).toBe(true);
+    expect(background.meetingPlatform.createMeeting).not.toHaveBeenCalled();
+    expect(background.sendLinkedInMessage).toHaveBeenCalledWith(booking.context, 'See you Thursday!', { allowAutoSend: true });
+  });
+});
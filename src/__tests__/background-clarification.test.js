@@ -0,0 +1,64 @@
+import '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+let background;
+
+beforeEach(() => {
+  background = new BackgroundService();
+});
+
+describe('validateMeetingData', () => {
+  test('asks for the email, then the day and time', () => {
+    expect(background.validateMeetingData({}, {})).toEqual({ isValid: false, missing: ['email', 'date', 'time'] });
+  });
+
+  test('takes the email from the LinkedIn profile', () => {
+    const context = { participantInfo: { email: 'ana@example.com' } };
+    expect(background.validateMeetingData({ date: '2026-10-22', time: '15:00' }, context)).toEqual({ isValid: true, missing: [] });
+  });
+
+  test('proposals and windows don\'t need a day or time', () => {
+    expect(background.validateMeetingData({ email: 'ana@example.com', mode: 'propose' }, {}).isValid).toBe(true);
+    expect(background.validateMeetingData({ email: 'ana@example.com', window: { from: '2026-10-26' } }, {}).isValid).toBe(true);
+  });
+
+  test('asks for each group member without an address', () => {
+    const attendees = [
+      { name: 'Ana', email: 'ana@example.com' },
+      { name: 'Ben', email: null },
+      { name: 'Cy', email: null, skipped: true }
+    ];
+
+    expect(background.validateMeetingData({ attendees, date: '2026-10-22', time: '15:00' }, {}).missing).toEqual(['email:1']);
+  });
+});
+
+describe('clarification questions and answers', () => {
+  test('asks about the first missing field', () => {
+    expect(background.buildClarificationQuestion(['email', 'date'], {}, { participantInfo: { name: 'Ana' } }))
+      .toBe("What's Ana's email address?");
+    expect(background.buildClarificationQuestion(['date'], { time: '15:00' }, {}))
+      .toBe('Which day should the 15:00 meeting be on?');
+  });
+
+  test('an answer about a group member goes on that attendee', () => {
+    const session = {
+      missing: ['email:1'],
+      partialData: {
+        date: '2026-10-22',
+        attendees: [{ name: 'Ana', email: 'ana@example.com' }, { name: 'Ben', email: null }]
+      }
+    };
+
+    expect(background.applyClarificationAnswers(session, { email: 'ben@example.com' }).attendees[1])
+      .toEqual({ name: 'Ben', email: 'ben@example.com', skipped: false });
+    expect(background.applyClarificationAnswers(session, { skipped: true }).attendees[1])
+      .toEqual({ name: 'Ben', email: null, skipped: true });
+  });
+
+  test('sessions are per LinkedIn tab', () => {
+    expect(background.getSessionTabId({}, { tab: { id: 7 } })).toBe('7');
+    expect(background.getSessionTabId({ tabId: 3 }, { tab: { id: 7 } })).toBe('3');
+    expect(background.getSessionTabId({}, {})).toBe('default');
+  });
+});
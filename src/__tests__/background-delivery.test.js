@@ -0,0 +1,60 @@
+import { fakeChrome, resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+const tabs = [
+  { id: 1, url: 'https://www.linkedin.com/messaging/thread/other/' },
+  { id: 2, url: 'https://www.linkedin.com/messaging/thread/thread-1/' },
+  { id: 3, url: 'https://www.linkedin.com/messaging/thread/thread-1/?filter=unread' }
+];
+
+let background;
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(fakeChrome.tabs, 'query').mockResolvedValue(tabs);
+  jest.spyOn(fakeChrome.tabs, 'sendMessage').mockResolvedValue({ success: true, sent: false });
+  background = new BackgroundService();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendLinkedInMessage', () => {
+  test('goes to the tab the meeting was planned in first', async () => {
+    await background.sendLinkedInMessage({ threadId: 'thread-1', tabId: 3 }, 'Hello');
+
+    expect(fakeChrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+    expect(fakeChrome.tabs.sendMessage).toHaveBeenCalledWith(3, {
+      action: 'sendMessage',
+      message: 'Hello',
+      threadId: 'thread-1',
+      autoSend: false
+    });
+  });
+
+  test('falls back to other tabs on the same thread only', async () => {
+    fakeChrome.tabs.sendMessage.mockResolvedValueOnce({ success: false, refused: true, error: 'Not this thread' });
+
+    const delivery = await background.sendLinkedInMessage({ threadId: 'thread-1', tabId: 1 }, 'Hello');
+
+    expect(delivery).toEqual({ success: true, sent: false });
+    expect(fakeChrome.tabs.sendMessage.mock.calls.map(([tabId]) => tabId)).toEqual([1, 2]);
+  });
+
+  test('never sends without a thread to send to', async () => {
+    const delivery = await background.sendLinkedInMessage({ tabId: 2 }, 'Hello');
+
+    expect(delivery).toMatchObject({ success: false, refused: true });
+    expect(fakeChrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('background retries only ever leave a draft', async () => {
+    await background.storage.saveSettings({ autoSendMessages: true });
+
+    await background.sendLinkedInMessage({ threadId: 'thread-1', tabId: 2 }, 'Hello', { allowAutoSend: false });
+
+    expect(fakeChrome.tabs.sendMessage.mock.calls[0][1].autoSend).toBe(false);
+  });
+});
@@ -0,0 +1,47 @@
+import '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+// A thread with Ana, Ben (no address found) and Cy, on Thursday 3 PM in New York
+const group = {
+  date: '2026-10-22',
+  time: '15:00',
+  timezone: 'America/New_York',
+  duration: 30,
+  calendarId: 'primary',
+  attendees: [
+    { name: 'Ana Lima', email: 'Ana@Example.com' },
+    { name: 'Ben Okafor', email: null, skipped: true },
+    { name: 'Cy Park', email: 'cy@example.com' }
+  ],
+  context: { participantInfo: { name: 'Ana Lima' } }
+};
+
+let background;
+
+beforeEach(() => {
+  background = new BackgroundService();
+});
+
+describe('group meetings', () => {
+  test('are named after everyone in the thread', () => {
+    expect(background.getParticipantName(group)).toBe('Ana Lima, Ben Okafor and Cy Park');
+    expect(background.getParticipantName({ context: { participantInfo: { name: 'Ana Lima' } } })).toBe('Ana Lima');
+    expect(background.getParticipantName({})).toBe('Contact');
+  });
+
+  test('invite each member with an address once', () => {
+    expect(background.getInviteeEmails(group)).toEqual(['ana@example.com', 'cy@example.com']);
+    expect(background.getInviteeEmails({
+      attendees: [{ name: 'Ana', email: 'ana@example.com' }, { name: 'Ana L.', email: 'ANA@example.com' }]
+    })).toEqual(['ana@example.com']);
+    expect(background.getInviteeEmails({ email: 'ana@example.com' })).toEqual(['ana@example.com']);
+    expect(background.getInviteeEmails({})).toEqual([]);
+  });
+
+  test('put every invitee on the calendar event', () => {
+    const event = background.buildMeetingEventDetails(group, { meetingLink: 'https://zoom.us/j/123' });
+
+    expect(event.attendees).toEqual([{ email: 'ana@example.com' }, { email: 'cy@example.com' }]);
+    expect(event.summary).toBe('Meeting with Ana Lima, Ben Okafor and Cy Park');
+  });
+});
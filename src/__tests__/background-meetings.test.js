@@ -0,0 +1,113 @@
+import { resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+// Thursday 2026-10-22, 3 PM in New York
+const meetingRecord = {
+  status: 'sent',
+  participantName: 'Ana Lima',
+  date: '2026-10-22',
+  time: '15:00',
+  timezone: 'America/New_York',
+  startTime: '2026-10-22T19:00:00.000Z',
+  duration: 30,
+  platform: 'zoom',
+  platformMeetingId: 'zoom-1',
+  calendarEventId: 'event-1',
+  calendarId: 'primary'
+};
+
+let background;
+
+const call = (method, request) => new Promise(resolve => background[method](request, resolve));
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  background = new BackgroundService();
+  jest.spyOn(background.calendarService, 'updateEvent').mockResolvedValue({});
+  jest.spyOn(background.calendarService, 'deleteEvent').mockResolvedValue(true);
+  jest.spyOn(background.meetingPlatform, 'updateMeeting').mockResolvedValue(true);
+  jest.spyOn(background.meetingPlatform, 'deleteMeeting').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rescheduleMeeting', () => {
+  test('moves the event, the link and the history entry', async () => {
+    const meeting = await background.storage.saveMeetingHistory(meetingRecord);
+
+    const response = await call('rescheduleMeeting', { meetingId: meeting.id, date: '2026-10-23', time: '10:00', notify: false });
+
+    expect(response.success).toBe(true);
+    expect(background.meetingPlatform.updateMeeting).toHaveBeenCalledWith('zoom', 'zoom-1', expect.objectContaining({
+      startTime: '2026-10-23T14:00:00.000Z'
+    }));
+    expect(await background.storage.getMeetingById(meeting.id)).toMatchObject({
+      status: 'rescheduled',
+      date: '2026-10-23',
+      time: '10:00'
+    });
+  });
+
+  test('moves the calendar event back when the link can\'t be moved', async () => {
+    const meeting = await background.storage.saveMeetingHistory(meetingRecord);
+    background.meetingPlatform.updateMeeting.mockRejectedValueOnce(new Error('Zoom is unavailable'));
+
+    const response = await call('rescheduleMeeting', { meetingId: meeting.id, date: '2026-10-23', time: '10:00', notify: false });
+
+    expect(response.success).toBe(false);
+    expect(response.error).toBe('Meeting was not rescheduled: Zoom is unavailable');
+
+    const [moved, restored] = background.calendarService.updateEvent.mock.calls;
+    expect(new Date(moved[1].start.dateTime).toISOString()).toBe('2026-10-23T14:00:00.000Z');
+    expect(restored[0]).toBe('event-1');
+    expect(new Date(restored[1].start.dateTime).toISOString()).toBe(meetingRecord.startTime);
+
+    expect(await background.storage.getMeetingById(meeting.id)).toMatchObject({ status: 'sent', date: '2026-10-22' });
+  });
+
+  test('says so when the calendar event can\'t be moved back either', async () => {
+    const meeting = await background.storage.saveMeetingHistory(meetingRecord);
+    background.meetingPlatform.updateMeeting.mockRejectedValueOnce(new Error('Zoom is unavailable'));
+    background.calendarService.updateEvent
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Failed to update event'));
+
+    const response = await call('rescheduleMeeting', { meetingId: meeting.id, date: '2026-10-23', time: '10:00', notify: false });
+
+    expect(response.status).toBe('rollbackFailed');
+    expect(response.error).toMatch(/could not be undone/);
+  });
+});
+
+describe('cancelMeeting', () => {
+  test('removes the event and the link and marks the meeting cancelled', async () => {
+    const meeting = await background.storage.saveMeetingHistory(meetingRecord);
+
+    const response = await call('cancelMeeting', { meetingId: meeting.id, reason: 'Conflict', notify: false });
+
+    expect(response.success).toBe(true);
+    expect(background.calendarService.deleteEvent).toHaveBeenCalledWith('event-1', 'primary');
+    expect(background.meetingPlatform.deleteMeeting).toHaveBeenCalledWith('zoom', 'zoom-1', { occurrenceStart: null });
+    expect(await background.storage.getMeetingById(meeting.id)).toMatchObject({
+      status: 'cancelled',
+      cancellationReason: 'Conflict'
+    });
+  });
+
+  test('restores the event and the status when the link can\'t be revoked', async () => {
+    const meeting = await background.storage.saveMeetingHistory(meetingRecord);
+    background.meetingPlatform.deleteMeeting.mockRejectedValueOnce(new Error('Zoom is unavailable'));
+
+    const response = await call('cancelMeeting', { meetingId: meeting.id, notify: false });
+
+    expect(response).toMatchObject({ success: false, error: 'Meeting was not cancelled: Zoom is unavailable' });
+    expect(background.calendarService.updateEvent).toHaveBeenCalledWith('event-1', { status: 'confirmed' }, 'primary');
+
+    const restored = await background.storage.getMeetingById(meeting.id);
+    expect(restored.status).toBe('sent');
+    expect(restored.statusHistory.map(entry => entry.status)).toEqual(['sent']);
+  });
+});
@@ -0,0 +1,73 @@
+import { fakeChrome, resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+// Thursday 3 PM in New York
+const booking = {
+  date: '2026-10-22',
+  time: '15:00',
+  timezone: 'America/New_York',
+  duration: 30,
+  platform: 'zoom',
+  email: 'ana@example.com',
+  message: 'Here is the link: [Meeting Link]',
+  context: { threadId: 'thread-1', participantInfo: { name: 'Ana Lima' } }
+};
+
+let background;
+
+const preview = details => new Promise(resolve => background.previewMeeting({ details }, resolve));
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  background = new BackgroundService();
+  jest.spyOn(background.meetingPlatform, 'createMeeting');
+  jest.spyOn(background.calendarService, 'createEvent');
+  jest.spyOn(global, 'fetch').mockRejectedValue(new Error('Previews must not call any API'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('previewMeeting', () => {
+  test('shows what would be sent without creating or saving anything', async () => {
+    await fakeChrome.storage.sync.set({ zoomApiKey: 'key', zoomApiSecret: 'secret' });
+    await background.meetingPlatform.loadCredentials();
+
+    const { success, plan } = await preview(booking);
+
+    expect(success).toBe(true);
+    expect(plan.platform).toMatchObject({ name: 'zoom', configured: true, withoutLink: false });
+    expect(plan.platform.request.body).toMatchObject({ start_time: expect.any(String), duration: 30 });
+    expect(plan.attendees).toEqual([{ email: 'ana@example.com' }]);
+    expect(plan.message.text).toBe('Here is the link: <meeting link, created on confirm>');
+    expect(plan.message.tabOpen).toBe(false);
+
+    expect(background.meetingPlatform.createMeeting).not.toHaveBeenCalled();
+    expect(background.calendarService.createEvent).not.toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(await background.storage.getMeetingHistory()).toEqual([]);
+  });
+
+  test('says when the platform is not connected', async () => {
+    const { plan } = await preview(booking);
+
+    expect(plan.platform).toMatchObject({ configured: false, request: null });
+    expect(plan.message.text).toBe('Here is the link: <no link: platform not connected>');
+  });
+
+  test('a Meet link is shown as part of the calendar event', async () => {
+    const { plan } = await preview({ ...booking, platform: 'google-meet' });
+
+    expect(plan.platform.calendarConference).toBe('hangoutsMeet');
+    expect(plan.calendarEvent.body.conferenceData.createRequest.conferenceSolutionKey).toEqual({ type: 'hangoutsMeet' });
+  });
+
+  test('a meeting without a link drops the placeholder line', async () => {
+    const { plan } = await preview({ ...booking, withoutLink: true });
+
+    expect(plan.platform).toMatchObject({ withoutLink: true, request: null });
+    expect(plan.message.text).toBe('');
+  });
+});
@@ -0,0 +1,158 @@
+import { resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+// Thursday 3 PM and Friday 10 AM in New York, offered to someone in London
+const proposalRecord = {
+  status: 'drafted',
+  participantName: 'Ana Lima',
+  email: 'ana@example.com',
+  duration: 30,
+  platform: 'zoom',
+  userTimezone: 'America/New_York',
+  participantTimezone: 'Europe/London',
+  slots: [
+    { start: '2026-10-22T19:00:00.000Z', holdEventId: null },
+    { start: '2026-10-23T14:00:00.000Z', holdEventId: null }
+  ],
+  messageDraft: 'Would either of these work?',
+  context: { threadId: 'thread-1' }
+};
+
+let background;
+
+const call = (method, request) => new Promise(resolve => background[method](request, resolve));
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  background = new BackgroundService();
+
+  let holds = 0;
+  jest.spyOn(background.calendarService, 'createEvent').mockImplementation(async () => ({ id: `hold-${++holds}`, calendarId: 'primary' }));
+  jest.spyOn(background.calendarService, 'deleteEvent').mockResolvedValue(true);
+  jest.spyOn(background, 'sendLinkedInMessage').mockResolvedValue({ success: true, sent: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendProposal', () => {
+  test('holds every slot and sends the options', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+
+    const response = await call('sendProposal', { proposalId: proposal.id });
+
+    expect(response.success).toBe(true);
+    expect(response.proposal.status).toBe('sent');
+    expect(response.proposal.slots.map(slot => slot.holdEventId)).toEqual(['hold-1', 'hold-2']);
+    expect(background.sendLinkedInMessage).toHaveBeenCalledWith(proposalRecord.context, 'Would either of these work?');
+  });
+
+  test('a proposal is only sent once', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+    await call('sendProposal', { proposalId: proposal.id });
+
+    const response = await call('sendProposal', { proposalId: proposal.id });
+
+    expect(response).toEqual({ success: false, error: 'This proposal has already been sent' });
+    expect(background.calendarService.createEvent).toHaveBeenCalledTimes(2);
+  });
+
+  test('releases the holds and stays a draft when the message can\'t be placed', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+    background.sendLinkedInMessage.mockResolvedValueOnce({
+      success: false,
+      sent: false,
+      error: 'The conversation is not open in any LinkedIn tab. Open it and try again.'
+    });
+
+    const response = await call('sendProposal', { proposalId: proposal.id });
+
+    expect(response.success).toBe(false);
+    expect(response.error).toMatch(/not open in any LinkedIn tab.*No slots were held/);
+    expect(background.calendarService.deleteEvent.mock.calls).toEqual([['hold-1', 'primary'], ['hold-2', 'primary']]);
+    expect((await background.storage.getProposal(proposal.id)).status).toBe('drafted');
+  });
+
+  test('releases the holds already made when one can\'t be created', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+    background.calendarService.createEvent
+      .mockResolvedValueOnce({ id: 'hold-1', calendarId: 'primary' })
+      .mockRejectedValueOnce(new Error('Failed to create event'));
+
+    const response = await call('sendProposal', { proposalId: proposal.id });
+
+    expect(response).toEqual({ success: false, error: 'Failed to create event' });
+    expect(background.calendarService.deleteEvent).toHaveBeenCalledWith('hold-1', 'primary');
+    expect(background.sendLinkedInMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('chooseProposedSlot', () => {
+  beforeEach(() => {
+    jest.spyOn(background, 'bookMeeting').mockResolvedValue({ success: true, meetingId: 'meeting-1' });
+  });
+
+  test('books the slot in both timezones and releases every hold', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+    await call('sendProposal', { proposalId: proposal.id });
+    const generate = jest.spyOn(background.aiProcessor, 'generateMeetingMessage');
+
+    const response = await call('chooseProposedSlot', { proposalId: proposal.id, slotIndex: 1 });
+
+    expect(response.success).toBe(true);
+    expect(generate.mock.calls[0][0].times.other.timezone).toBe('Europe/London');
+    expect(background.bookMeeting).toHaveBeenCalledWith(expect.objectContaining({
+      date: '2026-10-23',
+      time: '10:00',
+      timezone: 'America/New_York',
+      participantTimezone: 'Europe/London'
+    }));
+    expect(background.calendarService.deleteEvent).toHaveBeenCalledTimes(2);
+    expect(await background.storage.getProposal(proposal.id)).toMatchObject({ status: 'booked', chosenSlot: 1 });
+  });
+
+  test.each(['booked', 'declined', 'released'])('won\'t book a %s proposal', async (status) => {
+    const proposal = await background.storage.saveProposal({ ...proposalRecord, status });
+
+    const response = await call('chooseProposedSlot', { proposalId: proposal.id, slotIndex: 0 });
+
+    expect(response).toEqual({ success: false, error: `This proposal has already been ${status}` });
+    expect(background.bookMeeting).not.toHaveBeenCalled();
+  });
+
+  test('won\'t book from a proposal that was never sent', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+
+    const response = await call('chooseProposedSlot', { proposalId: proposal.id, slotIndex: 0 });
+
+    expect(response).toEqual({ success: false, error: 'Send the proposal before booking one of its times' });
+  });
+
+  test('keeps the holds while a booking waits for a retry', async () => {
+    const proposal = await background.storage.saveProposal(proposalRecord);
+    await call('sendProposal', { proposalId: proposal.id });
+    background.bookMeeting.mockResolvedValueOnce({ success: false, queued: true });
+
+    await call('chooseProposedSlot', { proposalId: proposal.id, slotIndex: 0 });
+
+    expect(background.calendarService.deleteEvent).not.toHaveBeenCalled();
+    expect((await background.storage.getProposal(proposal.id)).status).toBe('sent');
+  });
+});
+
+describe('collectFreeSlots', () => {
+  test('a calendar that can\'t be read is an error, not a day without free time', async () => {
+    jest.spyOn(background.calendarService, 'findSlots').mockResolvedValue({
+      slots: [],
+      rejected: [],
+      busy: [],
+      windows: [],
+      error: 'Failed to fetch busy times'
+    });
+
+    await expect(background.collectFreeSlots(['2026-10-22'], 30, [], {}))
+      .rejects.toThrow('Could not check your calendar: Failed to fetch busy times');
+  });
+});
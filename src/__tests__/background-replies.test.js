@@ -0,0 +1,87 @@
+import { resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+// Thursday 3 PM and Friday 10 AM in New York, held on the calendar
+const sentProposal = {
+  status: 'sent',
+  participantName: 'Ana Lima',
+  duration: 30,
+  userTimezone: 'America/New_York',
+  participantTimezone: 'America/New_York',
+  threadId: 'thread-1',
+  slots: [
+    { start: '2026-10-22T19:00:00.000Z', holdEventId: 'hold-1', holdCalendarId: 'primary' },
+    { start: '2026-10-23T14:00:00.000Z', holdEventId: 'hold-2', holdCalendarId: 'primary' }
+  ]
+};
+
+let background;
+
+const call = (method, request) => new Promise(resolve => background[method](request, resolve));
+const reply = (message, threadId = 'thread-1') => call('handleIncomingReply', { message, threadId });
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  // Monday 2026-10-19, 10:00 AM in New York
+  jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  background = new BackgroundService();
+  await background.storage.saveSettings({ defaultTimezone: 'America/New_York' });
+  jest.spyOn(background.calendarService, 'deleteEvent').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('replies to a proposal', () => {
+  test('a picked time is suggested for the user to book', async () => {
+    const proposal = await background.storage.saveProposal(sentProposal);
+
+    expect(await reply('Friday at 10 works for me')).toMatchObject({
+      outcome: 'suggestedPick',
+      proposalId: proposal.id,
+      slotIndex: 1
+    });
+  });
+
+  test('a decline suggests releasing the holds but leaves them in place', async () => {
+    const proposal = await background.storage.saveProposal(sentProposal);
+
+    const result = await reply("Sorry, I'm busy that week");
+
+    expect(result).toMatchObject({ outcome: 'suggestedRelease', proposalId: proposal.id });
+    expect(result.draft).toEqual(expect.any(String));
+    expect(background.calendarService.deleteEvent).not.toHaveBeenCalled();
+    expect((await background.storage.getProposal(proposal.id)).status).toBe('sent');
+  });
+
+  test('confirming the decline releases the holds', async () => {
+    const proposal = await background.storage.saveProposal(sentProposal);
+
+    const response = await call('releaseProposal', { proposalId: proposal.id, declined: true });
+
+    expect(response.proposal.status).toBe('declined');
+    expect(background.calendarService.deleteEvent.mock.calls).toEqual([['hold-1', 'primary'], ['hold-2', 'primary']]);
+  });
+
+  test('replies in other threads are ignored', async () => {
+    await background.storage.saveProposal(sentProposal);
+
+    expect(await reply('Friday works', 'thread-2')).toEqual({ ignored: true });
+  });
+});
+
+describe('replies to an invite', () => {
+  test('naming the invite\'s time suggests marking it confirmed', async () => {
+    const meeting = await background.storage.saveMeetingHistory({
+      status: 'sent',
+      participantName: 'Ana Lima',
+      timezone: 'America/New_York',
+      startTime: '2026-10-22T19:00:00.000Z',
+      threadId: 'thread-1'
+    });
+
+    expect(await reply('Thursday at 3 works for me')).toMatchObject({ outcome: 'suggestedConfirm', meetingId: meeting.id });
+  });
+});
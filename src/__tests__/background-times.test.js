@@ -0,0 +1,112 @@
+import '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+let background;
+
+beforeEach(() => {
+  background = new BackgroundService();
+});
+
+describe('meeting times', () => {
+  test('are resolved in the meeting\'s timezone, not the browser\'s', () => {
+    expect(background.parseDateAndTime('2026-10-22', '15:00', 'Asia/Tokyo')).toEqual({
+      date: '2026-10-22',
+      time: '15:00',
+      dateFormatted: 'Thursday, October 22, 2026',
+      timeFormatted: '3:00 PM',
+      timezone: 'Asia/Tokyo',
+      startTime: '2026-10-22T06:00:00.000Z',
+      dateTime: '2026-10-22T15:00:00+09:00',
+      localDateTime: '2026-10-22T15:00:00',
+      warning: null
+    });
+  });
+
+  test('carry a warning when a clock change moved them', () => {
+    const dateTime = background.parseDateAndTime('2027-03-14', '02:30', 'America/New_York');
+
+    expect(dateTime.time).toBe('03:30');
+    expect(dateTime.warning).toMatch(/doesn't exist in America\/New_York/);
+  });
+
+  test('reach the platform as an instant and the calendar with their offset', () => {
+    const details = { date: '2026-10-22', time: '15:00', timezone: 'Europe/London', duration: 30 };
+
+    expect(background.buildPlatformMeetingDetails(details).startTime).toBe('2026-10-22T14:00:00.000Z');
+    expect(background.buildMeetingEventDetails(details).start).toEqual({
+      dateTime: '2026-10-22T15:00:00+01:00',
+      timeZone: 'Europe/London'
+    });
+  });
+});
+
+describe('the participant\'s timezone', () => {
+  const settings = { defaultTimezone: 'America/New_York' };
+  const london = { timezone: 'Europe/London', confidence: 0.7, reason: 'LinkedIn location "London"' };
+
+  test('is read from their profile and their own messages only', () => {
+    const context = {
+      participantInfo: { location: 'Paris, France' },
+      messages: [
+        { content: "I'm in Tokyo all week", incoming: false },
+        { content: 'Sounds good', incoming: true }
+      ]
+    };
+
+    expect(background.inferParticipantTimezone(context).timezone).toBe('Europe/Paris');
+  });
+
+  test('is not guessed for a group', () => {
+    const context = { participantInfo: { location: 'London' }, participants: [{ name: 'Ana' }, { name: 'Ben' }] };
+
+    expect(background.inferParticipantTimezone(context)).toBeNull();
+  });
+
+  test('sets the meeting\'s zone for "their time"', () => {
+    expect(background.chooseMeetingTimezone({}, settings, london, 'recipient')).toEqual({
+      timezone: 'Europe/London',
+      source: 'participant',
+      confidence: 0.7,
+      reason: 'Their time, inferred from LinkedIn location "London"'
+    });
+  });
+
+  test('falls back to the user\'s zone with a warning when it can\'t be told', () => {
+    expect(background.chooseMeetingTimezone({}, settings, null, 'recipient')).toMatchObject({
+      timezone: 'America/New_York',
+      confidence: 0
+    });
+  });
+
+  test('gives way to a zone named in the command, and otherwise the user\'s', () => {
+    expect(background.chooseMeetingTimezone({ timezone: 'Asia/Tokyo' }, settings, london, 'recipient').source).toBe('command');
+    expect(background.chooseMeetingTimezone({}, settings, london, 'sender').timezone).toBe('America/New_York');
+  });
+});
+
+describe('the calendar invite', () => {
+  const details = {
+    participantName: 'Ana',
+    message: 'Looking forward to it!',
+    date: '2026-10-22',
+    time: '15:00',
+    timezone: 'America/New_York',
+    duration: 30,
+    context: { participantInfo: { name: 'Ana Lima' } }
+  };
+  const start = '2026-10-22T19:00:00.000Z';
+
+  test('gives the time on both sides', () => {
+    expect(background.addMeetingTimesToDescription({ ...details, participantTimezone: 'Asia/Tokyo' }, start)).toBe(
+      'Looking forward to it!\n\n' +
+      '🕐 Thursday, October 22, 2026, 3:00 PM – 3:30 PM EDT\n' +
+      '🌍 Friday, October 23, 2026, 4:00 AM – 4:30 AM JST for Ana Lima'
+    );
+  });
+
+  test('is left alone when the zones agree or the other zone is unknown', () => {
+    expect(background.addMeetingTimesToDescription({ ...details, participantTimezone: 'America/New_York' }, start))
+      .toBe('Looking forward to it!');
+    expect(background.addMeetingTimesToDescription(details, start)).toBe('Looking forward to it!');
+  });
+});
@@ -0,0 +1,77 @@
+import { resetChromeStorage } from '../testing/fake-chrome.js';
+import { BackgroundService } from '../background.js';
+
+let background;
+
+const week = request => new Promise(resolve => background.getWeekAvailability(request, resolve));
+
+// Tuesday 2026-10-20 in New York: working 9–5, busy 9–10, free at 10 and 4
+const tuesday = {
+  windows: [{ start: new Date('2026-10-20T13:00:00Z'), end: new Date('2026-10-20T21:00:00Z') }],
+  busy: [{ start: new Date('2026-10-20T13:00:00Z'), end: new Date('2026-10-20T14:00:00Z') }],
+  slots: [
+    { start: new Date('2026-10-20T14:00:00Z'), end: new Date('2026-10-20T14:30:00Z') },
+    { start: new Date('2026-10-20T20:00:00Z'), end: new Date('2026-10-20T20:30:00Z') }
+  ],
+  rejected: []
+};
+const empty = { windows: [], busy: [], slots: [], rejected: [] };
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  // Monday 2026-10-19, 10:00 AM in New York
+  jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  background = new BackgroundService();
+  await background.storage.saveSettings({ defaultTimezone: 'America/New_York' });
+  jest.spyOn(background.calendarService, 'findSlots').mockImplementation(async date => (date === '2026-10-20' ? tuesday : empty));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('getWeekAvailability', () => {
+  test('lays out each day of the week with working, busy and free time', async () => {
+    const response = await week({ weekOffset: 0 });
+
+    expect(response).toMatchObject({ success: true, timezone: 'America/New_York', duration: 30, participant: null });
+    expect(response.days.map(day => day.date)).toEqual([
+      '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'
+    ]);
+
+    const day = response.days[1];
+    expect(day.working).toEqual([expect.objectContaining({ startMinute: 540, endMinute: 1020 })]);
+    expect(day.busy).toEqual([expect.objectContaining({ start: '2026-10-20T13:00:00.000Z', startMinute: 540, endMinute: 600 })]);
+    expect(day.free.map(slot => slot.startMinute)).toEqual([600, 960]);
+    expect(day.free.every(slot => slot.best && typeof slot.score === 'number')).toBe(true);
+  });
+
+  test('shows the participant\'s working day in the user\'s zone', async () => {
+    const response = await week({
+      context: { participantInfo: { name: 'Ana Lima', location: 'London, England' } }
+    });
+
+    expect(response.participant).toEqual({
+      name: 'Ana Lima',
+      timezone: 'Europe/London',
+      reason: 'LinkedIn location "London, England"'
+    });
+    // 9–5 in London is 4 AM to noon in New York
+    expect(response.days[1].participant).toEqual([expect.objectContaining({ startMinute: 240, endMinute: 720 })]);
+    expect(response.days[5].participant).toEqual([]);
+  });
+
+  test('asks for the requested week', async () => {
+    await week({ weekOffset: 1 });
+
+    expect(background.calendarService.findSlots.mock.calls[0][0]).toBe('2026-10-26');
+  });
+
+  test('a calendar that can\'t be read at all is an error, not an empty week', async () => {
+    background.calendarService.findSlots.mockResolvedValue({ ...empty, error: 'Failed to check availability' });
+
+    expect(await week({})).toEqual({ success: false, error: 'Failed to check availability' });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.linkedin.com/messaging/thread/thread-1/"}
+ */
+import '../testing/fake-chrome.js';
+import { LinkedInChatExtractor } from '../content.js';
+
+let extractor;
+
+const addComposer = () => {
+  const form = document.createElement('form');
+  form.className = 'msg-form';
+  form.innerHTML = `
+    <div class="msg-form__contenteditable" contenteditable="true"></div>
+    <button class="msg-form__send-button" type="submit" disabled>Send</button>
+  `;
+  form.addEventListener('submit', event => event.preventDefault());
+  document.body.appendChild(form);
+  return form;
+};
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  // jsdom has no editing commands, so the composer is filled by hand
+  document.execCommand = () => false;
+  extractor = new LinkedInChatExtractor();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('fillComposer', () => {
+  test('writes one paragraph per line, as text', () => {
+    const composer = addComposer().querySelector('.msg-form__contenteditable');
+    const inputs = [];
+    composer.addEventListener('input', event => inputs.push(event.data));
+
+    extractor.fillComposer(composer, 'Hi Ana,\n\n<b>Thursday</b> at 3 & 4');
+
+    expect(composer.innerHTML).toBe('<p>Hi Ana,</p><p><br></p><p>&lt;b&gt;Thursday&lt;/b&gt; at 3 &amp; 4</p>');
+    expect(inputs).toEqual(['Hi Ana,\n\n<b>Thursday</b> at 3 & 4']);
+  });
+});
+
+describe('deliverMessage', () => {
+  test('leaves a draft unless auto-send is on', async () => {
+    const form = addComposer();
+    const button = form.querySelector('button');
+    button.disabled = false;
+    const click = jest.spyOn(button, 'click');
+
+    expect(await extractor.deliverMessage('Hello', false, 'thread-1')).toEqual({ success: true, sent: false });
+    expect(click).not.toHaveBeenCalled();
+    expect(form.querySelector('.msg-form__contenteditable').textContent).toBe('Hello');
+  });
+
+  test('sends once the send button is enabled', async () => {
+    jest.useFakeTimers();
+    const button = addComposer().querySelector('button');
+    const click = jest.spyOn(button, 'click');
+
+    const delivery = extractor.deliverMessage('Hello', true, 'thread-1');
+    await jest.advanceTimersByTimeAsync(300);
+    button.disabled = false;
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(await delivery).toEqual({ success: true, sent: true });
+    expect(click).toHaveBeenCalledTimes(1);
+  });
+
+  test('says the message is only a draft when the button never enables', async () => {
+    jest.useFakeTimers();
+    addComposer();
+
+    const delivery = extractor.deliverMessage('Hello', true, 'thread-1');
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(await delivery).toEqual({
+      success: true,
+      sent: false,
+      error: 'Message left as a draft: the send button did not become available.'
+    });
+  });
+});
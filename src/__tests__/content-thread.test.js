@@ -0,0 +1,66 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.linkedin.com/messaging/thread/2-abc%3D%3D/"}
+ */
+import '../testing/fake-chrome.js';
+import { LinkedInChatExtractor } from '../content.js';
+
+let extractor;
+
+const composerIn = (parent) => {
+  const composer = document.createElement('div');
+  composer.className = 'msg-form__contenteditable';
+  composer.setAttribute('contenteditable', 'true');
+  parent.appendChild(composer);
+  return composer;
+};
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  document.execCommand = () => false;
+  extractor = new LinkedInChatExtractor();
+});
+
+describe('the composer thread check', () => {
+  test('reads the open thread from the URL', () => {
+    expect(extractor.extractThreadId()).toBe('2-abc==');
+  });
+
+  test('uses the thread pane\'s composer for the open thread', () => {
+    const composer = composerIn(document.body);
+
+    expect(extractor.findComposer('2-abc==')).toBe(composer);
+  });
+
+  test('never uses an overlay chat bubble\'s composer', () => {
+    const bubble = document.createElement('div');
+    bubble.className = 'msg-overlay-conversation-bubble';
+    document.body.appendChild(bubble);
+    composerIn(bubble);
+    const main = composerIn(document.body);
+
+    expect(extractor.findComposer('2-abc==')).toBe(main);
+
+    main.remove();
+    expect(extractor.findComposer('2-abc==')).toBeNull();
+  });
+
+  test('refuses a message meant for another conversation', async () => {
+    const composer = composerIn(document.body);
+
+    const delivery = await extractor.deliverMessage('Hello', true, 'another-thread');
+
+    expect(delivery).toMatchObject({ success: false, sent: false, refused: true });
+    expect(composer.textContent).toBe('');
+  });
+
+  test('refuses when no single thread is open', async () => {
+    window.history.pushState({}, '', '/messaging/');
+    composerIn(document.body);
+
+    expect(extractor.findComposer(null)).toBeNull();
+    expect(extractor.findComposer('2-abc==')).toBeNull();
+
+    window.history.pushState({}, '', '/messaging/thread/2-abc%3D%3D/');
+  });
+});
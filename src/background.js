@@ -5,13 +5,24 @@ import { AIProcessor } from './services/ai-processor.js';
 import { CalendarService } from './services/calendar-service.js';
 import { MeetingPlatformService } from './services/meeting-platform-service.js';
 import { StorageService } from './services/storage-service.js';
+import { SagaService } from './services/saga-service.js';
+import { RetryQueue, RETRY_ALARM, isTransientError } from './services/retry-queue.js';
+import { platformRegistry, DEFAULT_PLATFORM } from './services/platform-registry.js';
+import { TimezoneHandler } from './utils/timezone-handler.js';
+import { describeRecurrence, listOccurrences, moveRecurrence, toRRule } from './utils/recurrence.js';
+import { DEFAULT_WORKING_HOURS, extendWorkingHours, normalizeWorkingHours, workingRanges } from './utils/working-hours.js';
+import { rankSlots } from './utils/slot-ranker.js';
+import { normalizeSchedulingRules } from './utils/slot-finder.js';
 
-class BackgroundService {
+export class BackgroundService {
   constructor() {
     this.aiProcessor = new AIProcessor();
     this.calendarService = new CalendarService();
     this.meetingPlatform = new MeetingPlatformService();
     this.storage = new StorageService();
+    this.sagas = new SagaService(this.storage);
+    this.retryQueue = new RetryQueue(this.storage);
+    this.timezoneHandler = new TimezoneHandler();
     this.voiceRecognition = null;
   }
 
@@ -24,6 +35,10 @@ class BackgroundService {
     // Set up listeners
     this.setupMessageListeners();
     this.setupCommandListeners();
+    this.setupRetryListeners();
+
+    // Catch up on anything that came due while the worker was asleep
+    await this.processRetryQueue();
   }
 
   setupMessageListeners() {
@@ -43,6 +58,19 @@ class BackgroundService {
     });
   }
 
+  setupRetryListeners() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === RETRY_ALARM) {
+        this.processRetryQueue();
+      }
+    });
+
+    // Back online: no need to wait for the next backoff step
+    self.addEventListener('online', () => {
+      this.processRetryQueue(Infinity);
+    });
+  }
+
   async handleMessage(request, sender, sendResponse) {
     try {
       switch (request.action) {
@@ -51,21 +79,105 @@ class BackgroundService {
           break;
         
         case 'processSchedulingCommand':
-          await this.processSchedulingCommand(request, sendResponse);
+          await this.processSchedulingCommand(request, sendResponse, sender);
+          break;
+        
+        case 'answerClarification':
+          await this.answerClarification(request, sendResponse, sender);
+          break;
+        
+        case 'getClarificationSession':
+          await this.getClarificationSession(request, sendResponse, sender);
+          break;
+        
+        case 'cancelClarification':
+          await this.cancelClarification(request, sendResponse, sender);
           break;
         
         case 'createMeeting':
           await this.createMeeting(request, sendResponse);
           break;
         
+        case 'previewMeeting':
+          await this.previewMeeting(request, sendResponse);
+          break;
+        
+        case 'authenticatePlatform':
+          await this.authenticatePlatform(request, sendResponse);
+          break;
+        
+        case 'retryMeeting':
+          await this.retryMeeting(request, sendResponse);
+          break;
+        
+        case 'rollbackMeeting':
+          await this.rollbackMeeting(request, sendResponse);
+          break;
+        
+        case 'getPendingOperations':
+          await this.getPendingOperations(sendResponse);
+          break;
+        
+        case 'retryPendingOperation':
+          await this.retryPendingOperation(request, sendResponse);
+          break;
+        
+        case 'discardPendingOperation':
+          await this.discardPendingOperation(request, sendResponse);
+          break;
+        
+        case 'proposeTimes':
+          await this.proposeTimes(request, sendResponse);
+          break;
+        
+        case 'sendProposal':
+          await this.sendProposal(request, sendResponse);
+          break;
+        
+        case 'chooseProposedSlot':
+          await this.chooseProposedSlot(request, sendResponse);
+          break;
+        
+        case 'releaseProposal':
+          await this.releaseProposal(request, sendResponse);
+          break;
+        
+        case 'incomingReply':
+          await this.handleIncomingReply(request, sendResponse);
+          break;
+        
+        case 'rescheduleMeeting':
+          await this.rescheduleMeeting(request, sendResponse);
+          break;
+        
+        case 'cancelMeeting':
+          await this.cancelMeeting(request, sendResponse);
+          break;
+        
         case 'checkAvailability':
           await this.checkAvailability(request, sendResponse);
           break;
         
+        case 'listCalendars':
+          await this.listCalendars(sendResponse);
+          break;
+        
+        case 'getWeekAvailability':
+          await this.getWeekAvailability(request, sendResponse);
+          break;
+        
+        case 'draftMeetingAt':
+          await this.draftMeetingAt(request, sendResponse);
+          break;
+        
         case 'saveSettings':
           await this.saveSettings(request, sendResponse);
           break;
         
+        case 'getTabId':
+          sendResponse({ tabId: sender.tab?.id ?? null });
+          break;
+        
         case 'getSettings':
           await this.getSettings(sendResponse);
           break;
@@ -74,6 +186,10 @@ class BackgroundService {
           await this.getMeetingHistory(sendResponse);
           break;
         
+        case 'updateMeetingStatus':
+          await this.updateMeetingStatus(request, sendResponse);
+          break;
+        
         default:
           sendResponse({ error: 'Unknown action' });
       }
@@ -98,17 +214,20 @@ class BackgroundService {
     }
   }
 
-  async processSchedulingCommand(request, sendResponse) {
+  async processSchedulingCommand(request, sendResponse, sender) {
     try {
       const { command, context } = request;
+      const tabId = this.getSessionTabId(request, sender);
       
       console.log('Processing command:', command);
       console.log('With context:', context);
 
-      // Use AI to parse command and context
+      // Use AI to parse command and context; relative dates are the user's
+      const settings = await this.storage.getSettings();
       const parsedData = await this.aiProcessor.parseSchedulingRequest(
         command,
-        context
+        context,
+        { timezone: settings.defaultTimezone }
       );
 
       if (!parsedData) {
@@ -118,48 +237,304 @@ class BackgroundService {
         return;
       }
 
-      // Check for missing required information
-      const validation = this.validateMeetingData(parsedData, context);
-      
-      if (!validation.isValid) {
+      // A fresh command replaces any clarification still open for this tab
+      await this.storage.clearClarificationSession(tabId);
+
+      await this.resolveParsedCommand(tabId, parsedData, context, command, sendResponse);
+
+    } catch (error) {
+      console.error('Error processing command:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  // Either ask for what is still missing or produce the meeting details
+  async resolveParsedCommand(tabId, parsedData, context, command, sendResponse) {
+    const validation = this.validateMeetingData(parsedData, context);
+
+    if (!validation.isValid) {
+      await this.storage.saveClarificationSession(tabId, {
+        command,
+        context,
+        partialData: parsedData,
+        missing: validation.missing
+      });
+
+      sendResponse({
+        needsInput: true,
+        missing: validation.missing,
+        partialData: parsedData,
+        question: this.buildClarificationQuestion(validation.missing, parsedData, context)
+      });
+      return;
+    }
+
+    await this.storage.clearClarificationSession(tabId);
+
+    const participantZone = this.inferParticipantTimezone(context);
+
+    if (parsedData.mode === 'propose') {
+      const proposal = await this.createProposal({
+        participantName: parsedData.participantName || context?.participantInfo?.name,
+        email: parsedData.email || context?.participantInfo?.email,
+        attendees: parsedData.attendees,
+        duration: parsedData.duration,
+        platform: parsedData.platform,
+        participantTimezone: parsedData.timezone || participantZone?.timezone,
+        context
+      });
+
+      sendResponse({ success: true, proposal });
+      return;
+    }
+
+    // "Sometime next week": book the best free slot in it, for the user to confirm
+    if (parsedData.window && !parsedData.time) {
+      const pick = await this.pickSlotInWindow(parsedData, context, participantZone);
+
+      if (!pick) {
         sendResponse({
-          needsInput: true,
-          missing: validation.missing,
-          partialData: parsedData
+          error: `Couldn't find a free time for "${this.aiProcessor.describeWindow(parsedData.window)}". Try a wider window.`
         });
         return;
       }
 
-      // Generate meeting details with all inferred information
       const meetingDetails = await this.generateMeetingDetails(
-        parsedData,
-        context
+        { ...parsedData, date: pick.date, time: pick.time },
+        context,
+        // The picked time is already in the meeting's zone
+        { participantZone, timeReference: 'sender' }
       );
 
-      sendResponse({ 
+      sendResponse({
         success: true,
-        meetingDetails 
+        meetingDetails: { ...meetingDetails, autoPick: pick.autoPick }
       });
+      return;
+    }
+
+    // Generate meeting details with all inferred information
+    const meetingDetails = await this.generateMeetingDetails(
+      parsedData,
+      context,
+      {
+        participantZone,
+        timeReference: this.timezoneHandler.detectTimeReference(command || '')
+      }
+    );
+
+    sendResponse({ 
+      success: true,
+      meetingDetails 
+    });
+  }
+
+  // The best free slot in the command's window, ranked like proposals
+  // (asking for "the first available" makes sooner count for more), as a
+  // date and time in the meeting's zone with the reasons it was chosen
+  async pickSlotInWindow(parsedData, context, participantZone) {
+    const settings = await this.storage.getSettings();
+    const availability = this.getAvailabilityOptions(settings);
+    const { window } = parsedData;
+    const duration = parsedData.duration || settings.defaultDuration || 30;
+    const zone = parsedData.timezone || settings.defaultTimezone;
+    const inviteeEmails = this.getInviteeEmails({
+      ...parsedData,
+      email: parsedData.email || context?.participantInfo?.email
+    });
+
+    // "An evening" is usually past the working day, so search that part of
+    // the day as well and say so if the pick falls outside the usual hours
+    const searchAvailability = window.earliest && window.latest
+      ? { ...availability, workingHours: extendWorkingHours(availability.workingHours, { start: window.earliest, end: window.latest }) }
+      : availability;
+
+    const dates = this.timezoneHandler.getDaysBetween(window.from, window.to);
+    const found = await this.collectFreeSlots(dates, duration, inviteeEmails, searchAvailability);
+
+    // "A morning": starts and ends inside that part of the user's day
+    found.slots = found.slots.filter(slot => {
+      const start = this.timezoneHandler.formatWithTimezone(slot.start, settings.defaultTimezone).time;
+      const end = this.timezoneHandler.formatWithTimezone(slot.end, settings.defaultTimezone).time;
+      return (!window.earliest || start >= window.earliest) && (!window.latest || (end <= window.latest && end > start));
+    });
+
+    const ranked = await this.rankFreeSlots(found, settings, {
+      participantTimezones: parsedData.attendees?.length > 1 ? [] : [participantZone?.timezone],
+      messages: context?.messages,
+      urgency: window.soonest ? 'high' : null,
+      horizonDays: dates.length + 1
+    });
+
+    if (ranked.length === 0) {
+      return null;
+    }
+
+    const [best, ...others] = ranked;
+    const local = this.timezoneHandler.formatWithTimezone(best.start, zone);
+    const userLocal = this.timezoneHandler.formatWithTimezone(best.start, settings.defaultTimezone);
+    const userEnd = this.timezoneHandler.formatWithTimezone(best.end, settings.defaultTimezone).time;
+    const outsideWorkingHours = !workingRanges(availability.workingHours, userLocal.date)
+      .some(range => userLocal.time >= range.start && userEnd <= range.end);
+
+    return {
+      date: local.date,
+      time: local.time,
+      autoPick: {
+        window: this.aiProcessor.describeWindow(window),
+        score: best.score,
+        factors: best.factors,
+        outsideWorkingHours,
+        considered: ranked.length,
+        alternatives: others.slice(0, 2).map(slot => ({ start: new Date(slot.start).toISOString(), score: slot.score }))
+      }
+    };
+  }
+
+  async answerClarification(request, sendResponse, sender) {
+    try {
+      const tabId = this.getSessionTabId(request, sender);
+      const session = await this.storage.getClarificationSession(tabId);
+
+      if (!session) {
+        sendResponse({ error: 'No scheduling request is waiting for an answer. Please start again.' });
+        return;
+      }
+
+      const settings = await this.storage.getSettings();
+      const answers = this.aiProcessor.parseClarificationAnswer(
+        request.answer || '',
+        session.missing,
+        { timezone: settings.defaultTimezone }
+      );
+
+      if (Object.keys(answers).length === 0) {
+        // Keep the session; just ask again
+        sendResponse({
+          needsInput: true,
+          missing: session.missing,
+          partialData: session.partialData,
+          question: `Sorry, I didn't catch that. ${this.buildClarificationQuestion(session.missing, session.partialData, session.context)}`
+        });
+        return;
+      }
+
+      await this.resolveParsedCommand(
+        tabId,
+        this.applyClarificationAnswers(session, answers),
+        session.context,
+        session.command,
+        sendResponse
+      );
 
     } catch (error) {
-      console.error('Error processing command:', error);
+      console.error('Error answering clarification:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  // Answers to a group member's email go on that attendee, not the meeting
+  applyClarificationAnswers(session, answers) {
+    const [field] = session.missing;
+
+    if (!field.startsWith('email:')) {
+      return { ...session.partialData, ...answers };
+    }
+
+    const { email, skipped, ...rest } = answers;
+    const index = Number(field.split(':')[1]);
+
+    return {
+      ...session.partialData,
+      ...rest,
+      attendees: session.partialData.attendees.map((attendee, i) => (
+        i === index && (email || skipped)
+          ? { ...attendee, email: email || null, skipped: !email }
+          : attendee
+      ))
+    };
+  }
+
+  async getClarificationSession(request, sendResponse, sender) {
+    try {
+      const tabId = this.getSessionTabId(request, sender);
+      const session = await this.storage.getClarificationSession(tabId);
+
+      if (!session) {
+        sendResponse({ session: null });
+        return;
+      }
+
+      sendResponse({
+        session,
+        question: this.buildClarificationQuestion(session.missing, session.partialData, session.context)
+      });
+    } catch (error) {
       sendResponse({ error: error.message });
     }
   }
 
+  async cancelClarification(request, sendResponse, sender) {
+    try {
+      await this.storage.clearClarificationSession(this.getSessionTabId(request, sender));
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
+  // Content scripts are keyed by their own tab; extension pages (popup,
+  // voice input) pass the LinkedIn tab they are acting for
+  getSessionTabId(request, sender) {
+    return String(request.tabId ?? sender?.tab?.id ?? 'default');
+  }
+
+  buildClarificationQuestion(missing, parsedData, context) {
+    const name = parsedData?.participantName || context?.participantInfo?.name;
+
+    if (missing[0]?.startsWith('email:')) {
+      const attendee = parsedData.attendees[Number(missing[0].split(':')[1])];
+      return `What's ${attendee.name}'s email address? Say "skip" to leave them off the calendar invite.`;
+    }
+
+    switch (missing[0]) {
+      case 'email':
+        return `What's ${name ? `${name}'s` : 'their'} email address?`;
+      case 'date':
+        return parsedData?.time
+          ? `Which day should the ${parsedData.time} meeting be on?`
+          : 'Which day should the meeting be on?';
+      case 'time':
+        return 'What time should the meeting start?';
+      default:
+        return 'Could you give me a bit more detail?';
+    }
+  }
+
   validateMeetingData(parsedData, context) {
     const missing = [];
     
-    if (!parsedData.email && !context?.participantInfo?.email) {
+    if (parsedData.attendees?.length > 1) {
+      // Ask about each group member we have no address for
+      parsedData.attendees.forEach((attendee, index) => {
+        if (!attendee.email && !attendee.skipped) {
+          missing.push(`email:${index}`);
+        }
+      });
+    } else if (!parsedData.email && !context?.participantInfo?.email) {
       missing.push('email');
     }
     
-    if (!parsedData.date) {
-      missing.push('date');
-    }
-    
-    if (!parsedData.time) {
-      missing.push('time');
+    // In proposal mode, or given a window like "next week", we pick the
+    // times ourselves
+    if (parsedData.mode !== 'propose' && !parsedData.window) {
+      if (!parsedData.date) {
+        missing.push('date');
+      }
+      
+      if (!parsedData.time) {
+        missing.push('time');
+      }
     }
 
     return {
@@ -168,7 +543,7 @@ class BackgroundService {
     };
   }
 
-  async generateMeetingDetails(parsedData, context) {
+  async generateMeetingDetails(parsedData, context, { participantZone = null, timeReference = 'sender' } = {}) {
     const settings = await this.storage.getSettings();
     
     // Get participant info
@@ -180,27 +555,44 @@ class BackgroundService {
                             context?.participantInfo?.email || 
                             '';
 
-    // Parse and format date/time
+    // Parse and format date/time in the zone the time was meant in
+    const timezoneAssumption = this.chooseMeetingTimezone(parsedData, settings, participantZone, timeReference);
     const dateTime = this.parseDateAndTime(
       parsedData.date,
       parsedData.time,
-      parsedData.timezone || settings.defaultTimezone
+      timezoneAssumption.timezone
     );
 
     // Get or default meeting duration
     const duration = parsedData.duration || settings.defaultDuration || 30;
 
     // Get or default platform
-    const platform = parsedData.platform || settings.defaultPlatform || 'google-meet';
+    const platform = parsedData.platform || settings.defaultPlatform || DEFAULT_PLATFORM;
+
+    const recurrence = parsedData.recurrence || null;
+    const attendees = parsedData.attendees?.length > 1 ? parsedData.attendees : null;
+
+    // A zone named in the command that isn't ours is most likely theirs
+    const participantTimezone = participantZone?.timezone ||
+      (dateTime.timezone !== settings.defaultTimezone ? dateTime.timezone : null);
+    const times = this.timezoneHandler.formatMeetingTimes(
+      dateTime.startTime,
+      duration,
+      settings.defaultTimezone,
+      attendees ? null : participantTimezone
+    );
 
     // Generate professional message
     const messageDraft = await this.aiProcessor.generateMeetingMessage({
       participantName,
-      date: dateTime.dateFormatted,
+      date: times.user.date,
       time: dateTime.timeFormatted,
       timezone: dateTime.timezone,
+      times,
       duration,
       platform,
+      repeats: recurrence ? describeRecurrence(recurrence, dateTime.date) : null,
+      attendees,
       context: context?.messages
     });
 
@@ -210,96 +602,86 @@ class BackgroundService {
       date: dateTime.date,
       time: dateTime.time,
       timezone: dateTime.timezone,
+      timezoneAssumption,
+      userTimezone: settings.defaultTimezone,
+      participantTimezone,
+      times,
+      startTime: dateTime.startTime,
+      timeWarning: dateTime.warning,
       duration,
       platform,
+      recurrence,
+      attendees,
       messageDraft,
       linkedInUrl: context?.participantInfo?.linkedInUrl
     };
   }
 
-  parseDateAndTime(dateStr, timeStr, timezone) {
-    // This would use chrono-node for robust parsing
-    // For now, simplified implementation
-    const date = new Date(dateStr);
-    const [hours, minutes] = timeStr.split(':');
-    date.setHours(parseInt(hours), parseInt(minutes));
+  // One-to-one threads only: a group's header and messages are several people
+  inferParticipantTimezone(context) {
+    if (!context || context.participants?.length > 1) {
+      return null;
+    }
 
-    return {
-      date: date.toISOString().split('T')[0],
-      time: timeStr,
-      dateFormatted: date.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      }),
-      timeFormatted: date.toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-      }),
-      timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
-      dateTime: date
-    };
+    return this.timezoneHandler.inferTimezone({
+      location: context.participantInfo?.location,
+      messages: (context.messages || []).filter(message => message.incoming)
+    });
   }
 
-  async createMeeting(request, sendResponse) {
-    try {
-      const { details } = request;
-      
-      console.log('Creating meeting with details:', details);
+  // Zone a command's time is in, and why: one named in the command, theirs
+  // for "3pm your time", otherwise the user's own
+  chooseMeetingTimezone(parsedData, settings, participantZone, timeReference) {
+    if (parsedData.timezone) {
+      return { timezone: parsedData.timezone, source: 'command', confidence: 1, reason: 'Named in your command' };
+    }
 
-      // Step 1: Generate meeting link based on platform
-      let meetingLink;
-      switch (details.platform) {
-        case 'google-meet':
-          meetingLink = await this.meetingPlatform.createGoogleMeet();
-          break;
-        case 'zoom':
-          meetingLink = await this.meetingPlatform.createZoomMeeting(details);
-          break;
-        case 'teams':
-          meetingLink = await this.meetingPlatform.createTeamsMeeting(details);
-          break;
-        default:
-          meetingLink = await this.meetingPlatform.createGoogleMeet();
+    if (timeReference === 'recipient') {
+      if (participantZone) {
+        return {
+          timezone: participantZone.timezone,
+          source: 'participant',
+          confidence: participantZone.confidence,
+          reason: `Their time, inferred from ${participantZone.reason}`
+        };
       }
+      return {
+        timezone: settings.defaultTimezone,
+        source: 'user',
+        confidence: 0,
+        reason: "Couldn't tell their timezone, so your own is assumed; please check"
+      };
+    }
 
-      // Step 2: Create calendar event
-      const calendarEvent = await this.calendarService.createEvent({
-        summary: `Meeting with ${details.context?.participantInfo?.name || 'Contact'}`,
-        description: details.message,
-        start: {
-          dateTime: `${details.date}T${details.time}:00`,
-          timeZone: details.timezone
-        },
-        duration: details.duration,
-        attendees: details.email ? [{ email: details.email }] : [],
-        conferenceData: {
-          entryPoints: [{
-            entryPointType: 'video',
-            uri: meetingLink,
-            label: meetingLink
-          }]
-        }
-      });
-
-      // Step 3: Send message via LinkedIn (or prepare for sending)
-      const messageWithLink = this.insertMeetingLinkInMessage(
-        details.message,
-        meetingLink
-      );
+    return { timezone: settings.defaultTimezone, source: 'user', confidence: 1, reason: 'Your timezone from settings' };
+  }
 
-      // Step 4: Inject message into LinkedIn chat box
-      await this.sendLinkedInMessage(details.context, messageWithLink);
+  // Wall-clock date and time in `timezone` to an absolute instant, with
+  // display strings in that zone and a warning if DST moved the time
+  parseDateAndTime(dateStr, timeStr, timezone) {
+    const resolved = this.timezoneHandler.resolveLocalTime(
+      dateStr,
+      timeStr,
+      timezone || this.timezoneHandler.getUserTimezone()
+    );
+    const local = this.timezoneHandler.formatWithTimezone(resolved.instant, resolved.timezone);
 
-      sendResponse({
-        success: true,
-        calendarEvent,
-        meetingLink,
-        message: 'Meeting created successfully!'
-      });
+    return {
+      date: resolved.date,
+      time: resolved.time,
+      dateFormatted: local.dateFormatted,
+      timeFormatted: local.timeFormatted,
+      timezone: resolved.timezone,
+      startTime: resolved.instant,
+      dateTime: resolved.dateTime,
+      localDateTime: resolved.localDateTime,
+      warning: this.timezoneHandler.describeDstAdjustment(resolved)
+    };
+  }
 
+  async createMeeting(request, sendResponse) {
+    try {
+      sendResponse(await this.bookMeeting(request.details));
     } catch (error) {
       console.error('Error creating meeting:', error);
       sendResponse({ 
@@ -309,67 +691,1605 @@ class BackgroundService {
     }
   }
 
-  insertMeetingLinkInMessage(message, link) {
-    // Replace placeholder or append link
-    if (message.includes('[Google Meet Link]') || 
-        message.includes('[Meeting Link]') ||
-        message.includes('[Zoom Link]')) {
-      return message.replace(/\[(Google Meet Link|Meeting Link|Zoom Link)\]/g, link);
-    }
-    return message + `\n\n🔗 Meeting Link: ${link}`;
-  }
+  // Runs the booking saga and returns the response for the UI
+  async bookMeeting(requestDetails) {
+    const settings = await this.storage.getSettings();
+    // Fix the calendar when booking starts, so a resumed saga uses the same one
+    const details = { calendarId: settings.eventCalendarId || 'primary', ...requestDetails };
 
-  async sendLinkedInMessage(context, message) {
-    // Send message to content script to inject into LinkedIn
-    const tabs = await chrome.tabs.query({ 
-      url: 'https://www.linkedin.com/messaging/*' 
-    });
-    
-    if (tabs.length > 0) {
-      await chrome.tabs.sendMessage(tabs[0].id, {
-        action: 'sendMessage',
-        message: message
+    const saga = await this.sagas.start('createMeeting', details, this.getCreateMeetingSteps());
+
+    if (this.isRetryableSaga(saga)) {
+      // Google, Zoom or Graph unreachable; keep it and try again later
+      const operation = await this.retryQueue.enqueue({
+        type: 'createMeeting',
+        sagaId: saga.id,
+        summary: {
+          participantName: this.getParticipantName(details),
+          date: details.date,
+          time: details.time,
+          platform: details.platform
+        }
       });
+
+      return {
+        ...this.buildMeetingSagaResponse(saga),
+        queued: true,
+        operationId: operation.id,
+        error: `${saga.error}. The meeting was saved and will be retried automatically.`
+      };
     }
+
+    return this.buildMeetingSagaResponse(saga);
   }
 
-  async checkAvailability(request, sendResponse) {
+  async retryMeeting(request, sendResponse) {
     try {
-      const { date, duration } = request;
-      const availability = await this.calendarService.checkAvailability(
-        date,
-        duration
-      );
-      sendResponse({ availability });
+      const saga = await this.sagas.resume(request.sagaId, this.getCreateMeetingSteps());
+      sendResponse(this.buildMeetingSagaResponse(saga));
     } catch (error) {
-      sendResponse({ error: error.message });
+      console.error('Error retrying meeting:', error);
+      sendResponse({ success: false, error: error.message });
     }
   }
 
-  async saveSettings(request, sendResponse) {
+  async authenticatePlatform(request, sendResponse) {
     try {
-      await this.storage.saveSettings(request.settings);
+      await this.meetingPlatform.authenticate(request.platform);
+      await this.meetingPlatform.loadCredentials();
+      await this.calendarService.loadAccessToken();
       sendResponse({ success: true });
     } catch (error) {
-      sendResponse({ error: error.message });
+      console.error('Error signing in to platform:', error);
+      sendResponse({ success: false, error: error.message });
     }
   }
 
-  async getSettings(sendResponse) {
+  async rollbackMeeting(request, sendResponse) {
     try {
-      const settings = await this.storage.getSettings();
-      sendResponse({ settings });
+      const saga = await this.sagas.rollback(request.sagaId, this.getCreateMeetingSteps());
+
+      // Don't let the retry queue bring it back
+      const operations = await this.storage.getPendingOperations();
+      for (const operation of operations.filter(op => op.sagaId === saga.id)) {
+        await this.retryQueue.discard(operation.id);
+      }
+
+      sendResponse({
+        ...this.buildMeetingSagaResponse(saga),
+        success: saga.status === 'rolledBack'
+      });
     } catch (error) {
-      sendResponse({ error: error.message });
+      console.error('Error rolling back meeting:', error);
+      sendResponse({ success: false, error: error.message });
     }
   }
 
-  async getMeetingHistory(sendResponse) {
+  // A saga paused on a transient API failure before anything reached the
+  // participant. (Link and calendar steps only pause for transient errors.)
+  isRetryableSaga(saga) {
+    return saga.status === 'failed' && saga.steps.some(step =>
+      step.status === 'failed' && ['createLink', 'createCalendarEvent'].includes(step.name)
+    );
+  }
+
+  async processRetryQueue(now = Date.now()) {
     try {
-      const history = await this.storage.getMeetingHistory();
-      sendResponse({ history });
+      await this.retryQueue.processDue(operation => this.runPendingOperation(operation), now);
     } catch (error) {
-      sendResponse({ error: error.message });
+      console.error('Error processing retry queue:', error);
+    }
+  }
+
+  async runPendingOperation(operation) {
+    let saga = await this.storage.getSaga(operation.sagaId);
+
+    if (!saga) {
+      return { outcome: 'failed', error: 'The saved meeting details are no longer available' };
+    }
+
+    // Nobody is watching a background retry, so the message is only ever
+    // left in the chat box as a draft
+    const steps = this.getCreateMeetingSteps({ allowAutoSend: false });
+
+    if (saga.status === 'failed') {
+      saga = await this.sagas.resume(saga.id, steps);
+    } else if (saga.status === 'rolledBack') {
+      // Rolled back after a permanent error; start over from the same details
+      saga = await this.sagas.start(saga.type, saga.input, steps);
+      await this.storage.updatePendingOperation(operation.id, { sagaId: saga.id });
+    }
+
+    if (saga.status === 'completed') {
+      return { outcome: 'done', meetingId: saga.state.meetingId };
+    }
+
+    return {
+      outcome: this.isRetryableSaga(saga) ? 'retry' : 'failed',
+      error: saga.error
+    };
+  }
+
+  async getPendingOperations(sendResponse) {
+    try {
+      const operations = await this.storage.getPendingOperations();
+      sendResponse({ success: true, operations });
+    } catch (error) {
+      console.error('Error getting pending operations:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async retryPendingOperation(request, sendResponse) {
+    try {
+      const result = await this.retryQueue.retryNow(
+        request.operationId,
+        operation => this.runPendingOperation(operation)
+      );
+
+      sendResponse({
+        success: result.outcome === 'done',
+        meetingId: result.meetingId,
+        error: result.error
+      });
+    } catch (error) {
+      console.error('Error retrying pending operation:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async discardPendingOperation(request, sendResponse) {
+    try {
+      const operation = await this.storage.getPendingOperation(request.operationId);
+      const saga = operation && await this.storage.getSaga(operation.sagaId);
+
+      // Remove whatever was already created for it
+      if (saga?.status === 'failed') {
+        await this.sagas.rollback(saga.id, this.getCreateMeetingSteps());
+      }
+
+      await this.retryQueue.discard(request.operationId);
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('Error discarding pending operation:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Booking a meeting touches three outside systems. If the link or the
+  // calendar event fails, whatever was already created is removed again,
+  // unless the failure was transient and the saga is queued for retry.
+  // Once the invite exists, a failed send is kept for retry instead.
+  getCreateMeetingSteps({ allowAutoSend = true } = {}) {
+    return [
+      {
+        name: 'createLink',
+        onFailure: error => isTransientError(error) ? 'pause' : 'rollback',
+        run: async (state, details) => {
+          const platformDetails = this.buildPlatformMeetingDetails(details);
+          const provider = platformRegistry.resolve(details.platform);
+
+          // Going ahead without a video link, or a conference (Meet) that
+          // the calendar event creates itself in the next step
+          if (details.withoutLink || provider.calendarConference) {
+            return {
+              startTime: platformDetails.startTime,
+              participantName: platformDetails.participantName,
+              meetingLink: null,
+              meetingPassword: null,
+              platformMeetingId: null,
+              conferenceType: details.withoutLink ? null : provider.calendarConference
+            };
+          }
+
+          const platformMeeting = await this.meetingPlatform.createMeeting(details.platform, platformDetails);
+
+          // Never fall back to a made-up link; stop and let the user decide
+          if (!platformMeeting.ok) {
+            throw Object.assign(new Error(platformMeeting.error), {
+              reason: platformMeeting.reason,
+              status: platformMeeting.status
+            });
+          }
+
+          return {
+            startTime: platformDetails.startTime,
+            participantName: platformDetails.participantName,
+            meetingLink: platformMeeting.link,
+            meetingPassword: platformMeeting.password || null,
+            platformMeetingId: platformMeeting.meetingId
+          };
+        },
+        compensate: async (state, details) => {
+          await this.meetingPlatform.deleteMeeting(details.platform, state.platformMeetingId);
+        }
+      },
+      {
+        name: 'createCalendarEvent',
+        onFailure: error => isTransientError(error) ? 'pause' : 'rollback',
+        run: async (state, details) => {
+          const calendarEvent = await this.calendarService.createEvent(
+            this.buildMeetingEventDetails(details, state)
+          );
+
+          return {
+            calendarEventId: calendarEvent.id,
+            calendarId: calendarEvent.calendarId,
+            calendarLink: calendarEvent.htmlLink || null,
+            meetingLink: state.meetingLink || calendarEvent.meetingLink,
+            dialIn: calendarEvent.dialIn,
+            moreDialInLink: calendarEvent.moreDialInLink
+          };
+        },
+        compensate: async (state) => {
+          await this.calendarService.deleteEvent(state.calendarEventId, state.calendarId);
+        }
+      },
+      {
+        name: 'recordHistory',
+        onFailure: 'pause',
+        // Right after the event, so a failed send still leaves the link and
+        // event on record
+        run: async (state, details) => {
+          const meeting = await this.storage.saveMeetingHistory({
+            status: 'pending-delivery',
+            participantName: state.participantName,
+            email: details.email,
+            date: details.date,
+            time: details.time,
+            timezone: details.timezone,
+            userTimezone: details.userTimezone || null,
+            participantTimezone: details.participantTimezone || null,
+            startTime: state.startTime,
+            duration: details.duration,
+            recurrence: details.recurrence || null,
+            attendees: details.attendees || null,
+            platform: details.withoutLink ? null : details.platform,
+            calendarEventId: state.calendarEventId,
+            calendarId: state.calendarId,
+            platformMeetingId: state.platformMeetingId,
+            meetingLink: state.meetingLink,
+            meetingPassword: state.meetingPassword,
+            linkedInUrl: details.context?.participantInfo?.linkedInUrl || null,
+            threadUrl: details.context?.threadUrl || null,
+            threadId: details.context?.threadId || null,
+            tabId: details.context?.tabId ?? null,
+            calendarLink: state.calendarLink
+          });
+
+          if (!meeting) {
+            throw new Error('Could not save the meeting to history');
+          }
+
+          return { meetingId: meeting.id };
+        },
+        compensate: async (state) => {
+          await this.storage.updateMeetingStatus(state.meetingId, 'cancelled', {
+            cancelledAt: new Date().toISOString(),
+            cancellationReason: 'Rolled back'
+          });
+        }
+      },
+      {
+        name: 'deliverMessage',
+        onFailure: 'pause',
+        run: async (state, details) => {
+          const message = this.insertMeetingLinkInMessage(details.message, state.meetingLink, {
+            password: state.meetingPassword,
+            dialIn: state.dialIn,
+            moreDialInLink: state.moreDialInLink
+          });
+          const delivery = await this.sendLinkedInMessage(details.context, message, { allowAutoSend });
+
+          if (!delivery?.success) {
+            throw new Error(delivery?.error || 'Message could not be placed in the chat');
+          }
+
+          await this.storage.updateMeetingStatus(state.meetingId, delivery.sent ? 'sent' : 'drafted');
+
+          return { message, delivery };
+        }
+        // A message can't be taken back once it's in the chat
+      }
+    ];
+  }
+
+  // Everyone in a group thread, or the one participant
+  getParticipantName(details) {
+    if (details.attendees?.length > 1) {
+      return this.aiProcessor.formatNameList(details.attendees.map(attendee => attendee.name));
+    }
+    return details.context?.participantInfo?.name || 'Contact';
+  }
+
+  // Calendar invitees: each group member with an address, or the one email
+  getInviteeEmails(details) {
+    if (details.attendees?.length > 1) {
+      return [...new Set(details.attendees.map(attendee => attendee.email?.toLowerCase()).filter(Boolean))];
+    }
+    return details.email ? [details.email] : [];
+  }
+
+  // The invite's description also gives the time on both sides when the
+  // participant's clock reads differently
+  addMeetingTimesToDescription(details, startTime) {
+    if (!details.participantTimezone || details.attendees?.length > 1) {
+      return details.message;
+    }
+
+    const times = this.timezoneHandler.formatMeetingTimes(
+      startTime,
+      details.duration,
+      details.userTimezone || details.timezone,
+      details.participantTimezone
+    );
+    if (!times.other) {
+      return details.message;
+    }
+
+    return `${details.message || ''}
+
+🕐 ${times.user.date}, ${times.user.text}
+🌍 ${times.differentDay ? `${times.other.date}, ` : ''}${times.other.text} for ${this.getParticipantName(details)}`.trim();
+  }
+
+  // Platforms get the start as an absolute instant plus the IANA zone
+  buildPlatformMeetingDetails(details) {
+    return {
+      ...details,
+      participantName: this.getParticipantName(details),
+      startTime: this.timezoneHandler.resolveLocalTime(details.date, details.time, details.timezone).instant
+    };
+  }
+
+  // `link` carries meetingLink and meetingPassword for a link made by the
+  // platform, or conferenceType for one the calendar should create
+  buildMeetingEventDetails(details, { meetingLink, meetingPassword, conferenceType } = {}) {
+    const start = this.timezoneHandler.resolveLocalTime(details.date, details.time, details.timezone);
+    const eventDetails = {
+      summary: `Meeting with ${this.getParticipantName(details)}`,
+      description: this.addMeetingTimesToDescription(details, start.instant),
+      start: {
+        dateTime: start.dateTime,
+        timeZone: details.timezone
+      },
+      duration: details.duration,
+      attendees: this.getInviteeEmails(details).map(email => ({ email })),
+      calendarId: details.calendarId
+    };
+
+    if (details.recurrence) {
+      eventDetails.recurrence = details.recurrence;
+    }
+
+    if (conferenceType) {
+      eventDetails.conferenceType = conferenceType;
+    } else if (meetingLink) {
+      eventDetails.conferenceData = {
+        entryPoints: [{
+          entryPointType: 'video',
+          uri: meetingLink,
+          label: meetingLink,
+          ...(meetingPassword ? { password: meetingPassword } : {})
+        }]
+      };
+    }
+
+    return eventDetails;
+  }
+
+  // Dry run of createMeeting: everything it would create and send, built
+  // by the same code, but nothing is called. The meeting link only exists
+  // once the platform creates it, so a placeholder stands in for it.
+  async previewMeeting(request, sendResponse) {
+    try {
+      const settings = await this.storage.getSettings();
+      const details = { calendarId: settings.eventCalendarId || 'primary', ...request.details };
+      const platformDetails = this.buildPlatformMeetingDetails(details);
+      const platform = details.withoutLink
+        ? { configured: true, request: null }
+        : await this.meetingPlatform.previewCreateRequest(details.platform, platformDetails);
+
+      let linkPlaceholder = null;
+      if (!details.withoutLink) {
+        linkPlaceholder = platform.configured
+          ? '<meeting link, created on confirm>'
+          : '<no link: platform not connected>';
+      }
+      const calendarRequest = this.calendarService.buildEventRequest(
+        this.buildMeetingEventDetails(details, platform.calendarConference && !details.withoutLink
+          ? { conferenceType: platform.calendarConference }
+          : { meetingLink: linkPlaceholder })
+      );
+
+      const threadTabs = details.context?.threadId ? await this.findThreadTabs(details.context) : [];
+
+      sendResponse({
+        success: true,
+        plan: {
+          platform: {
+            name: details.platform,
+            withoutLink: Boolean(details.withoutLink),
+            ...platform
+          },
+          calendarEvent: calendarRequest,
+          attendees: calendarRequest.body.attendees,
+          reminders: calendarRequest.body.reminders.overrides,
+          message: {
+            text: this.insertMeetingLinkInMessage(details.message, linkPlaceholder),
+            threadId: details.context?.threadId || null,
+            autoSend: Boolean(settings.autoSendMessages),
+            tabOpen: threadTabs.length > 0
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error previewing meeting:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  buildMeetingSagaResponse(saga) {
+    const { state } = saga;
+    // Only link failures (platform or Meet conference) carry a reason
+    const linkStep = saga.steps.find(step => step.status === 'failed' && step.reason);
+    const response = {
+      success: saga.status === 'completed',
+      sagaId: saga.id,
+      status: saga.status,
+      steps: saga.steps,
+      meetingLink: state.meetingLink,
+      meetingId: state.meetingId,
+      delivery: state.delivery || null
+    };
+
+    switch (saga.status) {
+      case 'completed':
+        return { ...response, message: 'Meeting created successfully!' };
+      case 'failed':
+        // Invite exists but wasn't delivered or recorded; retry or roll back
+        return { ...response, resumable: true, error: saga.error };
+      case 'rolledBack':
+        if (linkStep?.error) {
+          // No link could be made; the UI offers another platform, signing
+          // in again, or sending without a link
+          return {
+            ...response,
+            linkFailure: {
+              platform: saga.input.platform,
+              reason: linkStep.reason || 'rejected',
+              error: linkStep.error
+            },
+            error: `Meeting was not created: ${saga.error}`
+          };
+        }
+        return { ...response, error: `Meeting was not created: ${saga.error}` };
+      default:
+        return {
+          ...response,
+          error: `Meeting was not created: ${saga.error}. Some parts could not be removed, please check your calendar.`
+        };
+    }
+  }
+
+  async proposeTimes(request, sendResponse) {
+    try {
+      const proposal = await this.createProposal(request.details || {});
+      sendResponse({ success: true, proposal });
+    } catch (error) {
+      console.error('Error proposing times:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // The user's zone, working hours, scheduling rules and calendars, for
+  // every slot search
+  getAvailabilityOptions(settings) {
+    return {
+      timeZone: settings.defaultTimezone,
+      workingHours: normalizeWorkingHours(settings.workingHours),
+      rules: normalizeSchedulingRules(settings.schedulingRules),
+      calendarIds: settings.busyCalendarIds?.length ? settings.busyCalendarIds : ['primary'],
+      eventCalendarId: settings.eventCalendarId || 'primary'
+    };
+  }
+
+  // Free slots on each of `dates`, plus the user's busy time and working
+  // ranges over them, which the ranking needs
+  async collectFreeSlots(dates, duration, inviteeEmails, availability) {
+    const found = { slots: [], busy: [], windows: [] };
+
+    for (const date of dates) {
+      const result = await this.calendarService.findSlots(date, duration, inviteeEmails, availability);
+      if (result.error) {
+        // A calendar we couldn't read isn't a day without free time
+        throw new Error(`Could not check your calendar: ${result.error}`);
+      }
+      found.slots.push(...result.slots.map(slot => ({ ...slot, date })));
+      found.busy.push(...result.busy);
+      found.windows.push(...result.windows);
+    }
+
+    return found;
+  }
+
+  // The one ranking behind proposals, the availability view and auto-pick:
+  // everyone's business hours, the user's preferred times, urgency read
+  // from the chat, how soon, and how it fits around other meetings
+  async rankFreeSlots(found, settings, { participantTimezones = [], messages = [], urgency = null, horizonDays = 7 } = {}) {
+    const chat = await this.aiProcessor.analyzeChatForSchedulingContext(messages || []);
+
+    return rankSlots(found.slots, {
+      timeZone: settings.defaultTimezone,
+      workingHours: normalizeWorkingHours(settings.workingHours),
+      participantTimezones,
+      preferences: settings.timePreferences,
+      urgency: urgency || chat.urgencyLevel,
+      horizonDays,
+      busy: found.busy,
+      windows: found.windows
+    });
+  }
+
+  // Pick the best free slots over the next few working days, ranked for
+  // both timezones, and draft a message offering them
+  async createProposal(details, { count = 3, days = 5 } = {}) {
+    const settings = await this.storage.getSettings();
+    const userTimezone = settings.defaultTimezone;
+    const participantTimezone = details.participantTimezone || userTimezone;
+    const duration = details.duration || settings.defaultDuration || 30;
+    const platform = details.platform || settings.defaultPlatform || DEFAULT_PLATFORM;
+    const attendees = details.attendees?.length > 1 ? details.attendees : null;
+    const inviteeEmails = this.getInviteeEmails({ ...details, attendees });
+
+    const availability = this.getAvailabilityOptions(settings);
+    const dates = this.timezoneHandler.getUpcomingWorkdays(days, userTimezone, new Date(), availability.workingHours);
+    const found = await this.collectFreeSlots(dates, duration, inviteeEmails, availability);
+
+    const candidates = (await this.rankFreeSlots(found, settings, {
+      participantTimezones: [participantTimezone],
+      messages: details.context?.messages,
+      horizonDays: days + 2
+    }))
+      // Never offer a time well outside their working day
+      .filter(candidate => candidate.factors.find(factor => factor.name === 'businessHours').score > 0);
+
+    if (candidates.length === 0) {
+      throw new Error('No free slots found that suit both timezones in the next few days');
+    }
+
+    // Best slot per day first so the options are spread out, then fill up by score
+    const chosen = [];
+    for (const candidate of candidates) {
+      if (chosen.length < count && !chosen.some(c => c.date === candidate.date)) {
+        chosen.push(candidate);
+      }
+    }
+    for (const candidate of candidates) {
+      if (chosen.length < count && !chosen.includes(candidate)) {
+        chosen.push(candidate);
+      }
+    }
+    chosen.sort((a, b) => a.start - b.start);
+
+    const slots = chosen.map(candidate => {
+      const range = this.timezoneHandler.formatTimeRange(
+        candidate.start.toISOString(),
+        duration,
+        userTimezone,
+        participantTimezone
+      );
+
+      return {
+        start: candidate.start.toISOString(),
+        score: candidate.score,
+        factors: candidate.factors,
+        user: range.timezone1,
+        participant: range.timezone2,
+        sameTimezone: userTimezone === participantTimezone,
+        holdEventId: null
+      };
+    });
+
+    const participantName = details.participantName || details.context?.participantInfo?.name;
+
+    return this.storage.saveProposal({
+      status: 'drafted',
+      participantName,
+      email: details.email || details.context?.participantInfo?.email || '',
+      attendees,
+      duration,
+      platform,
+      userTimezone,
+      participantTimezone,
+      slots,
+      messageDraft: this.aiProcessor.proposalMessage({
+        participantName,
+        attendees,
+        duration,
+        platform,
+        slots
+      }),
+      context: details.context || null
+    });
+  }
+
+  async sendProposal(request, sendResponse) {
+    try {
+      const proposal = await this.storage.getProposal(request.proposalId);
+      if (!proposal) {
+        sendResponse({ success: false, error: 'Proposal not found' });
+        return;
+      }
+
+      // Sending again would hold every slot a second time
+      if (proposal.status !== 'drafted') {
+        sendResponse({ success: false, error: `This proposal has already been ${proposal.status}` });
+        return;
+      }
+
+      // Step 1: Tentatively hold every offered slot on our calendar
+      const settings = await this.storage.getSettings();
+      const calendarId = settings.eventCalendarId || 'primary';
+      const slots = [];
+      try {
+        for (const slot of proposal.slots) {
+          const hold = await this.calendarService.createEvent({
+            calendarId,
+            summary: `HOLD: Meeting with ${proposal.participantName || 'Contact'} (proposed)`,
+            description: 'Tentative hold created by Smart Meeting Scheduler. It is released automatically once a time is chosen.',
+            status: 'tentative',
+            start: {
+              dateTime: slot.start,
+              timeZone: proposal.userTimezone
+            },
+            duration: proposal.duration,
+            attendees: []
+          });
+          slots.push({ ...slot, holdEventId: hold.id, holdCalendarId: hold.calendarId });
+        }
+      } catch (error) {
+        // Don't leave half of the holds behind
+        await this.releaseHolds(slots);
+        throw error;
+      }
+
+      // Step 2: Send the options in the LinkedIn thread
+      const context = request.context || proposal.context;
+      const delivery = await this.sendLinkedInMessage(context, request.message || proposal.messageDraft);
+
+      // Nothing reached the thread: the holds would block time nobody was
+      // offered, so drop them and leave the proposal to send again
+      if (!delivery.success) {
+        await this.releaseHolds(slots);
+        sendResponse({ success: false, error: `${delivery.error} No slots were held.`, delivery });
+        return;
+      }
+
+      const updated = await this.storage.updateProposal(proposal.id, {
+        status: 'sent',
+        slots,
+        context,
+        threadUrl: context?.threadUrl || null,
+        threadId: context?.threadId || null,
+        message: request.message || proposal.messageDraft,
+        delivered: Boolean(delivery.sent)
+      });
+
+      sendResponse({ success: true, proposal: updated, delivery });
+
+    } catch (error) {
+      console.error('Error sending proposal:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async chooseProposedSlot(request, sendResponse) {
+    try {
+      const proposal = await this.storage.getProposal(request.proposalId);
+      const slot = proposal?.slots[request.slotIndex];
+
+      if (!proposal || !slot) {
+        sendResponse({ success: false, error: 'Proposed slot not found' });
+        return;
+      }
+
+      // Only an open proposal can be booked; its holds are gone otherwise
+      if (proposal.status !== 'sent') {
+        sendResponse({
+          success: false,
+          error: proposal.status === 'drafted'
+            ? 'Send the proposal before booking one of its times'
+            : `This proposal has already been ${proposal.status}`
+        });
+        return;
+      }
+
+      const local = this.timezoneHandler.formatWithTimezone(slot.start, proposal.userTimezone);
+      const times = this.timezoneHandler.formatMeetingTimes(
+        slot.start,
+        proposal.duration,
+        proposal.userTimezone,
+        proposal.attendees ? null : proposal.participantTimezone
+      );
+      const message = await this.aiProcessor.generateMeetingMessage({
+        participantName: proposal.participantName,
+        date: local.dateFormatted,
+        time: local.timeFormatted,
+        timezone: proposal.userTimezone,
+        times,
+        duration: proposal.duration,
+        platform: proposal.platform,
+        attendees: proposal.attendees,
+        context: proposal.context?.messages
+      });
+
+      const result = await this.bookMeeting({
+        email: request.email || proposal.email,
+        date: local.date,
+        time: local.time,
+        timezone: proposal.userTimezone,
+        participantTimezone: proposal.participantTimezone,
+        duration: proposal.duration,
+        platform: proposal.platform,
+        attendees: proposal.attendees,
+        message,
+        context: proposal.context
+      });
+
+      // Until the meeting is really booked (not failed, not waiting for a
+      // retry) the holds keep the slots and the proposal stays open
+      if (result.success && !result.queued) {
+        // The real event replaces the hold, so release all of them
+        await this.releaseHolds(proposal.slots);
+        await this.storage.updateProposal(proposal.id, {
+          status: 'booked',
+          chosenSlot: request.slotIndex
+        });
+      }
+
+      sendResponse(result);
+
+    } catch (error) {
+      console.error('Error booking proposed slot:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async releaseProposal(request, sendResponse) {
+    try {
+      const proposal = await this.storage.getProposal(request.proposalId);
+      if (!proposal) {
+        sendResponse({ success: false, error: 'Proposal not found' });
+        return;
+      }
+
+      await this.releaseHolds(proposal.slots);
+      const updated = await this.storage.updateProposal(proposal.id, {
+        status: request.declined ? 'declined' : 'released'
+      });
+
+      sendResponse({ success: true, proposal: updated });
+    } catch (error) {
+      console.error('Error releasing proposal:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async releaseHolds(slots) {
+    for (const slot of slots) {
+      if (!slot.holdEventId) continue;
+
+      try {
+        await this.calendarService.deleteEvent(slot.holdEventId, slot.holdCalendarId);
+      } catch (error) {
+        // Already removed by hand is fine; keep releasing the rest
+        console.warn('Could not release hold:', slot.holdEventId, error);
+      }
+    }
+  }
+
+  // New message from the participant, seen by the content script's thread
+  // watcher. Only threads with an open proposal or unconfirmed invite count.
+  async handleIncomingReply(request, sendResponse) {
+    try {
+      const { message, threadId } = request;
+
+      const proposal = await this.findPendingProposal(threadId);
+      const meeting = proposal ? null : await this.findPendingMeeting(threadId);
+
+      if (!proposal && !meeting) {
+        sendResponse({ ignored: true });
+        return;
+      }
+
+      const settings = await this.storage.getSettings();
+      const classification = await this.aiProcessor.classifyReply(message, {
+        // An invite is a single slot: "Thursday at 3 works" confirms it
+        slots: proposal?.slots || [{ start: meeting.startTime }],
+        userTimezone: proposal?.userTimezone || meeting?.timezone || settings.defaultTimezone,
+        participantTimezone: proposal?.participantTimezone
+      });
+
+      const outcome = proposal
+        ? await this.applyReplyToProposal(proposal, classification)
+        : await this.applyReplyToMeeting(meeting, classification);
+
+      sendResponse({
+        success: true,
+        intent: classification.intent,
+        ...outcome
+      });
+
+    } catch (error) {
+      console.error('Error handling reply:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async applyReplyToProposal(proposal, classification) {
+    switch (classification.intent) {
+      case 'pick':
+        // Reading a reply is never certain enough to book on; suggest the
+        // slot and let the user book it
+        return {
+          outcome: 'suggestedPick',
+          proposalId: proposal.id,
+          slotIndex: classification.slotIndex,
+          slot: proposal.slots[classification.slotIndex]
+        };
+
+      case 'decline':
+        // Same as a pick: suggest releasing the holds and let the user confirm
+        return {
+          outcome: 'suggestedRelease',
+          proposalId: proposal.id,
+          draft: this.aiProcessor.declineResponseMessage({ participantName: proposal.participantName })
+        };
+
+      case 'counter':
+        return {
+          outcome: 'counter',
+          proposalId: proposal.id,
+          ...(await this.draftCounterResponse(
+            classification.proposedStart,
+            proposal.duration,
+            proposal.userTimezone,
+            proposal.participantTimezone,
+            proposal.participantName,
+            this.getInviteeEmails(proposal)
+          ))
+        };
+
+      case 'accept':
+        // "Works for me" with a single option on the table likely means that one
+        if (proposal.slots.length === 1) {
+          return { outcome: 'suggestedPick', proposalId: proposal.id, slotIndex: 0, slot: proposal.slots[0] };
+        }
+        // Agreed, but we can't tell which option
+        return { outcome: 'needsChoice', proposalId: proposal.id, slots: proposal.slots };
+
+      default:
+        return { outcome: 'none' };
+    }
+  }
+
+  async applyReplyToMeeting(meeting, classification) {
+    switch (classification.intent) {
+      case 'pick':
+      case 'accept':
+        // The user marks it confirmed from the notice
+        return { outcome: 'suggestedConfirm', meetingId: meeting.id };
+
+      case 'decline':
+        return {
+          outcome: 'declined',
+          meetingId: meeting.id,
+          draft: this.aiProcessor.declineResponseMessage({ participantName: meeting.participantName })
+        };
+
+      case 'counter':
+        return {
+          outcome: 'counter',
+          meetingId: meeting.id,
+          ...(await this.draftCounterResponse(
+            classification.proposedStart,
+            meeting.duration,
+            meeting.timezone,
+            meeting.timezone,
+            meeting.participantName,
+            this.getInviteeEmails(meeting)
+          ))
+        };
+
+      default:
+        return { outcome: 'none' };
+    }
+  }
+
+  async draftCounterResponse(proposedStart, duration, userTimezone, participantTimezone, participantName, attendeeEmails = []) {
+    // The model may spot a counter-proposal without a time we can pin down
+    if (!proposedStart) {
+      return { proposedStart: null, available: null, draft: null };
+    }
+
+    const local = this.timezoneHandler.formatWithTimezone(proposedStart, userTimezone);
+    const theirs = this.timezoneHandler.formatWithTimezone(proposedStart, participantTimezone);
+
+    const settings = await this.storage.getSettings();
+    const freeSlots = await this.calendarService.checkAvailability(local.date, duration, attendeeEmails, {
+      ...this.getAvailabilityOptions(settings),
+      timeZone: userTimezone
+    });
+    const available = freeSlots.some(slot =>
+      new Date(slot.start).getTime() === new Date(proposedStart).getTime()
+    );
+
+    return {
+      proposedStart,
+      proposedDate: local.date,
+      proposedTime: local.time,
+      available,
+      draft: this.aiProcessor.counterResponseMessage({
+        participantName,
+        available,
+        userTime: `${local.dateFormatted} at ${local.timeFormatted} ${local.tzAbbr}`,
+        participantTime: `${theirs.timeFormatted} ${theirs.tzAbbr}`
+      })
+    };
+  }
+
+  async findPendingProposal(threadId) {
+    if (!threadId) return null;
+
+    const proposals = await this.storage.getProposals();
+    return proposals.find(proposal =>
+      proposal.status === 'sent' && proposal.threadId === threadId
+    ) || null;
+  }
+
+  async findPendingMeeting(threadId) {
+    if (!threadId) return null;
+
+    const history = await this.storage.getMeetingHistory();
+    return history.find(meeting =>
+      ['drafted', 'sent'].includes(meeting.status) && meeting.threadId === threadId
+    ) || null;
+  }
+
+  // Recurring meetings change as a whole series (the default) or, with
+  // scope 'occurrence' and the occurrence's original date, just that one
+  async rescheduleMeeting(request, sendResponse) {
+    try {
+      const { meetingId, date, time, notify = true } = request;
+
+      const meeting = await this.storage.getMeetingById(meetingId);
+      if (!meeting) {
+        sendResponse({ success: false, error: 'Meeting not found in history' });
+        return;
+      }
+      if (meeting.status === 'cancelled') {
+        sendResponse({ success: false, error: 'Meeting has already been cancelled' });
+        return;
+      }
+
+      const occurrence = this.resolveOccurrence(meeting, request);
+      const timezone = request.timezone || meeting.timezone;
+      const duration = request.duration || meeting.duration;
+      const dateTime = this.parseDateAndTime(date, time, timezone);
+
+      // A weekly series moved to another weekday moves its weekday too
+      const recurrence = meeting.recurrence && !occurrence
+        ? moveRecurrence(meeting.recurrence, date)
+        : null;
+
+      // Steps 1-3: Move the calendar event, the link and the history entry
+      const saga = await this.sagas.start('rescheduleMeeting', {
+        meeting,
+        occurrence,
+        date,
+        time: dateTime.time,
+        timezone,
+        duration,
+        startTime: dateTime.startTime,
+        eventTimes: this.calendarService.buildEventTimes(dateTime.dateTime, timezone, duration),
+        recurrence
+      }, this.getRescheduleMeetingSteps());
+
+      if (saga.status !== 'completed') {
+        sendResponse({ success: false, status: saga.status, steps: saga.steps, error: this.describeUndoneChange(saga, 'rescheduled') });
+        return;
+      }
+
+      // Step 4: Let the participant know in the LinkedIn thread
+      let delivery = null;
+      if (notify) {
+        const times = this.timezoneHandler.formatMeetingTimes(
+          dateTime.startTime,
+          duration,
+          meeting.userTimezone || timezone,
+          meeting.participantTimezone
+        );
+        delivery = await this.sendLinkedInMessage(
+          this.getMeetingContext(meeting),
+          this.aiProcessor.rescheduleMessage({
+            participantName: meeting.participantName,
+            attendees: meeting.attendees,
+            date: times.user.date,
+            time: dateTime.timeFormatted,
+            timezone,
+            times,
+            duration,
+            meetingLink: meeting.meetingLink,
+            occurrenceDate: occurrence ? this.parseDateAndTime(occurrence.date, meeting.time, meeting.timezone).dateFormatted : null,
+            repeats: recurrence ? describeRecurrence(recurrence, date) : null
+          })
+        );
+      }
+
+      sendResponse({
+        success: true,
+        meeting: saga.state.meeting,
+        delivery,
+        timeWarning: dateTime.warning,
+        message: occurrence
+          ? 'Occurrence rescheduled successfully!'
+          : 'Meeting rescheduled successfully!'
+      });
+
+    } catch (error) {
+      console.error('Error rescheduling meeting:', error);
+      sendResponse({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+
+  // Moving a meeting touches the calendar, the platform and our history.
+  // If any of them fails, the ones already moved are moved back.
+  getRescheduleMeetingSteps() {
+    return [
+      {
+        name: 'moveCalendarEvent',
+        onFailure: 'rollback',
+        run: async (state, { meeting, occurrence, eventTimes, recurrence, timezone }) => {
+          if (occurrence) {
+            const instance = await this.calendarService.findInstance(meeting.calendarEventId, occurrence.originalStart, meeting.calendarId);
+            await this.calendarService.updateEvent(instance.id, eventTimes, meeting.calendarId);
+            // It may have been moved before, so remember where it was
+            return { instanceId: instance.id, previousTimes: { start: instance.start, end: instance.end } };
+          }
+
+          await this.calendarService.updateEvent(
+            meeting.calendarEventId,
+            recurrence ? { ...eventTimes, recurrence: [toRRule(recurrence, timezone)] } : eventTimes,
+            meeting.calendarId
+          );
+          return {};
+        },
+        compensate: async (state, { meeting, recurrence }) => {
+          if (state.instanceId) {
+            await this.calendarService.updateEvent(state.instanceId, state.previousTimes, meeting.calendarId);
+            return;
+          }
+
+          const previousTimes = this.calendarService.buildEventTimes(meeting.startTime, meeting.timezone, meeting.duration);
+          await this.calendarService.updateEvent(
+            meeting.calendarEventId,
+            recurrence ? { ...previousTimes, recurrence: [toRRule(meeting.recurrence, meeting.timezone)] } : previousTimes,
+            meeting.calendarId
+          );
+        }
+      },
+      {
+        name: 'moveLink',
+        onFailure: 'rollback',
+        // Move the Zoom/Teams meeting so the link stays valid
+        run: async (state, { meeting, occurrence, date, timezone, duration, startTime, recurrence }) => {
+          await this.meetingPlatform.updateMeeting(meeting.platform, meeting.platformMeetingId, {
+            startTime,
+            date,
+            timezone,
+            duration,
+            recurrence,
+            occurrenceStart: occurrence?.originalStart || null
+          });
+          return {};
+        },
+        compensate: async (state, { meeting, occurrence, recurrence }) => {
+          await this.meetingPlatform.updateMeeting(meeting.platform, meeting.platformMeetingId, {
+            startTime: occurrence ? state.previousTimes.start.dateTime : meeting.startTime,
+            date: occurrence ? occurrence.date : meeting.date,
+            timezone: meeting.timezone,
+            duration: meeting.duration,
+            recurrence: recurrence ? meeting.recurrence : null,
+            occurrenceStart: occurrence?.originalStart || null
+          });
+        }
+      },
+      {
+        name: 'recordHistory',
+        onFailure: 'rollback',
+        // A single occurrence is an exception to the series, which keeps
+        // its own date and status
+        run: async (state, { meeting, occurrence, date, time, timezone, duration, startTime, recurrence }) => {
+          const updated = occurrence
+            ? await this.storage.updateMeetingHistory(meeting.id, {
+              exceptions: this.addOccurrenceException(meeting, {
+                date: occurrence.date,
+                status: 'rescheduled',
+                newDate: date,
+                newTime: time
+              })
+            })
+            : await this.storage.updateMeetingStatus(meeting.id, 'rescheduled', {
+              date,
+              time,
+              timezone,
+              startTime,
+              duration,
+              ...(recurrence ? { recurrence } : {}),
+              rescheduledAt: new Date().toISOString()
+            });
+
+          if (!updated) {
+            throw new Error('Could not update the meeting in history');
+          }
+
+          return { meeting: updated };
+        }
+        // Last step: nothing after it can fail and need it undone
+      }
+    ];
+  }
+
+  async cancelMeeting(request, sendResponse) {
+    try {
+      const { meetingId, reason, notify = true } = request;
+
+      const meeting = await this.storage.getMeetingById(meetingId);
+      if (!meeting) {
+        sendResponse({ success: false, error: 'Meeting not found in history' });
+        return;
+      }
+      if (meeting.status === 'cancelled') {
+        sendResponse({ success: true, meeting, message: 'Meeting was already cancelled' });
+        return;
+      }
+
+      const occurrence = this.resolveOccurrence(meeting, request);
+
+      // Steps 1-3: Remove the calendar event, mark the history entry and
+      // revoke the link
+      const saga = await this.sagas.start('cancelMeeting', {
+        meeting,
+        occurrence,
+        reason: reason || null
+      }, this.getCancelMeetingSteps());
+
+      if (saga.status !== 'completed') {
+        sendResponse({ success: false, status: saga.status, steps: saga.steps, error: this.describeUndoneChange(saga, 'cancelled') });
+        return;
+      }
+
+      // Step 4: Let the participant know in the LinkedIn thread
+      let delivery = null;
+      if (notify) {
+        const dateTime = this.parseDateAndTime(occurrence?.date || meeting.date, meeting.time, meeting.timezone);
+        delivery = await this.sendLinkedInMessage(
+          this.getMeetingContext(meeting),
+          this.aiProcessor.cancellationMessage({
+            participantName: meeting.participantName,
+            attendees: meeting.attendees,
+            date: dateTime.dateFormatted,
+            time: dateTime.timeFormatted,
+            timezone: meeting.timezone,
+            reason,
+            repeats: meeting.recurrence ? describeRecurrence(meeting.recurrence, meeting.date) : null,
+            singleOccurrence: Boolean(occurrence)
+          })
+        );
+      }
+
+      sendResponse({
+        success: true,
+        meeting: saga.state.meeting,
+        delivery,
+        message: occurrence
+          ? 'Occurrence cancelled successfully!'
+          : 'Meeting cancelled successfully!'
+      });
+
+    } catch (error) {
+      console.error('Error cancelling meeting:', error);
+      sendResponse({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+
+  // A deleted calendar event can be restored, a revoked Zoom/Teams meeting
+  // can't, so the link goes last and only once everything else is done
+  getCancelMeetingSteps() {
+    return [
+      {
+        name: 'removeCalendarEvent',
+        onFailure: 'rollback',
+        run: async (state, { meeting, occurrence }) => {
+          const eventId = occurrence
+            ? (await this.calendarService.findInstance(meeting.calendarEventId, occurrence.originalStart, meeting.calendarId)).id
+            : meeting.calendarEventId;
+          await this.calendarService.deleteEvent(eventId, meeting.calendarId);
+          return { eventId };
+        },
+        compensate: async (state, { meeting }) => {
+          // Google keeps deleted events; confirming one brings it back
+          await this.calendarService.updateEvent(state.eventId, { status: 'confirmed' }, meeting.calendarId);
+        }
+      },
+      {
+        name: 'recordHistory',
+        onFailure: 'rollback',
+        run: async (state, { meeting, occurrence, reason }) => {
+          const updated = occurrence
+            ? await this.storage.updateMeetingHistory(meeting.id, {
+              exceptions: this.addOccurrenceException(meeting, {
+                date: occurrence.date,
+                status: 'cancelled',
+                reason
+              })
+            })
+            : await this.storage.updateMeetingStatus(meeting.id, 'cancelled', {
+              cancelledAt: new Date().toISOString(),
+              cancellationReason: reason
+            });
+
+          if (!updated) {
+            throw new Error('Could not update the meeting in history');
+          }
+
+          return { meeting: updated };
+        },
+        compensate: async (state, { meeting, occurrence }) => {
+          await this.storage.updateMeetingHistory(meeting.id, occurrence
+            ? { exceptions: meeting.exceptions || [] }
+            : {
+              status: meeting.status,
+              statusHistory: meeting.statusHistory || [],
+              cancelledAt: null,
+              cancellationReason: null
+            });
+        }
+      },
+      {
+        name: 'revokeLink',
+        onFailure: 'rollback',
+        run: async (state, { meeting, occurrence }) => {
+          await this.meetingPlatform.deleteMeeting(meeting.platform, meeting.platformMeetingId, {
+            occurrenceStart: occurrence?.originalStart || null
+          });
+          return {};
+        }
+      }
+    ];
+  }
+
+  // Why a reschedule or cancellation didn't happen, and whether anything
+  // it changed is still changed
+  describeUndoneChange(saga, action) {
+    return saga.status === 'rolledBack'
+      ? `Meeting was not ${action}: ${saga.error}`
+      : `Meeting was not ${action}: ${saga.error}. Some changes could not be undone, please check your calendar.`;
+  }
+
+  // The occurrence a request targets, or null for the whole meeting.
+  // `originalStart` is when it was scheduled, which is how calendars and
+  // platforms identify it even after it has been moved.
+  resolveOccurrence(meeting, { scope = 'series', occurrenceDate } = {}) {
+    if (scope !== 'occurrence') {
+      return null;
+    }
+    if (!meeting.recurrence) {
+      throw new Error('Only recurring meetings have occurrences');
+    }
+    if (!listOccurrences(meeting.recurrence, meeting.date).includes(occurrenceDate)) {
+      throw new Error('That date is not an occurrence of this meeting');
+    }
+    if (meeting.exceptions?.some(exception => exception.date === occurrenceDate && exception.status === 'cancelled')) {
+      throw new Error('That occurrence has already been cancelled');
+    }
+
+    return {
+      date: occurrenceDate,
+      originalStart: this.timezoneHandler.resolveLocalTime(occurrenceDate, meeting.time, meeting.timezone).instant
+    };
+  }
+
+  // One entry per occurrence; the latest change wins
+  addOccurrenceException(meeting, exception) {
+    return [
+      ...(meeting.exceptions || []).filter(existing => existing.date !== exception.date),
+      { ...exception, at: new Date().toISOString() }
+    ].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // A room password and dial-in numbers, when there are any, go under the link
+  insertMeetingLinkInMessage(message, link, { password = null, dialIn = [], moreDialInLink = null } = {}) {
+    // No link: drop the placeholder line rather than leave it dangling
+    if (!link) {
+      return message.replace(/^.*\[(Google Meet Link|Meeting Link|Zoom Link)\].*(\n|$)/gm, '').trimEnd();
+    }
+
+    let extraLines = password ? `\n🔑 Password: ${password}` : '';
+    if (dialIn.length > 0) {
+      const { number, pin } = dialIn[0];
+      extraLines += `\n📞 Dial-in: ${number}${pin ? ` (PIN: ${pin})` : ''}`;
+      if (moreDialInLink) {
+        extraLines += `\n🌐 More numbers: ${moreDialInLink}`;
+      }
+    }
+
+    // Replace placeholder or append link
+    if (message.includes('[Google Meet Link]') || 
+        message.includes('[Meeting Link]') ||
+        message.includes('[Zoom Link]')) {
+      return message.replace(/\[(Google Meet Link|Meeting Link|Zoom Link)\]/g, link + extraLines);
+    }
+    return message + `\n\n🔗 Meeting Link: ${link}${extraLines}`;
+  }
+
+  // Deliver a message into the exact conversation the meeting was planned
+  // in. The content script refuses unless the composer belongs to that
+  // thread, so with several LinkedIn tabs open nothing lands in the wrong chat.
+  async sendLinkedInMessage(context, message, { allowAutoSend = true } = {}) {
+    if (!context?.threadId) {
+      return {
+        success: false,
+        sent: false,
+        refused: true,
+        error: 'No LinkedIn conversation is linked to this meeting'
+      };
+    }
+
+    const candidates = await this.findThreadTabs(context);
+    const settings = await this.storage.getSettings();
+    let lastResult = null;
+
+    for (const tab of candidates) {
+      try {
+        lastResult = await chrome.tabs.sendMessage(tab.id, {
+          action: 'sendMessage',
+          message: message,
+          threadId: context.threadId,
+          autoSend: allowAutoSend && Boolean(settings.autoSendMessages)
+        });
+
+        if (lastResult?.success) {
+          return lastResult;
+        }
+      } catch (error) {
+        console.warn('Could not reach LinkedIn tab:', tab.id, error);
+      }
+    }
+
+    return lastResult || {
+      success: false,
+      sent: false,
+      refused: true,
+      error: 'The conversation is not open in any LinkedIn tab. Open it and try again.'
+    };
+  }
+
+  // The tab the context came from first, then any other tab on the thread
+  async findThreadTabs(context) {
+    const tabs = await chrome.tabs.query({ 
+      url: 'https://www.linkedin.com/messaging/*' 
+    });
+
+    return [
+      ...tabs.filter(tab => tab.id === context.tabId),
+      ...tabs.filter(tab => tab.id !== context.tabId &&
+        decodeURIComponent(tab.url || '').includes(`/messaging/thread/${context.threadId}`))
+    ];
+  }
+
+  // Enough context to route a follow-up note to a recorded meeting's thread
+  getMeetingContext(meeting) {
+    return {
+      participantInfo: { name: meeting.participantName, linkedInUrl: meeting.linkedInUrl },
+      threadId: meeting.threadId,
+      threadUrl: meeting.threadUrl,
+      tabId: meeting.tabId
+    };
+  }
+
+  async checkAvailability(request, sendResponse) {
+    try {
+      const { date, duration } = request;
+      const settings = await this.storage.getSettings();
+      // Rejected candidates come back too, each with its reason
+      const { slots, rejected, error } = await this.calendarService.findSlots(
+        date,
+        duration,
+        [],
+        {
+          ...this.getAvailabilityOptions(settings),
+          timeZone: request.timezone || settings.defaultTimezone
+        }
+      );
+      if (error) {
+        sendResponse({ error: `Could not check your calendar: ${error}` });
+        return;
+      }
+      sendResponse({ availability: slots, rejected });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
+  // A week of the user's working hours, busy time and bookable slots for
+  // the popup's grid, each placed as minutes into its day in the user's
+  // zone. With a one-to-one LinkedIn thread open, the participant's
+  // (assumed 9–5, Monday to Friday) working hours are laid over it.
+  async getWeekAvailability(request, sendResponse) {
+    try {
+      const settings = await this.storage.getSettings();
+      const availability = this.getAvailabilityOptions(settings);
+      const timezone = availability.timeZone;
+      const duration = request.duration || settings.defaultDuration || 30;
+      const participantZone = this.inferParticipantTimezone(request.context);
+      const theirHours = { ...DEFAULT_WORKING_HOURS, blocked: [] };
+      const inviteeEmails = [request.context?.participantInfo?.email].filter(Boolean);
+
+      const onDay = (periods, date) => periods
+        .map(period => ({
+          start: new Date(period.start).toISOString(),
+          end: new Date(period.end).toISOString(),
+          ...this.timezoneHandler.minutesOfDay(period, date, timezone)
+        }))
+        .filter(period => period.endMinute > period.startMinute);
+
+      // Their working day can straddle two of ours
+      const theirWorkingPeriods = (date) => [-1, 0, 1].flatMap(offset => {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() + offset);
+        const theirDate = day.toISOString().split('T')[0];
+        return this.timezoneHandler.wallClockPeriods(workingRanges(theirHours, theirDate), theirDate, participantZone.timezone);
+      });
+
+      const days = [];
+      const found = { slots: [], busy: [], windows: [] };
+      let error = null;
+      for (const date of this.timezoneHandler.getWeekDays(timezone, request.weekOffset || 0)) {
+        const result = await this.calendarService.findSlots(date, duration, inviteeEmails, availability);
+        error = error || result.error || null;
+        found.slots.push(...result.slots);
+        found.busy.push(...result.busy);
+        found.windows.push(...result.windows);
+
+        days.push({
+          date,
+          working: onDay(result.windows, date),
+          busy: onDay(result.busy, date),
+          free: onDay(result.slots, date),
+          participant: participantZone ? onDay(theirWorkingPeriods(date), date) : []
+        });
+      }
+
+      if (error && days.every(day => day.busy.length === 0 && day.free.length === 0)) {
+        sendResponse({ success: false, error });
+        return;
+      }
+
+      // Score every free slot the same way proposals do; the best few stand out
+      const ranked = await this.rankFreeSlots(found, settings, {
+        participantTimezones: participantZone ? [participantZone.timezone] : [],
+        messages: request.context?.messages
+      });
+      const rankOf = new Map(ranked.map((slot, index) => [new Date(slot.start).toISOString(), { ...slot, index }]));
+      for (const day of days) {
+        day.free = day.free.map(slot => {
+          const rank = rankOf.get(slot.start);
+          return { ...slot, score: rank.score, factors: rank.factors, best: rank.index < 3 };
+        });
+      }
+
+      sendResponse({
+        success: true,
+        timezone,
+        duration,
+        participant: participantZone
+          ? {
+            name: request.context?.participantInfo?.name || null,
+            timezone: participantZone.timezone,
+            reason: participantZone.reason
+          }
+          : null,
+        days
+      });
+    } catch (error) {
+      console.error('Error loading week availability:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Meeting details for a free slot picked in the availability view,
+  // drafted like a spoken command for that time would be
+  async draftMeetingAt(request, sendResponse) {
+    try {
+      const settings = await this.storage.getSettings();
+      const local = this.timezoneHandler.formatWithTimezone(request.start, settings.defaultTimezone);
+
+      const meetingDetails = await this.generateMeetingDetails(
+        { date: local.date, time: local.time, duration: request.duration },
+        request.context,
+        { participantZone: this.inferParticipantTimezone(request.context) }
+      );
+
+      sendResponse({ success: true, meetingDetails });
+    } catch (error) {
+      console.error('Error drafting meeting:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Calendars the popup can offer for busy time and new events
+  async listCalendars(sendResponse) {
+    try {
+      const calendars = await this.calendarService.listCalendars();
+      sendResponse({ success: true, calendars });
+    } catch (error) {
+      console.error('Error listing calendars:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async saveSettings(request, sendResponse) {
+    try {
+      await this.storage.saveSettings(request.settings);
+      // A new Teams app registration applies to the next sign-in
+      await this.meetingPlatform.loadCredentials();
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
+  async getSettings(sendResponse) {
+    try {
+      const settings = await this.storage.getSettings();
+      sendResponse({ settings });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
+  async getMeetingHistory(sendResponse) {
+    try {
+      const history = await this.storage.markCompletedMeetings();
+      sendResponse({ history });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+  }
+
+  async updateMeetingStatus(request, sendResponse) {
+    try {
+      const meeting = await this.storage.updateMeetingStatus(
+        request.meetingId,
+        request.status
+      );
+
+      if (!meeting) {
+        sendResponse({ success: false, error: 'Meeting not found in history' });
+        return;
+      }
+      sendResponse({ success: true, meeting });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
     }
   }
 
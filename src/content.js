@@ -1,10 +1,25 @@
 // Content script for LinkedIn messaging integration
 // Runs on linkedin.com/messaging/* to extract chat context and inject UI
 
-class LinkedInChatExtractor {
+import { platformRegistry } from './services/platform-registry.js';
+import { describeRecurrence, moveRecurrence } from './utils/recurrence.js';
+
+export class LinkedInChatExtractor {
   constructor() {
     this.overlayActive = false;
     this.currentContext = null;
+    this.seenMessages = new Set();
+    this.watchedThreadUrl = null;
+    this.replyObserver = null;
+    this.replyCheckTimer = null;
+    this.tabId = null;
+  }
+
+  // Content scripts can't see their own tab id; ask the background once
+  loadTabId() {
+    chrome.runtime.sendMessage({ action: 'getTabId' }, (response) => {
+      this.tabId = response?.tabId ?? null;
+    });
   }
 
   // Extract comprehensive chat context from LinkedIn messaging
@@ -12,8 +27,12 @@ class LinkedInChatExtractor {
     try {
       const context = {
         participantInfo: this.extractParticipantInfo(),
+        participants: this.extractParticipants(),
         messages: this.extractMessages(),
         profileUrl: this.extractProfileUrl(),
+        threadUrl: window.location.href,
+        threadId: this.extractThreadId(),
+        tabId: this.tabId,
         timestamp: new Date().toISOString()
       };
 
@@ -24,6 +43,13 @@ class LinkedInChatExtractor {
     }
   }
 
+  // Stable id for the open conversation, taken from LinkedIn's thread URL
+  // (/messaging/thread/<id>/). Null when no single thread is open.
+  extractThreadId() {
+    const match = window.location.pathname.match(/\/messaging\/thread\/([^/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
   extractParticipantInfo() {
     // Extract participant name from chat header
     const nameSelectors = [
@@ -48,13 +74,101 @@ class LinkedInChatExtractor {
     return {
       name,
       jobInfo,
+      location: this.extractParticipantLocation(),
       email: this.extractEmailFromChat(),
       linkedInUrl: this.extractProfileUrl()
     };
   }
 
-  extractMessages() {
-    // Extract recent messages from chat
+  // Location from the profile card beside the thread, or the header
+  // subtitle when it ends in one ("Engineer at Acme · London, UK")
+  extractParticipantLocation() {
+    const locationSelectors = [
+      '.msg-profile-card__location',
+      '.msg-thread__profile-card .artdeco-entity-lockup__caption',
+      '.msg-entity-lockup__entity-location'
+    ];
+
+    for (const selector of locationSelectors) {
+      const text = document.querySelector(selector)?.innerText.trim();
+      if (text) return text;
+    }
+
+    const subtitle = document.querySelector('.msg-overlay-bubble-header__subtitle, .msg-entity-lockup__entity-subtitle');
+    const parts = subtitle?.innerText.split('·') || [];
+    return parts.length > 1 ? parts[parts.length - 1].trim() : null;
+  }
+
+  // Everyone else in the conversation, as { name, linkedInUrl, email }.
+  // Group threads link each member in the header; senders of incoming
+  // messages fill in anyone the header leaves out.
+  extractParticipants() {
+    const participants = new Map();
+    const add = (name, linkedInUrl) => {
+      const cleanName = name?.trim();
+      const url = linkedInUrl ? linkedInUrl.split('?')[0] : null;
+      const key = url || cleanName?.toLowerCase();
+
+      if (!cleanName || !key || participants.has(key)) return;
+      participants.set(key, { name: cleanName, linkedInUrl: url, email: null });
+    };
+
+    document.querySelectorAll(
+      '.msg-thread-header a[href*="/in/"], .msg-overlay-bubble-header a[href*="/in/"], .msg-entity-lockup a[href*="/in/"]'
+    ).forEach(link => {
+      add(link.innerText || link.getAttribute('aria-label') || link.querySelector('img')?.alt, link.href);
+    });
+
+    const messageElements = this.getMessageElements();
+    for (const element of messageElements) {
+      if (!this.isIncomingMessage(element, [])) continue;
+
+      const sender = element.querySelector('.msg-s-message-group__name, .msg-s-message-list__name');
+      const link = element.querySelector('.msg-s-message-group__profile-link, a[href*="/in/"]');
+      add(sender?.innerText, link?.href);
+    }
+
+    // One-to-one threads: fall back to the header
+    if (participants.size === 0) {
+      const { name, linkedInUrl } = this.extractParticipantInfo();
+      add(name, linkedInUrl);
+    }
+
+    const list = Array.from(participants.values());
+    this.assignEmails(list, messageElements);
+    return list;
+  }
+
+  // An address belongs to the person it names ("jane.doe@..."), otherwise
+  // to whoever sent it
+  assignEmails(participants, messageElements) {
+    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+    let lastSender = null;
+
+    for (const element of messageElements) {
+      const sender = element.querySelector('.msg-s-message-group__name, .msg-s-message-list__name');
+      // Consecutive messages from one person only name them once
+      if (sender) {
+        lastSender = this.isIncomingMessage(element, []) ? sender.innerText.trim() : null;
+      }
+
+      const content = element.querySelector('.msg-s-event-listitem__body, .msg-s-message-list__event-text');
+      const emails = content?.innerText.match(emailRegex) || [];
+
+      for (const email of emails) {
+        const localPart = email.split('@')[0].toLowerCase();
+        const owner = participants.find(participant =>
+          participant.name.toLowerCase().split(/\s+/).some(part => part.length > 1 && localPart.includes(part))
+        ) || participants.find(participant => participant.name === lastSender);
+
+        if (owner && !owner.email) {
+          owner.email = email.toLowerCase();
+        }
+      }
+    }
+  }
+
+  getMessageElements() {
     const messageSelectors = [
       '.msg-s-message-list__event',
       '.msg-s-event-listitem'
@@ -65,6 +179,12 @@ class LinkedInChatExtractor {
       messageElements = Array.from(document.querySelectorAll(selector));
       if (messageElements.length > 0) break;
     }
+    return messageElements;
+  }
+
+  extractMessages() {
+    // Extract recent messages from chat
+    const messageElements = this.getMessageElements();
 
     return messageElements.slice(-20).map(msg => {
       const senderElement = msg.querySelector('.msg-s-message-group__name, .msg-s-message-list__name');
@@ -74,7 +194,8 @@ class LinkedInChatExtractor {
       return {
         sender: senderElement ? senderElement.innerText.trim() : 'Unknown',
         content: contentElement ? contentElement.innerText.trim() : '',
-        timestamp: timeElement ? timeElement.getAttribute('datetime') : null
+        timestamp: timeElement ? timeElement.getAttribute('datetime') : null,
+        incoming: this.isIncomingMessage(msg, [])
       };
     }).filter(msg => msg.content); // Filter out empty messages
   }
@@ -110,6 +231,297 @@ class LinkedInChatExtractor {
     return null;
   }
 
+  // Watch the open thread for new messages from the other person so the
+  // background can react to replies to our invites and proposed times
+  startReplyWatcher() {
+    if (this.replyObserver) return;
+
+    this.markExistingMessagesSeen();
+
+    this.replyObserver = new MutationObserver(() => {
+      // LinkedIn re-renders in bursts; look once things settle
+      clearTimeout(this.replyCheckTimer);
+      this.replyCheckTimer = setTimeout(() => this.checkForNewReplies(), 500);
+    });
+
+    this.replyObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  markExistingMessagesSeen() {
+    this.watchedThreadUrl = window.location.href;
+    this.getMessageElements().forEach(element => this.seenMessages.add(this.getMessageKey(element)));
+  }
+
+  checkForNewReplies() {
+    // Switching threads loads older messages we must not treat as new
+    if (window.location.href !== this.watchedThreadUrl) {
+      this.markExistingMessagesSeen();
+      return;
+    }
+
+    const participantNames = [
+      this.extractParticipantInfo().name,
+      ...this.extractParticipants().map(participant => participant.name)
+    ];
+
+    for (const element of this.getMessageElements()) {
+      const key = this.getMessageKey(element);
+      if (this.seenMessages.has(key)) continue;
+      this.seenMessages.add(key);
+
+      if (!this.isIncomingMessage(element, participantNames)) continue;
+
+      const content = element.querySelector('.msg-s-event-listitem__body, .msg-s-message-list__event-text');
+      const text = content ? content.innerText.trim() : '';
+      if (!text) continue;
+
+      chrome.runtime.sendMessage({
+        action: 'incomingReply',
+        message: text,
+        threadId: this.extractThreadId(),
+        threadUrl: window.location.href
+      }, (response) => {
+        if (response && response.success) {
+          this.showReplyNotice(response);
+        }
+      });
+    }
+  }
+
+  // LinkedIn replaces message nodes when it re-renders, so remember
+  // messages by their event URN, or failing that by thread, sender and text
+  getMessageKey(element) {
+    const urn = element.getAttribute('data-event-urn') ||
+      element.querySelector('[data-event-urn]')?.getAttribute('data-event-urn');
+    if (urn) return urn;
+
+    const sender = element.querySelector('.msg-s-message-group__name, .msg-s-message-list__name');
+    const content = element.querySelector('.msg-s-event-listitem__body, .msg-s-message-list__event-text');
+    return this.hashText([
+      this.extractThreadId(),
+      sender?.innerText.trim() || '',
+      content?.innerText.trim() || ''
+    ].join('\n'));
+  }
+
+  hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return `hash:${hash}`;
+  }
+
+  isIncomingMessage(element, participantNames) {
+    if (element.matches('.msg-s-event-listitem--other') ||
+        element.querySelector('.msg-s-event-listitem--other')) {
+      return true;
+    }
+
+    const sender = element.querySelector('.msg-s-message-group__name, .msg-s-message-list__name');
+    return Boolean(sender && participantNames.includes(sender.innerText.trim()));
+  }
+
+  showReplyNotice(result) {
+    const notices = {
+      suggestedPick: `👉 They seem to have picked option ${result.slotIndex + 1}. Book it?`,
+      suggestedRelease: '↩️ They seem to have declined the proposed times. Release the holds?',
+      suggestedConfirm: '👍 They seem to have accepted the invite. Mark it confirmed?',
+      declined: '❌ They can\'t make the meeting.',
+      counter: result.available
+        ? '🔁 They suggested another time, and you\'re free then.'
+        : '🔁 They suggested another time.',
+      needsChoice: '👍 They agreed, but didn\'t say which option. Pick one in the assistant.',
+      error: `⚠️ ${result.error}`
+    };
+
+    const confirmLabels = {
+      suggestedPick: 'Book It',
+      suggestedConfirm: 'Mark Confirmed',
+      suggestedRelease: 'Release Holds'
+    };
+
+    const text = notices[result.outcome];
+    if (!text) return;
+
+    document.getElementById('meeting-assistant-notice')?.remove();
+
+    const notice = document.createElement('div');
+    notice.id = 'meeting-assistant-notice';
+    notice.className = 'meeting-assistant-notice';
+    notice.innerHTML = `
+      <div class="notice-header">
+        <span class="notice-text"></span>
+        <button class="assistant-close" id="close-notice">×</button>
+      </div>
+      ${confirmLabels[result.outcome] ? `
+        <div class="confirmation-actions" id="notice-suggestion-actions">
+          <button class="btn btn-primary" id="confirm-notice-suggestion">${confirmLabels[result.outcome]}</button>
+          <button class="btn btn-secondary" id="dismiss-notice-suggestion">Not Now</button>
+        </div>
+      ` : ''}
+      ${result.draft ? `
+        <textarea class="message-textarea" id="notice-draft" rows="5"></textarea>
+        <div class="confirmation-actions">
+          <button class="btn btn-primary" id="insert-notice-draft">Insert in Chat</button>
+          <button class="btn btn-secondary" id="copy-notice-draft">Copy Reply</button>
+        </div>
+      ` : ''}
+    `;
+    document.body.appendChild(notice);
+
+    notice.querySelector('.notice-text').textContent = text;
+    if (result.draft) {
+      document.getElementById('notice-draft').value = result.draft;
+    }
+
+    document.getElementById('close-notice')?.addEventListener('click', () => notice.remove());
+    document.getElementById('dismiss-notice-suggestion')?.addEventListener('click', () => notice.remove());
+    document.getElementById('confirm-notice-suggestion')?.addEventListener('click', () => {
+      const requests = {
+        suggestedPick: { action: 'chooseProposedSlot', proposalId: result.proposalId, slotIndex: result.slotIndex },
+        suggestedConfirm: { action: 'updateMeetingStatus', meetingId: result.meetingId, status: 'confirmed' },
+        suggestedRelease: { action: 'releaseProposal', proposalId: result.proposalId, declined: true }
+      };
+      const successes = {
+        suggestedPick: 'Meeting booked and holds released!',
+        suggestedConfirm: 'Meeting marked as confirmed',
+        suggestedRelease: 'Holds released'
+      };
+
+      chrome.runtime.sendMessage(requests[result.outcome], (response) => {
+        if (response && response.success) {
+          // Keep a drafted reply around until it's been used
+          if (result.draft) {
+            document.getElementById('notice-suggestion-actions')?.remove();
+          } else {
+            notice.remove();
+          }
+          this.showSuccess(successes[result.outcome]);
+        } else {
+          this.showError(response?.error || 'Failed to update the meeting');
+        }
+      });
+    });
+    document.getElementById('insert-notice-draft')?.addEventListener('click', async () => {
+      const delivery = await this.deliverMessage(document.getElementById('notice-draft').value, false, this.extractThreadId());
+      if (!delivery.success) {
+        // Keep the notice so the reply can still be copied
+        this.showError(delivery.error);
+        return;
+      }
+      notice.remove();
+    });
+    document.getElementById('copy-notice-draft')?.addEventListener('click', () => {
+      navigator.clipboard.writeText(document.getElementById('notice-draft').value);
+    });
+  }
+
+  // Find the composer of the given thread, or null if we can't be sure which
+  // conversation a composer belongs to. Overlay chat bubbles have their own
+  // composers, so only the main thread pane's composer is ever used.
+  findComposer(threadId) {
+    if (!threadId || this.extractThreadId() !== threadId) {
+      return null;
+    }
+
+    const composerSelectors = [
+      '.msg-form__contenteditable[contenteditable="true"]',
+      '.msg-form [role="textbox"][contenteditable="true"]'
+    ];
+
+    for (const selector of composerSelectors) {
+      const element = Array.from(document.querySelectorAll(selector))
+        .find(candidate => !candidate.closest('.msg-overlay-conversation-bubble'));
+      if (element) return element;
+    }
+    return null;
+  }
+
+  // Write text into LinkedIn's composer. It's a contenteditable driven by
+  // its own editor, so setting innerText alone leaves the send button
+  // disabled; going through execCommand fires the input events it listens to.
+  fillComposer(composer, text) {
+    composer.focus();
+
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(composer);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const lines = text.split('\n');
+    document.execCommand('delete', false);
+
+    let inserted = true;
+    lines.forEach((line, index) => {
+      if (index > 0) {
+        inserted = inserted && document.execCommand('insertParagraph', false);
+      }
+      if (line) {
+        inserted = inserted && document.execCommand('insertText', false, line);
+      }
+    });
+
+    if (!inserted) {
+      // Fallback: build the paragraphs ourselves and announce the change
+      composer.innerHTML = lines
+        .map(line => `<p>${line ? line.replace(/&/g, '&amp;').replace(/</g, '&lt;') : '<br>'}</p>`)
+        .join('');
+      composer.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        inputType: 'insertText',
+        data: text
+      }));
+    }
+  }
+
+  async clickSendButton() {
+    const sendSelectors = [
+      '.msg-form__send-button',
+      '.msg-form__send-btn',
+      '.msg-form button[type="submit"]'
+    ];
+
+    // The button only enables once LinkedIn has processed the input
+    for (let attempt = 0; attempt < 20; attempt++) {
+      for (const selector of sendSelectors) {
+        const button = document.querySelector(selector);
+        if (button && !button.disabled) {
+          button.click();
+          return true;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return false;
+  }
+
+  // Handle the background's sendMessage action: draft, or send when
+  // auto-send is enabled in settings
+  async deliverMessage(message, autoSend, threadId) {
+    const composer = this.findComposer(threadId);
+    if (!composer) {
+      return {
+        success: false,
+        sent: false,
+        refused: true,
+        error: 'Could not confirm the message box belongs to this conversation. Open the conversation and try again.'
+      };
+    }
+
+    this.fillComposer(composer, message);
+
+    if (!autoSend) {
+      return { success: true, sent: false };
+    }
+
+    const sent = await this.clickSendButton();
+    return sent
+      ? { success: true, sent: true }
+      : { success: true, sent: false, error: 'Message left as a draft: the send button did not become available.' };
+  }
+
   // Inject assistant overlay UI into LinkedIn
   injectAssistantOverlay() {
     if (document.getElementById('meeting-assistant-overlay')) {
@@ -199,16 +611,106 @@ class LinkedInChatExtractor {
   }
 
   processVoiceCommand(command) {
+    this.currentContext = this.extractChatContext();
+
     // Send command and context to background for AI processing
     chrome.runtime.sendMessage({
       action: 'processSchedulingCommand',
       command: command,
       context: this.currentContext
+    }, (response) => this.handleSchedulingResponse(response));
+  }
+
+  // A free time picked in the popup's availability view: draft a meeting
+  // for it with this conversation's details and show it for confirmation
+  draftMeetingAt(start, duration) {
+    this.currentContext = this.extractChatContext();
+
+    chrome.runtime.sendMessage({
+      action: 'draftMeetingAt',
+      start,
+      duration,
+      context: this.currentContext
     }, (response) => {
-      if (response && response.meetingDetails) {
-        this.showConfirmationPanel(response.meetingDetails);
-      } else if (response && response.error) {
-        this.showError(response.error);
+      const overlay = document.getElementById('meeting-assistant-overlay');
+      overlay?.classList.remove('hidden');
+      this.overlayActive = Boolean(overlay);
+      this.handleSchedulingResponse(response);
+    });
+  }
+
+  handleSchedulingResponse(response) {
+    if (response && response.proposal) {
+      this.showProposalPanel(response.proposal);
+    } else if (response && response.meetingDetails) {
+      // Kept so "Does not repeat" can be switched back
+      this.parsedRecurrence = response.meetingDetails.recurrence || null;
+      this.meetingTimezones = {
+        userTimezone: response.meetingDetails.userTimezone || null,
+        participantTimezone: response.meetingDetails.participantTimezone || null
+      };
+      this.showConfirmationPanel(response.meetingDetails);
+    } else if (response && response.needsInput) {
+      this.showClarificationPrompt(response.question);
+    } else if (response && response.error) {
+      this.showError(response.error);
+    }
+  }
+
+  // Ask for whatever the command was missing (email, date, time)
+  showClarificationPrompt(question) {
+    const panel = document.getElementById('confirmation-panel');
+    if (!panel) return;
+
+    panel.innerHTML = `
+      <div class="confirmation-header">
+        <h3>🤔 One more thing</h3>
+      </div>
+      <div class="confirmation-content">
+        <div class="clarification-question">${question}</div>
+        <input type="text" class="detail-input" id="clarification-input" placeholder="Type your answer">
+      </div>
+      <div class="confirmation-actions">
+        <button class="btn btn-primary" id="clarification-submit-btn">Continue</button>
+        <button class="btn btn-cancel" id="clarification-cancel-btn">Cancel</button>
+      </div>
+    `;
+
+    panel.classList.remove('hidden');
+
+    const input = document.getElementById('clarification-input');
+    input?.focus();
+
+    const submit = () => {
+      if (input?.value.trim()) {
+        this.answerClarification(input.value.trim());
+      }
+    };
+
+    document.getElementById('clarification-submit-btn')?.addEventListener('click', submit);
+    input?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') submit();
+    });
+
+    document.getElementById('clarification-cancel-btn')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'cancelClarification' });
+      panel.classList.add('hidden');
+    });
+  }
+
+  answerClarification(answer) {
+    chrome.runtime.sendMessage({
+      action: 'answerClarification',
+      answer
+    }, (response) => this.handleSchedulingResponse(response));
+  }
+
+  // Pick up a clarification left open before the page or worker reloaded
+  resumeClarification() {
+    chrome.runtime.sendMessage({ action: 'getClarificationSession' }, (response) => {
+      if (response && response.session) {
+        this.currentContext = response.session.context;
+        this.showClarificationPrompt(response.question);
       }
     });
   }
@@ -222,14 +724,24 @@ class LinkedInChatExtractor {
         <h3>📅 Meeting Details</h3>
       </div>
       <div class="confirmation-content">
-        <div class="detail-row">
-          <span class="detail-label">👤 Participant:</span>
-          <span class="detail-value">${meetingDetails.participantName}</span>
-        </div>
-        <div class="detail-row">
-          <span class="detail-label">📧 Email:</span>
-          <input type="email" class="detail-input" id="email-input" value="${meetingDetails.email || ''}">
-        </div>
+        ${meetingDetails.attendees?.length > 1 ? `
+          <div class="detail-label">👥 Participants:</div>
+          ${meetingDetails.attendees.map(attendee => `
+            <div class="detail-row attendee-row" data-name="${attendee.name.replace(/"/g, '&quot;')}" data-url="${attendee.linkedInUrl || ''}">
+              <span class="detail-label">${attendee.name}</span>
+              <input type="email" class="detail-input attendee-email" placeholder="No email: not invited" value="${attendee.email || ''}">
+            </div>
+          `).join('')}
+        ` : `
+          <div class="detail-row">
+            <span class="detail-label">👤 Participant:</span>
+            <span class="detail-value">${meetingDetails.participantName}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">📧 Email:</span>
+            <input type="email" class="detail-input" id="email-input" value="${meetingDetails.email || ''}">
+          </div>
+        `}
         <div class="detail-row">
           <span class="detail-label">📆 Date:</span>
           <input type="date" class="detail-input" id="date-input" value="${meetingDetails.date}">
@@ -238,12 +750,33 @@ class LinkedInChatExtractor {
           <span class="detail-label">🕐 Time:</span>
           <input type="time" class="detail-input" id="time-input" value="${meetingDetails.time}">
         </div>
+        ${meetingDetails.autoPick ? `
+          <div class="detail-row">
+            <span class="detail-hint" title="${meetingDetails.autoPick.factors.map(factor => factor.reason).join('\n')}">✨ Best of ${meetingDetails.autoPick.considered} free times for “${meetingDetails.autoPick.window}” (score ${meetingDetails.autoPick.score}): ${meetingDetails.autoPick.factors.filter(factor => factor.score >= 0.7).map(factor => factor.reason.toLowerCase()).join(', ') || 'the least bad option'}.${meetingDetails.autoPick.outsideWorkingHours ? ' This is outside your working hours.' : ''} Change it above if it doesn't suit.</span>
+          </div>
+        ` : ''}
         <div class="detail-row">
           <span class="detail-label">🌍 Timezone:</span>
           <select class="detail-input" id="timezone-input">
-            <option value="${meetingDetails.timezone}" selected>${meetingDetails.timezone}</option>
+            ${[...new Set([meetingDetails.timezone, meetingDetails.userTimezone, meetingDetails.participantTimezone].filter(Boolean))].map(timezone => `
+              <option value="${timezone}" ${timezone === meetingDetails.timezone ? 'selected' : ''}>${timezone}${timezone === meetingDetails.participantTimezone && timezone !== meetingDetails.userTimezone ? ' (theirs)' : ''}</option>
+            `).join('')}
           </select>
+          ${meetingDetails.timezoneAssumption ? `
+            <span class="detail-hint">${meetingDetails.timezoneAssumption.reason.replace(/</g, '&lt;')}${meetingDetails.timezoneAssumption.source === 'participant' ? ` (${Math.round(meetingDetails.timezoneAssumption.confidence * 100)}% sure)` : ''}</span>
+          ` : ''}
         </div>
+        ${meetingDetails.times?.other ? `
+          <div class="detail-row">
+            <span class="detail-hint">🕐 ${meetingDetails.times.user.text} for you · ${meetingDetails.times.other.text} for them</span>
+          </div>
+          ${meetingDetails.times.differentDay ? `
+            <div class="detail-warning">📆 That's ${meetingDetails.times.other.date} for them</div>
+          ` : ''}
+        ` : ''}
+        ${meetingDetails.timeWarning ? `
+          <div class="detail-warning">⚠️ ${meetingDetails.timeWarning}</div>
+        ` : ''}
         <div class="detail-row">
           <span class="detail-label">⏱️ Duration:</span>
           <select class="detail-input" id="duration-input">
@@ -253,12 +786,21 @@ class LinkedInChatExtractor {
             <option value="120" ${meetingDetails.duration === 120 ? 'selected' : ''}>2 hours</option>
           </select>
         </div>
+        ${this.parsedRecurrence ? `
+          <div class="detail-row">
+            <span class="detail-label">🔁 Repeats:</span>
+            <select class="detail-input" id="recurrence-input">
+              <option value="series" ${meetingDetails.recurrence ? 'selected' : ''}>${describeRecurrence(this.parsedRecurrence, meetingDetails.date)}</option>
+              <option value="none" ${meetingDetails.recurrence ? '' : 'selected'}>Does not repeat</option>
+            </select>
+          </div>
+        ` : ''}
         <div class="detail-row">
           <span class="detail-label">🎥 Platform:</span>
           <select class="detail-input" id="platform-input">
-            <option value="google-meet" ${meetingDetails.platform === 'google-meet' ? 'selected' : ''}>Google Meet</option>
-            <option value="zoom" ${meetingDetails.platform === 'zoom' ? 'selected' : ''}>Zoom</option>
-            <option value="teams" ${meetingDetails.platform === 'teams' ? 'selected' : ''}>Microsoft Teams</option>
+            ${platformRegistry.list().map(platform => `
+              <option value="${platform.id}" ${meetingDetails.platform === platform.id ? 'selected' : ''}>${platform.name}</option>
+            `).join('')}
           </select>
         </div>
         <div class="message-preview">
@@ -271,6 +813,8 @@ class LinkedInChatExtractor {
         <button class="btn btn-primary" id="send-meeting-btn">Create & Send</button>
         <button class="btn btn-cancel" id="cancel-btn">Cancel</button>
       </div>
+      <button class="btn-link" id="preview-meeting-btn">Preview what will be created and sent</button>
+      <button class="btn-link" id="propose-times-btn">Offer a few times instead</button>
     `;
 
     panel.classList.remove('hidden');
@@ -280,38 +824,434 @@ class LinkedInChatExtractor {
       this.createAndSendMeeting();
     });
 
+    document.getElementById('preview-meeting-btn')?.addEventListener('click', () => {
+      this.previewMeeting(meetingDetails.participantName);
+    });
+
+    document.getElementById('propose-times-btn')?.addEventListener('click', () => {
+      this.proposeTimes({
+        participantName: meetingDetails.participantName,
+        email: document.getElementById('email-input')?.value,
+        attendees: this.collectAttendees(),
+        duration: parseInt(document.getElementById('duration-input')?.value),
+        platform: document.getElementById('platform-input')?.value,
+        context: this.currentContext
+      });
+    });
+
     document.getElementById('cancel-btn')?.addEventListener('click', () => {
       panel.classList.add('hidden');
     });
   }
 
-  createAndSendMeeting() {
-    // Gather all details from form
-    const meetingDetails = {
+  proposeTimes(details) {
+    chrome.runtime.sendMessage({
+      action: 'proposeTimes',
+      details
+    }, (response) => {
+      if (response && response.success) {
+        this.showProposalPanel(response.proposal);
+      } else {
+        this.showError(response?.error || 'Could not find times to propose');
+      }
+    });
+  }
+
+  showProposalPanel(proposal) {
+    const panel = document.getElementById('confirmation-panel');
+    if (!panel) return;
+
+    const sent = proposal.status === 'sent';
+
+    panel.innerHTML = `
+      <div class="confirmation-header">
+        <h3>🗓️ ${sent ? 'Options Sent' : 'Proposed Times'}</h3>
+      </div>
+      <div class="confirmation-content">
+        ${proposal.slots.map((slot, index) => `
+          <div class="proposal-slot">
+            <div class="proposal-slot-time" title="${slot.factors ? `Score ${slot.score}\n${slot.factors.map(factor => factor.reason).join('\n')}` : ''}">
+              <div>${slot.user.date}, ${slot.user.start} ${slot.user.tzAbbr}</div>
+              ${slot.sameTimezone ? '' : `<div class="proposal-slot-theirs">${slot.participant.start} ${slot.participant.tzAbbr} for ${proposal.participantName || 'them'}</div>`}
+            </div>
+            ${sent ? `<button class="btn btn-secondary proposal-book-btn" data-slot="${index}">Book</button>` : ''}
+          </div>
+        `).join('')}
+        ${sent ? '' : `
+          <div class="message-preview">
+            <label class="detail-label">💬 Message Draft:</label>
+            <textarea class="message-textarea" id="proposal-message-input" rows="8">${proposal.messageDraft}</textarea>
+          </div>
+        `}
+      </div>
+      <div class="confirmation-actions">
+        ${sent
+          ? '<button class="btn btn-cancel" id="release-proposal-btn">Release Holds</button>'
+          : `<button class="btn btn-primary" id="send-proposal-btn">Send & Hold Slots</button>
+             <button class="btn btn-cancel" id="cancel-btn">Cancel</button>`}
+      </div>
+    `;
+
+    panel.classList.remove('hidden');
+
+    document.getElementById('send-proposal-btn')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'sendProposal',
+        proposalId: proposal.id,
+        message: document.getElementById('proposal-message-input')?.value,
+        context: this.currentContext
+      }, (response) => {
+        if (response && response.success) {
+          this.showProposalPanel(response.proposal);
+        } else {
+          this.showError(response?.error || 'Failed to send proposal');
+        }
+      });
+    });
+
+    panel.querySelectorAll('.proposal-book-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        chrome.runtime.sendMessage({
+          action: 'chooseProposedSlot',
+          proposalId: proposal.id,
+          slotIndex: parseInt(button.dataset.slot)
+        }, (response) => {
+          if (response && response.success) {
+            this.showSuccess('Meeting booked and holds released!');
+          } else {
+            this.showError(response?.error || 'Failed to book meeting');
+          }
+        });
+      });
+    });
+
+    document.getElementById('release-proposal-btn')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'releaseProposal',
+        proposalId: proposal.id
+      }, (response) => {
+        if (response && response.success) {
+          panel.classList.add('hidden');
+        } else {
+          this.showError(response?.error || 'Failed to release holds');
+        }
+      });
+    });
+
+    document.getElementById('cancel-btn')?.addEventListener('click', () => {
+      panel.classList.add('hidden');
+    });
+  }
+
+  collectMeetingDetails() {
+    const date = document.getElementById('date-input')?.value;
+    const repeats = this.parsedRecurrence && document.getElementById('recurrence-input')?.value === 'series';
+    let message = document.getElementById('message-input')?.value;
+
+    // A one-off meeting shouldn't tell them it repeats
+    if (this.parsedRecurrence && !repeats) {
+      message = message.replace(/^🔁.*\n/m, '');
+    }
+
+    return {
       email: document.getElementById('email-input')?.value,
-      date: document.getElementById('date-input')?.value,
+      attendees: this.collectAttendees(),
+      date,
       time: document.getElementById('time-input')?.value,
       timezone: document.getElementById('timezone-input')?.value,
+      ...this.meetingTimezones,
       duration: parseInt(document.getElementById('duration-input')?.value),
       platform: document.getElementById('platform-input')?.value,
-      message: document.getElementById('message-input')?.value,
+      // Follows the first meeting if its date was changed to another weekday
+      recurrence: repeats ? moveRecurrence(this.parsedRecurrence, date) : null,
+      message,
       context: this.currentContext
     };
+  }
+
+  // Group members from the confirmation panel, with any edited emails
+  collectAttendees() {
+    const rows = Array.from(document.querySelectorAll('#confirmation-panel .attendee-row'));
+    if (rows.length === 0) {
+      return null;
+    }
 
+    return rows.map(row => ({
+      name: row.dataset.name,
+      linkedInUrl: row.dataset.url || null,
+      email: row.querySelector('.attendee-email').value.trim() || null
+    }));
+  }
+
+  createAndSendMeeting(meetingDetails = this.collectMeetingDetails()) {
     // Send to background script for calendar creation and message sending
     chrome.runtime.sendMessage({
       action: 'createMeeting',
       details: meetingDetails
+    }, (response) => this.handleMeetingResult(response, meetingDetails));
+  }
+
+  // Show exactly what Create & Send would do, without doing any of it
+  previewMeeting(participantName) {
+    const meetingDetails = this.collectMeetingDetails();
+
+    chrome.runtime.sendMessage({
+      action: 'previewMeeting',
+      details: meetingDetails
     }, (response) => {
       if (response && response.success) {
-        this.showSuccess('Meeting created successfully!');
-        setTimeout(() => this.hideOverlay(), 2000);
+        this.showPreviewPanel(response.plan, meetingDetails, participantName);
       } else {
-        this.showError(response?.error || 'Failed to create meeting');
+        this.showError(response?.error || 'Failed to preview meeting');
       }
     });
   }
 
+  showPreviewPanel(plan, meetingDetails, participantName) {
+    const panel = document.getElementById('confirmation-panel');
+    if (!panel) return;
+
+    const event = plan.calendarEvent.body;
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+    let platformLine = 'Not connected: you will be asked to switch platform or send without a link';
+    if (plan.platform.withoutLink) {
+      platformLine = 'No video link will be created';
+    } else if (plan.platform.calendarConference) {
+      platformLine = 'Created with the calendar event, along with dial-in numbers';
+    } else if (plan.platform.request) {
+      platformLine = `${plan.platform.request.method} ${escape(plan.platform.request.url)}`;
+    } else if (plan.platform.configured) {
+      platformLine = 'No API call: the room link is generated locally';
+    }
+
+    let delivery = 'Not sent: no LinkedIn conversation is linked';
+    if (plan.message.threadId) {
+      delivery = plan.message.tabOpen
+        ? (plan.message.autoSend ? 'Sent automatically in this conversation' : 'Placed in the chat box for you to send')
+        : 'Not sent: the conversation is not open in any tab';
+    }
+
+    panel.innerHTML = `
+      <div class="confirmation-header">
+        <h3>🔍 Preview</h3>
+      </div>
+      <div class="confirmation-content">
+        <div class="preview-section">
+          <div class="detail-label">🎥 ${platformRegistry.displayName(plan.platform.name)} meeting</div>
+          <div class="preview-line">${platformLine}</div>
+        </div>
+        <div class="preview-section">
+          <div class="detail-label">📆 Calendar event</div>
+          <div class="preview-line">+ ${escape(event.summary)}</div>
+          <div class="preview-line">+ ${escape(event.start.dateTime)} → ${escape(event.end.dateTime)} (${escape(event.start.timeZone)})</div>
+          ${event.recurrence ? `
+            <div class="preview-line">+ Repeats: ${describeRecurrence(meetingDetails.recurrence, meetingDetails.date)} (${escape(event.recurrence[0])})</div>
+          ` : ''}
+          <div class="preview-line">+ Attendees: ${plan.attendees.length > 0
+            ? plan.attendees.map(attendee => escape(attendee.email)).join(', ')
+            : 'none (no invite is emailed)'}</div>
+          ${plan.reminders.map(reminder => `
+            <div class="preview-line">+ Reminder: ${reminder.method}, ${reminder.minutes} min before</div>
+          `).join('')}
+        </div>
+        <div class="preview-section">
+          <div class="detail-label">💬 LinkedIn message</div>
+          <div class="preview-line">${delivery}</div>
+          <pre class="preview-message">${escape(plan.message.text)}</pre>
+        </div>
+      </div>
+      <div class="confirmation-actions">
+        <button class="btn btn-secondary" id="preview-back-btn">Back</button>
+        <button class="btn btn-primary" id="preview-send-btn">Create & Send</button>
+      </div>
+    `;
+    panel.classList.remove('hidden');
+
+    document.getElementById('preview-send-btn')?.addEventListener('click', () => {
+      this.createAndSendMeeting(meetingDetails);
+    });
+
+    document.getElementById('preview-back-btn')?.addEventListener('click', () => {
+      this.showConfirmationPanel({
+        ...meetingDetails,
+        participantName,
+        messageDraft: meetingDetails.message
+      });
+    });
+  }
+
+  handleMeetingResult(response, meetingDetails = null) {
+    if (response?.linkFailure && meetingDetails) {
+      this.showLinkFailurePanel(response.linkFailure, meetingDetails);
+    } else if (response && response.success) {
+      this.showSuccess(response.delivery?.sent
+        ? 'Meeting created and invitation sent!'
+        : 'Meeting created! The invitation is drafted in the chat, ready to send.');
+      setTimeout(() => this.hideOverlay(), 2000);
+    } else if (response?.queued) {
+      this.showError(`${response.error} You can follow it under History in the extension popup.`);
+    } else if (response?.resumable) {
+      this.showMeetingRecovery(response);
+    } else {
+      this.showError(response?.error || 'Failed to create meeting');
+    }
+  }
+
+  // No meeting link could be created. Nothing was sent; let the user pick
+  // another platform, sign in again, or go ahead without a link.
+  showLinkFailurePanel(failure, meetingDetails) {
+    const panel = document.getElementById('confirmation-panel');
+    if (!panel) return;
+
+    const platform = platformRegistry.resolve(failure.platform);
+    const reasons = {
+      'not-configured': `${platform.name} isn't connected to the extension.`,
+      'auth': `Your ${platform.name} sign-in has expired or was refused.`,
+      'unavailable': `${platform.name} couldn't be reached.`,
+      'rejected': `${platform.name} refused the request.`
+    };
+    // Signing in only helps with a refused sign-in; an unconnected platform
+    // needs its credentials in settings before there is anything to sign in to
+    const canSignIn = Boolean(platform.authenticate) && failure.reason === 'auth';
+    const needsSettings = failure.reason === 'not-configured';
+    const others = platformRegistry.list().filter(other => other.id !== platform.id);
+
+    panel.innerHTML = `
+      <div class="confirmation-header">
+        <h3>⚠️ No ${platform.name} Link</h3>
+      </div>
+      <div class="confirmation-content">
+        <div class="detail-row">
+          <span class="detail-value">${reasons[failure.reason] || reasons.rejected} Nothing was created or sent.</span>
+        </div>
+        <div class="detail-row">
+          <span class="detail-label">Details:</span>
+          <span class="detail-value">${failure.error}</span>
+        </div>
+        ${needsSettings ? `
+          <div class="detail-row">
+            <span class="detail-value">To use ${platform.name}, open the assistant from the toolbar and connect it under Settings.</span>
+          </div>
+        ` : ''}
+        <div class="detail-row">
+          <span class="detail-label">🎥 Use instead:</span>
+          <select class="detail-input" id="fallback-platform-input">
+            ${others.map(other => `<option value="${other.id}">${other.name}</option>`).join('')}
+          </select>
+          <button class="btn btn-secondary" id="switch-platform-btn">Switch</button>
+        </div>
+        <div class="message-preview">
+          <label class="detail-label">💬 Or send without a link:</label>
+          <textarea class="message-textarea" id="no-link-message-input" rows="6"></textarea>
+        </div>
+      </div>
+      <div class="confirmation-actions">
+        ${canSignIn ? `<button class="btn btn-secondary" id="platform-sign-in-btn">Sign in to ${platform.name}</button>` : ''}
+        <button class="btn btn-primary" id="send-without-link-btn">Send Without Link</button>
+        <button class="btn btn-cancel" id="link-failure-cancel-btn">Cancel</button>
+      </div>
+    `;
+    panel.classList.remove('hidden');
+
+    // Drop the link placeholder so nothing points at a meeting that doesn't exist
+    document.getElementById('no-link-message-input').value = meetingDetails.message
+      .replace(/^.*\[(Google Meet Link|Meeting Link|Zoom Link)\].*(\n|$)/gm, '')
+      .trimEnd();
+
+    document.getElementById('switch-platform-btn')?.addEventListener('click', () => {
+      const next = platformRegistry.resolve(document.getElementById('fallback-platform-input').value);
+      this.createAndSendMeeting({
+        ...meetingDetails,
+        platform: next.id,
+        message: meetingDetails.message.split(platform.name).join(next.name)
+      });
+    });
+
+    document.getElementById('platform-sign-in-btn')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'authenticatePlatform',
+        platform: platform.id
+      }, (response) => {
+        if (response && response.success) {
+          this.createAndSendMeeting(meetingDetails);
+        } else {
+          this.showError(response?.error || `Could not sign in to ${platform.name}`);
+        }
+      });
+    });
+
+    document.getElementById('send-without-link-btn')?.addEventListener('click', () => {
+      this.createAndSendMeeting({
+        ...meetingDetails,
+        withoutLink: true,
+        message: document.getElementById('no-link-message-input').value
+      });
+    });
+
+    document.getElementById('link-failure-cancel-btn')?.addEventListener('click', () => {
+      panel.classList.add('hidden');
+    });
+  }
+
+  // The meeting was set up but a later step failed; let the user finish
+  // it or undo what was created
+  showMeetingRecovery(response) {
+    const panel = document.getElementById('confirmation-panel');
+    if (!panel) return;
+
+    const stepLabels = {
+      createLink: 'Meeting link',
+      createCalendarEvent: 'Calendar invite',
+      recordHistory: 'Meeting history',
+      deliverMessage: 'LinkedIn message'
+    };
+    const stepIcons = { done: '✅', failed: '❌', pending: '⏸️' };
+
+    panel.innerHTML = `
+      <div class="confirmation-header">
+        <h3>⚠️ Meeting Partly Created</h3>
+      </div>
+      <div class="confirmation-content">
+        ${response.steps.map(step => `
+          <div class="detail-row">
+            <span class="detail-label">${stepIcons[step.status] || '•'} ${stepLabels[step.name] || step.name}</span>
+            ${step.error ? `<span class="detail-value">${step.error}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      <div class="confirmation-actions">
+        <button class="btn btn-primary" id="retry-meeting-btn">Retry</button>
+        <button class="btn btn-cancel" id="rollback-meeting-btn">Undo Meeting</button>
+      </div>
+    `;
+    panel.classList.remove('hidden');
+
+    document.getElementById('retry-meeting-btn')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'retryMeeting',
+        sagaId: response.sagaId
+      }, (result) => this.handleMeetingResult(result));
+    });
+
+    document.getElementById('rollback-meeting-btn')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'rollbackMeeting',
+        sagaId: response.sagaId
+      }, (result) => {
+        if (result && result.success) {
+          this.showSuccess('Meeting link and calendar invite removed.');
+          setTimeout(() => this.hideOverlay(), 2000);
+        } else {
+          this.showError(result?.error || 'Failed to undo meeting');
+        }
+      });
+    });
+  }
+
   showSuccess(message) {
     const panel = document.getElementById('confirmation-panel');
     if (panel) {
@@ -349,7 +1289,10 @@ if (document.readyState === 'loading') {
 
 function initializeExtension() {
   chatExtractor = new LinkedInChatExtractor();
+  chatExtractor.loadTabId();
   chatExtractor.injectAssistantOverlay();
+  chatExtractor.resumeClarification();
+  chatExtractor.startReplyWatcher();
   console.log('Smart Meeting Scheduler initialized on LinkedIn');
 }
 
@@ -359,6 +1302,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getContext') {
     const context = chatExtractor?.extractChatContext();
     sendResponse({ context });
+  } else if (request.action === 'draftMeetingAt') {
+    chatExtractor.draftMeetingAt(request.start, request.duration);
+    sendResponse({ success: true });
+  } else if (request.action === 'sendMessage') {
+    chatExtractor.deliverMessage(request.message, request.autoSend, request.threadId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, sent: false, error: error.message }));
   }
   return true; // Keep channel open for async response
 });
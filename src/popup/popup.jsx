@@ -2,18 +2,28 @@
 // Note: This is a .jsx file but we're not using React here for simplicity
 // The webpack config will handle it
 
+import { platformRegistry, DEFAULT_PLATFORM } from '../services/platform-registry.js';
+import { describeRecurrence, listOccurrences } from '../utils/recurrence.js';
+import { WEEKDAYS, normalizeWorkingHours } from '../utils/working-hours.js';
+import { normalizeSchedulingRules } from '../utils/slot-finder.js';
+import { explainRanking, normalizeTimePreferences } from '../utils/slot-ranker.js';
+
 class PopupController {
   constructor() {
     this.recognition = null;
     this.isListening = false;
     this.settings = null;
     this.micPermissionGranted = false;
+    this.awaitingClarification = false;
+    this.invalidSettings = [];
     this.checkMicrophonePermission();
     this.initializeVoiceRecognition();
     this.loadSettings();
     this.attachEventListeners();
+    this.populatePlatforms();
     this.populateTimezones();
     this.loadHistory();
+    this.resumeClarification();
   }
 
   async checkMicrophonePermission() {
@@ -45,7 +55,11 @@ class PopupController {
 
         // If final result
         if (event.results[0].isFinal) {
-          this.processVoiceCommand(transcript);
+          if (this.awaitingClarification) {
+            this.answerClarification(transcript);
+          } else {
+            this.processVoiceCommand(transcript);
+          }
         }
       };
 
@@ -95,7 +109,52 @@ class PopupController {
       this.checkAvailability();
     });
 
+    document.getElementById('availability-prev').addEventListener('click', () => {
+      this.availabilityWeek--;
+      this.loadWeekAvailability();
+    });
+
+    document.getElementById('availability-next').addEventListener('click', () => {
+      this.availabilityWeek++;
+      this.loadWeekAvailability();
+    });
+
+    document.getElementById('availability-duration').addEventListener('change', () => {
+      this.loadWeekAvailability();
+    });
+
+    document.getElementById('availability-close').addEventListener('click', () => {
+      document.getElementById('availability-view').classList.add('hidden');
+    });
+
+    // Clarification answers can be typed as well as spoken
+    document.getElementById('clarification-submit').addEventListener('click', () => {
+      const input = document.getElementById('clarification-input');
+      if (input.value.trim()) {
+        this.answerClarification(input.value.trim());
+      }
+    });
+
+    document.getElementById('clarification-input').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.value.trim()) {
+        this.answerClarification(e.target.value.trim());
+      }
+    });
+
+    document.getElementById('clarification-cancel').addEventListener('click', () => {
+      this.cancelClarification();
+    });
+
     // Settings
+    document.getElementById('jitsi-security').addEventListener('change', () => {
+      this.toggleJitsiJwtSettings();
+    });
+
+    // Listing calendars signs in to Google, so only on request
+    document.getElementById('load-calendars').addEventListener('click', () => {
+      this.loadCalendars();
+    });
+
     document.getElementById('save-settings').addEventListener('click', () => {
       this.saveSettings();
     });
@@ -163,34 +222,93 @@ class PopupController {
     }
   }
 
-  processVoiceCommand(command) {
+  // Clarification sessions are kept per LinkedIn tab
+  async getLinkedInTabId() {
+    const tabs = await chrome.tabs.query({ url: 'https://www.linkedin.com/messaging/*' });
+    return tabs.length > 0 ? tabs[0].id : undefined;
+  }
+
+  async processVoiceCommand(command) {
     document.getElementById('voice-status').textContent = 'Processing...';
 
     // Send to background script
     chrome.runtime.sendMessage({
       action: 'processSchedulingCommand',
       command: command,
+      tabId: await this.getLinkedInTabId(),
       context: null // Will be fetched from active LinkedIn tab if available
+    }, (response) => this.handleSchedulingResponse(response));
+  }
+
+  async answerClarification(answer) {
+    document.getElementById('voice-status').textContent = 'Processing...';
+    document.getElementById('clarification-input').value = '';
+
+    chrome.runtime.sendMessage({
+      action: 'answerClarification',
+      answer,
+      tabId: await this.getLinkedInTabId()
+    }, (response) => this.handleSchedulingResponse(response));
+  }
+
+  async resumeClarification() {
+    chrome.runtime.sendMessage({
+      action: 'getClarificationSession',
+      tabId: await this.getLinkedInTabId()
     }, (response) => {
-      if (response && response.success) {
-        document.getElementById('voice-status').textContent = 
-          'Command processed! Check LinkedIn tab.';
-        
-        // Activate assistant in LinkedIn tab
-        chrome.tabs.query({ url: 'https://www.linkedin.com/messaging/*' }, (tabs) => {
-          if (tabs.length > 0) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              action: 'activateAssistant'
-            });
-          }
-        });
-      } else {
-        document.getElementById('voice-status').textContent = 
-          'Error: ' + (response?.error || 'Failed to process command');
+      if (response && response.session) {
+        this.showClarification(response.question);
       }
     });
   }
 
+  async cancelClarification() {
+    chrome.runtime.sendMessage({
+      action: 'cancelClarification',
+      tabId: await this.getLinkedInTabId()
+    });
+    this.hideClarification();
+    this.updateVoiceUI(false);
+  }
+
+  showClarification(question) {
+    this.awaitingClarification = true;
+    document.getElementById('clarification-question').textContent = question;
+    document.getElementById('clarification-box').classList.remove('hidden');
+    document.getElementById('voice-status').textContent = 'Answer by voice or type below';
+  }
+
+  hideClarification() {
+    this.awaitingClarification = false;
+    document.getElementById('clarification-box').classList.add('hidden');
+  }
+
+  handleSchedulingResponse(response) {
+    if (response && response.needsInput) {
+      this.showClarification(response.question);
+      return;
+    }
+
+    this.hideClarification();
+
+    if (response && response.success) {
+      document.getElementById('voice-status').textContent = 
+        'Command processed! Check LinkedIn tab.';
+      
+      // Activate assistant in LinkedIn tab
+      chrome.tabs.query({ url: 'https://www.linkedin.com/messaging/*' }, (tabs) => {
+        if (tabs.length > 0) {
+          chrome.tabs.sendMessage(tabs[0].id, {
+            action: 'activateAssistant'
+          });
+        }
+      });
+    } else {
+      document.getElementById('voice-status').textContent = 
+        'Error: ' + (response?.error || 'Failed to process command');
+    }
+  }
+
   async loadSettings() {
     chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
       if (response && response.settings) {
@@ -204,7 +322,7 @@ class PopupController {
     if (!this.settings) return;
 
     document.getElementById('default-platform').value = 
-      this.settings.defaultPlatform || 'google-meet';
+      this.settings.defaultPlatform || DEFAULT_PLATFORM;
     
     document.getElementById('default-duration').value = 
       this.settings.defaultDuration || 30;
@@ -212,6 +330,26 @@ class PopupController {
     document.getElementById('timezone').value = 
       this.settings.defaultTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
     
+    document.getElementById('jitsi-base-url').value = 
+      this.settings.jitsiBaseUrl || '';
+    
+    document.getElementById('jitsi-security').value = 
+      this.settings.jitsiSecurity === 'jwt' ? 'jwt' : 'none';
+    
+    document.getElementById('jitsi-app-id').value = 
+      this.settings.jitsiAppId || '';
+    
+    document.getElementById('jitsi-app-secret').value = 
+      this.settings.jitsiAppSecret || '';
+    
+    document.getElementById('teams-client-id').value = 
+      this.settings.teamsClientId || '';
+    
+    document.getElementById('teams-client-secret').value = 
+      this.settings.teamsClientSecret || '';
+    
+    this.toggleJitsiJwtSettings();
+    
     document.getElementById('openai-key').value = 
       this.settings.openaiApiKey || '';
     
@@ -220,16 +358,223 @@ class PopupController {
     
     document.getElementById('auto-send').checked = 
       this.settings.autoSendMessages || false;
+
+    this.populateWorkingHours(normalizeWorkingHours(this.settings.workingHours));
+    this.populateSchedulingRules(normalizeSchedulingRules(this.settings.schedulingRules));
+
+    const preferences = normalizeTimePreferences(this.settings.timePreferences);
+    document.getElementById('preferred-start').value = preferences.preferredStart;
+    document.getElementById('preferred-end').value = preferences.preferredEnd;
+  }
+
+  collectTimePreferences() {
+    const current = normalizeTimePreferences(this.settings?.timePreferences);
+    const preferredStart = document.getElementById('preferred-start').value;
+    const preferredEnd = document.getElementById('preferred-end').value;
+
+    return preferredStart && preferredEnd && preferredEnd > preferredStart
+      ? { ...current, preferredStart, preferredEnd }
+      : current;
+  }
+
+  loadCalendars() {
+    chrome.runtime.sendMessage({ action: 'listCalendars' }, (response) => {
+      if (response?.success) {
+        this.calendars = response.calendars;
+        this.populateCalendars();
+      } else {
+        const statusDiv = document.getElementById('settings-status');
+        statusDiv.innerHTML = '<div class="status-message status-error">Could not load calendars</div>';
+        setTimeout(() => {
+          statusDiv.innerHTML = '';
+        }, 3000);
+      }
+    });
+  }
+
+  // Checkboxes for the calendars that count as busy, and a choice of the
+  // writable ones for new events. Names are the user's own, so they go in
+  // as text rather than markup.
+  populateCalendars() {
+    const busyIds = this.settings?.busyCalendarIds?.length ? this.settings.busyCalendarIds : ['primary'];
+    const eventId = this.settings?.eventCalendarId || 'primary';
+
+    const busyList = document.getElementById('busy-calendars');
+    busyList.replaceChildren(...this.calendars.map(calendar => {
+      const label = document.createElement('label');
+      label.className = 'setting-checkbox';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'busy-calendar';
+      checkbox.value = calendar.id;
+      checkbox.checked = busyIds.includes(calendar.id);
+
+      const name = document.createElement('span');
+      name.textContent = `${calendar.summary}${calendar.primary ? ' (primary)' : ''}`;
+
+      label.append(checkbox, name);
+      return label;
+    }));
+
+    const eventSelect = document.getElementById('event-calendar');
+    eventSelect.replaceChildren(...this.calendars
+      .filter(calendar => calendar.canWrite)
+      .map(calendar => new Option(`New events go in: ${calendar.summary}`, calendar.id)));
+    eventSelect.value = eventId;
+    eventSelect.classList.remove('hidden');
+
+    document.getElementById('load-calendars').classList.add('hidden');
+  }
+
+  // The saved choice stays as it is until the list has been loaded
+  collectCalendars() {
+    if (!this.calendars) {
+      return {
+        busyCalendarIds: this.settings?.busyCalendarIds || ['primary'],
+        eventCalendarId: this.settings?.eventCalendarId || 'primary'
+      };
+    }
+
+    const busyCalendarIds = [...document.querySelectorAll('#busy-calendars .busy-calendar:checked')]
+      .map(checkbox => checkbox.value);
+
+    return {
+      busyCalendarIds: busyCalendarIds.length ? busyCalendarIds : ['primary'],
+      eventCalendarId: document.getElementById('event-calendar').value || 'primary'
+    };
+  }
+
+  // Only the first focus block is editable here; any others are kept
+  populateSchedulingRules(rules) {
+    document.getElementById('buffer-before').value = rules.bufferBeforeMinutes;
+    document.getElementById('buffer-after').value = rules.bufferAfterMinutes;
+    document.getElementById('max-meetings').value = rules.maxMeetingsPerDay ?? '';
+    document.getElementById('max-meeting-hours').value = rules.maxMeetingMinutesPerDay !== null
+      ? rules.maxMeetingMinutesPerDay / 60
+      : '';
+    document.getElementById('focus-start').value = rules.focusBlocks[0]?.start || '';
+    document.getElementById('focus-end').value = rules.focusBlocks[0]?.end || '';
+    document.getElementById('minimum-fragment').value = rules.minimumFragmentMinutes;
+  }
+
+  collectSchedulingRules() {
+    const current = normalizeSchedulingRules(this.settings?.schedulingRules);
+    const maxMeetings = parseInt(document.getElementById('max-meetings').value);
+    const maxHours = parseFloat(document.getElementById('max-meeting-hours').value);
+    const focusStart = document.getElementById('focus-start').value;
+    const focusEnd = document.getElementById('focus-end').value;
+
+    return {
+      ...current,
+      bufferBeforeMinutes: this.readMinutes('buffer-before', current.bufferBeforeMinutes, 'Buffer before meetings'),
+      bufferAfterMinutes: this.readMinutes('buffer-after', current.bufferAfterMinutes, 'Buffer after meetings'),
+      maxMeetingsPerDay: maxMeetings > 0 ? maxMeetings : null,
+      maxMeetingMinutesPerDay: maxHours > 0 ? Math.round(maxHours * 60) : null,
+      focusBlocks: focusStart && focusEnd && focusEnd > focusStart
+        ? [{ ...(current.focusBlocks[0] || { label: 'Focus time' }), start: focusStart, end: focusEnd }, ...current.focusBlocks.slice(1)]
+        : current.focusBlocks.slice(1),
+      minimumFragmentMinutes: this.readMinutes('minimum-fragment', current.minimumFragmentMinutes, 'Shortest gap')
+    };
+  }
+
+  // A whole number of minutes from a settings field. Anything else (a
+  // select left on no option, say) keeps the stored value and is noted
+  // for saveSettings to report.
+  readMinutes(id, stored, label, { min = 0 } = {}) {
+    const field = document.getElementById(id);
+    const value = parseInt(field.value);
+
+    if (Number.isInteger(value) && value >= min) {
+      return value;
+    }
+
+    this.invalidSettings.push(label);
+    field.value = stored;
+    return stored;
+  }
+
+  // One row per weekday, Monday first. Only a day's first range is
+  // editable here; any further ranges are kept as they are.
+  populateWorkingHours(workingHours) {
+    const days = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+
+    document.getElementById('working-hours-days').innerHTML = days.map(day => {
+      const range = workingHours.days[day][0];
+      return `
+        <div class="working-day" data-day="${day}">
+          <label class="setting-checkbox">
+            <input type="checkbox" class="working-day-enabled" ${range ? 'checked' : ''}>
+            <span>${day[0].toUpperCase()}${day.slice(1, 3)}</span>
+          </label>
+          <input type="time" class="setting-input working-day-start" value="${range?.start || '09:00'}">
+          <input type="time" class="setting-input working-day-end" value="${range?.end || '17:00'}">
+        </div>
+      `;
+    }).join('');
+
+    const block = workingHours.blocked[0];
+    document.getElementById('blocked-start').value = block?.start || '';
+    document.getElementById('blocked-end').value = block?.end || '';
+    document.getElementById('slot-minutes').value = workingHours.slotMinutes;
+    document.getElementById('minimum-notice').value = workingHours.minimumNoticeMinutes;
+  }
+
+  collectWorkingHours() {
+    const current = normalizeWorkingHours(this.settings?.workingHours);
+    const days = {};
+
+    document.querySelectorAll('#working-hours-days .working-day').forEach(row => {
+      const day = row.dataset.day;
+      const start = row.querySelector('.working-day-start').value;
+      const end = row.querySelector('.working-day-end').value;
+
+      days[day] = row.querySelector('.working-day-enabled').checked && start && end && end > start
+        ? [{ start, end }, ...current.days[day].slice(1)]
+        : [];
+    });
+
+    const blockedStart = document.getElementById('blocked-start').value;
+    const blockedEnd = document.getElementById('blocked-end').value;
+    const blocked = blockedStart && blockedEnd && blockedEnd > blockedStart
+      ? [{ ...(current.blocked[0] || { label: 'Lunch' }), start: blockedStart, end: blockedEnd }, ...current.blocked.slice(1)]
+      : current.blocked.slice(1);
+
+    return {
+      ...current,
+      days,
+      blocked,
+      slotMinutes: this.readMinutes('slot-minutes', current.slotMinutes, 'Offer times every', { min: 1 }),
+      minimumNoticeMinutes: this.readMinutes('minimum-notice', current.minimumNoticeMinutes, 'Minimum notice')
+    };
+  }
+
+  toggleJitsiJwtSettings() {
+    document.getElementById('jitsi-jwt-settings').classList.toggle(
+      'hidden',
+      document.getElementById('jitsi-security').value !== 'jwt'
+    );
   }
 
   saveSettings() {
+    this.invalidSettings = [];
     const settings = {
       defaultPlatform: document.getElementById('default-platform').value,
-      defaultDuration: parseInt(document.getElementById('default-duration').value),
+      defaultDuration: this.readMinutes('default-duration', this.settings?.defaultDuration || 30, 'Default duration', { min: 1 }),
       defaultTimezone: document.getElementById('timezone').value,
+      jitsiBaseUrl: document.getElementById('jitsi-base-url').value.trim() || 'https://meet.jit.si',
+      jitsiSecurity: document.getElementById('jitsi-security').value,
+      jitsiAppId: document.getElementById('jitsi-app-id').value.trim() || null,
+      jitsiAppSecret: document.getElementById('jitsi-app-secret').value || null,
+      teamsClientId: document.getElementById('teams-client-id').value.trim() || null,
+      teamsClientSecret: document.getElementById('teams-client-secret').value || null,
       openaiApiKey: document.getElementById('openai-key').value,
       voiceActivationEnabled: document.getElementById('voice-activation').checked,
-      autoSendMessages: document.getElementById('auto-send').checked
+      autoSendMessages: document.getElementById('auto-send').checked,
+      workingHours: this.collectWorkingHours(),
+      schedulingRules: this.collectSchedulingRules(),
+      timePreferences: this.collectTimePreferences(),
+      ...this.collectCalendars()
     };
 
     chrome.runtime.sendMessage({
@@ -238,7 +583,10 @@ class PopupController {
     }, (response) => {
       const statusDiv = document.getElementById('settings-status');
       
-      if (response && response.success) {
+      if (response && response.success && this.invalidSettings.length > 0) {
+        statusDiv.innerHTML = '<div class="status-message status-error"></div>';
+        statusDiv.firstChild.textContent = `Settings saved, but these weren't valid and kept their previous value: ${this.invalidSettings.join(', ')}`;
+      } else if (response && response.success) {
         statusDiv.innerHTML = '<div class="status-message status-success">Settings saved successfully!</div>';
       } else {
         statusDiv.innerHTML = '<div class="status-message status-error">Failed to save settings</div>';
@@ -250,6 +598,17 @@ class PopupController {
     });
   }
 
+  populatePlatforms() {
+    const select = document.getElementById('default-platform');
+
+    platformRegistry.list().forEach(platform => {
+      const option = document.createElement('option');
+      option.value = platform.id;
+      option.textContent = platform.name;
+      select.appendChild(option);
+    });
+  }
+
   populateTimezones() {
     const timezones = [
       'America/New_York',
@@ -291,20 +650,47 @@ class PopupController {
   }
 
   async loadHistory() {
+    this.loadPendingOperations();
+
     chrome.runtime.sendMessage({ action: 'getMeetingHistory' }, (response) => {
       const historyList = document.getElementById('history-list');
       
       if (response && response.history && response.history.length > 0) {
         historyList.innerHTML = response.history.map(meeting => `
-          <div class="history-item">
-            <div class="history-item-name">${meeting.participantName || 'Unknown'}</div>
+          <div class="history-item" data-meeting-id="${meeting.id}">
+            <div class="history-item-name">
+              <span class="history-item-participant"></span>
+              <span class="status-badge status-${meeting.status || 'drafted'}">${meeting.status || 'drafted'}</span>
+            </div>
             <div class="history-item-date">
-              ${new Date(meeting.createdAt).toLocaleDateString()} - 
-              ${meeting.platform} - 
+              ${meeting.date ? `${meeting.date} ${meeting.time}` : new Date(meeting.createdAt).toLocaleDateString()} - 
+              ${platformRegistry.displayName(meeting.platform, meeting.platform || 'No video link')} - 
               ${meeting.duration} min
             </div>
+            ${meeting.recurrence ? `<div class="history-item-date">🔁 ${describeRecurrence(meeting.recurrence, meeting.date)}</div>` : ''}
+            ${meeting.threadUrl ? `<a class="history-link" href="${meeting.threadUrl}" target="_blank">Open conversation</a>` : ''}
+            ${meeting.calendarEventId && !['cancelled', 'completed'].includes(meeting.status) ? `
+              <div class="history-item-actions">
+                ${['drafted', 'sent'].includes(meeting.status) ? '<button class="history-action" data-action="confirm">Mark confirmed</button>' : ''}
+                <button class="history-action" data-action="reschedule">Reschedule</button>
+                <button class="history-action" data-action="cancel">Cancel</button>
+              </div>
+              ${meeting.recurrence ? this.renderOccurrenceScope(meeting) : ''}
+              <div class="history-reschedule hidden">
+                <input type="date" class="setting-input reschedule-date" value="${meeting.date || ''}">
+                <input type="time" class="setting-input reschedule-time" value="${meeting.time || ''}">
+                <button class="history-action" data-action="confirm-reschedule">Move meeting</button>
+              </div>
+            ` : ''}
           </div>
         `).join('');
+
+        // Names come from LinkedIn, so they go in as text rather than markup
+        historyList.querySelectorAll('.history-item-participant').forEach((name, index) => {
+          name.textContent = response.history[index].participantName || 'Unknown';
+        });
+
+        this.attachHistoryListeners(historyList);
       } else {
         historyList.innerHTML = `
           <div class="empty-state">
@@ -316,28 +702,382 @@ class PopupController {
     });
   }
 
-  checkAvailability() {
+  // Meetings that couldn't be created yet (offline, API outage)
+  loadPendingOperations() {
+    chrome.runtime.sendMessage({ action: 'getPendingOperations' }, (response) => {
+      const pendingList = document.getElementById('pending-list');
+      const operations = response?.operations || [];
+
+      pendingList.innerHTML = operations.map(operation => `
+        <div class="history-item" data-operation-id="${operation.id}">
+          <div class="history-item-name">
+            <span class="history-item-participant"></span>
+            <span class="status-badge status-${operation.status}">${operation.status}</span>
+          </div>
+          <div class="history-item-date">
+            ${operation.summary?.date} ${operation.summary?.time} - 
+            ${platformRegistry.displayName(operation.summary?.platform, operation.summary?.platform)} - 
+            ${operation.status === 'running'
+              ? 'retrying now'
+              : operation.status === 'pending'
+                ? `next try ${new Date(operation.nextAttemptAt).toLocaleTimeString()}`
+                : `gave up after ${operation.attempts} tries`}
+          </div>
+          <div class="pending-error"></div>
+          <div class="history-item-actions">
+            <button class="history-action" data-action="retry">Retry now</button>
+            <button class="history-action" data-action="discard">Discard</button>
+          </div>
+        </div>
+      `).join('');
+
+      // Names and API errors go in as text rather than markup
+      pendingList.querySelectorAll('.history-item').forEach((item, index) => {
+        const operation = operations[index];
+        item.querySelector('.history-item-participant').textContent = operation.summary?.participantName || 'Unknown';
+
+        const error = item.querySelector('.pending-error');
+        if (operation.lastError) {
+          error.textContent = operation.lastError;
+        } else {
+          error.remove();
+        }
+      });
+
+      pendingList.querySelectorAll('.history-action').forEach(button => {
+        button.addEventListener('click', () => {
+          const operationId = button.closest('.history-item').dataset.operationId;
+
+          if (button.dataset.action === 'retry') {
+            this.retryPendingOperation(operationId);
+          } else if (confirm('Discard this meeting? Anything already created for it will be removed.')) {
+            this.discardPendingOperation(operationId);
+          }
+        });
+      });
+    });
+  }
+
+  retryPendingOperation(operationId) {
+    chrome.runtime.sendMessage({
+      action: 'retryPendingOperation',
+      operationId
+    }, (response) => {
+      if (!response?.success) {
+        alert('Meeting still not created: ' + (response?.error || 'Unknown error'));
+      }
+      this.loadHistory();
+    });
+  }
+
+  discardPendingOperation(operationId) {
+    chrome.runtime.sendMessage({
+      action: 'discardPendingOperation',
+      operationId
+    }, (response) => {
+      if (!response?.success) {
+        alert('Could not discard meeting: ' + (response?.error || 'Unknown error'));
+      }
+      this.loadHistory();
+    });
+  }
+
+  // Reschedule and Cancel apply to the whole series or to the chosen date
+  renderOccurrenceScope(meeting) {
     const today = new Date().toISOString().split('T')[0];
-    
+    const exceptions = meeting.exceptions || [];
+    const upcoming = listOccurrences(meeting.recurrence, meeting.date)
+      .filter(date => date >= today)
+      .filter(date => !exceptions.some(exception => exception.date === date && exception.status === 'cancelled'))
+      .slice(0, 20);
+
+    return `
+      <div class="history-scope">
+        <select class="setting-input scope-select">
+          <option value="series">Whole series</option>
+          <option value="occurrence">One occurrence</option>
+        </select>
+        <select class="setting-input occurrence-select hidden">
+          ${upcoming.map(date => {
+            const moved = exceptions.find(exception => exception.date === date && exception.status === 'rescheduled');
+            return `<option value="${date}">${date}${moved ? ` (moved to ${moved.newDate} ${moved.newTime})` : ''}</option>`;
+          }).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  // { scope, occurrenceDate } from an item's scope selects, if it has them
+  getOccurrenceScope(item) {
+    const scope = item.querySelector('.scope-select')?.value || 'series';
+    return scope === 'occurrence'
+      ? { scope, occurrenceDate: item.querySelector('.occurrence-select').value }
+      : { scope };
+  }
+
+  attachHistoryListeners(historyList) {
+    historyList.querySelectorAll('.history-scope').forEach(scopeRow => {
+      const item = scopeRow.closest('.history-item');
+      const occurrenceSelect = scopeRow.querySelector('.occurrence-select');
+      const prefillDate = () => {
+        if (occurrenceSelect.value) {
+          item.querySelector('.reschedule-date').value = occurrenceSelect.value;
+        }
+      };
+
+      scopeRow.querySelector('.scope-select').addEventListener('change', (event) => {
+        occurrenceSelect.classList.toggle('hidden', event.target.value !== 'occurrence');
+        if (event.target.value === 'occurrence') {
+          prefillDate();
+        }
+      });
+      occurrenceSelect.addEventListener('change', prefillDate);
+    });
+
+    historyList.querySelectorAll('.history-action').forEach(button => {
+      button.addEventListener('click', () => {
+        const item = button.closest('.history-item');
+        const meetingId = item.dataset.meetingId;
+
+        switch (button.dataset.action) {
+          case 'reschedule':
+            item.querySelector('.history-reschedule').classList.toggle('hidden');
+            break;
+          case 'confirm-reschedule':
+            this.rescheduleMeeting(
+              meetingId,
+              item.querySelector('.reschedule-date').value,
+              item.querySelector('.reschedule-time').value,
+              this.getOccurrenceScope(item)
+            );
+            break;
+          case 'confirm':
+            this.updateMeetingStatus(meetingId, 'confirmed');
+            break;
+          case 'cancel': {
+            const occurrence = this.getOccurrenceScope(item);
+            const question = occurrence.scope === 'occurrence'
+              ? `Cancel the ${occurrence.occurrenceDate} occurrence and notify the participant?`
+              : 'Cancel this meeting and notify the participant?';
+
+            if (confirm(question)) {
+              this.cancelMeeting(meetingId, occurrence);
+            }
+            break;
+          }
+        }
+      });
+    });
+  }
+
+  warnIfNotDelivered(delivery, done) {
+    if (delivery && !delivery.success) {
+      alert(`${done}, but the LinkedIn note was not sent: ${delivery.error}`);
+    }
+  }
+
+  updateMeetingStatus(meetingId, status) {
     chrome.runtime.sendMessage({
-      action: 'checkAvailability',
-      date: today,
-      duration: 30
+      action: 'updateMeetingStatus',
+      meetingId,
+      status
     }, (response) => {
-      if (response && response.availability) {
-        const slots = response.availability.slice(0, 5);
-        const message = slots.length > 0
-          ? `Available slots today:\n${slots.map(slot => 
-              new Date(slot.start).toLocaleTimeString()
-            ).join(', ')}`
-          : 'No available slots found today';
-        
-        alert(message);
+      if (response && response.success) {
+        this.loadHistory();
       } else {
-        alert('Could not check availability. Make sure Google Calendar is connected.');
+        alert('Could not update meeting: ' + (response?.error || 'Unknown error'));
       }
     });
   }
+
+  rescheduleMeeting(meetingId, date, time, occurrence = {}) {
+    if (!date || !time) {
+      alert('Please pick a new date and time.');
+      return;
+    }
+    if (occurrence.scope === 'occurrence' && !occurrence.occurrenceDate) {
+      alert('There are no upcoming occurrences left to move.');
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'rescheduleMeeting',
+      meetingId,
+      date,
+      time,
+      ...occurrence
+    }, (response) => {
+      if (response && response.success) {
+        this.warnIfNotDelivered(response.delivery, 'Meeting moved');
+        this.loadHistory();
+      } else {
+        alert('Could not reschedule meeting: ' + (response?.error || 'Unknown error'));
+      }
+    });
+  }
+
+  cancelMeeting(meetingId, occurrence = {}) {
+    if (occurrence.scope === 'occurrence' && !occurrence.occurrenceDate) {
+      alert('There are no upcoming occurrences left to cancel.');
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'cancelMeeting',
+      meetingId,
+      ...occurrence
+    }, (response) => {
+      if (response && response.success) {
+        this.warnIfNotDelivered(response.delivery, 'Meeting cancelled');
+        this.loadHistory();
+      } else {
+        alert('Could not cancel meeting: ' + (response?.error || 'Unknown error'));
+      }
+    });
+  }
+
+  // Open the week view on this week, for the default meeting length
+  checkAvailability() {
+    this.availabilityWeek = 0;
+    document.getElementById('availability-duration').value = this.settings?.defaultDuration || 30;
+    document.getElementById('availability-view').classList.remove('hidden');
+    this.loadWeekAvailability();
+  }
+
+  // The open LinkedIn conversation, if any, so the participant's hours can
+  // be shown and a picked time drafted for them
+  async getLinkedInContext() {
+    const tabId = await this.getLinkedInTabId();
+    if (tabId === undefined) return { tabId, context: null };
+
+    return new Promise(resolve => {
+      chrome.tabs.sendMessage(tabId, { action: 'getContext' }, (response) => {
+        // No content script yet (tab still loading) is fine
+        void chrome.runtime.lastError;
+        resolve({ tabId, context: response?.context || null });
+      });
+    });
+  }
+
+  async loadWeekAvailability() {
+    const note = document.getElementById('availability-note');
+    const grid = document.getElementById('availability-grid');
+    note.textContent = 'Loading your calendar...';
+    grid.replaceChildren();
+
+    const { context } = await this.getLinkedInContext();
+
+    chrome.runtime.sendMessage({
+      action: 'getWeekAvailability',
+      weekOffset: this.availabilityWeek,
+      duration: parseInt(document.getElementById('availability-duration').value),
+      context
+    }, (response) => {
+      if (!response?.success) {
+        note.textContent = 'Could not check availability. Make sure Google Calendar is connected.';
+        return;
+      }
+
+      this.renderWeekAvailability(response);
+    });
+  }
+
+  renderWeekAvailability({ days, timezone, duration, participant }) {
+    const grid = document.getElementById('availability-grid');
+    const note = document.getElementById('availability-note');
+    const dayLabel = (date, options) =>
+      new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+
+    document.getElementById('availability-title').textContent =
+      `${dayLabel(days[0].date, { month: 'short', day: 'numeric' })} – ${dayLabel(days[6].date, { month: 'short', day: 'numeric' })}`;
+
+    note.textContent = participant
+      ? `Times in ${timezone}. Purple: ${participant.name ? `${participant.name}'s` : 'their'} working hours in ${participant.timezone} (from ${participant.reason}). Darker green marks the best times. Click a free time to draft a ${duration} minute meeting.`
+      : `Times in ${timezone}. Darker green marks the best times. Click a free time to draft a ${duration} minute meeting.`;
+
+    // Show whole hours around everything there is to see, at least 8 to 6
+    const blocks = days.flatMap(day => [...day.working, ...day.busy, ...day.free]);
+    const firstHour = Math.min(8, ...blocks.map(block => Math.floor(block.startMinute / 60)));
+    const lastHour = Math.max(18, ...blocks.map(block => Math.ceil(block.endMinute / 60)));
+    const range = (lastHour - firstHour) * 60;
+    const hourHeight = 18;
+
+    const place = (element, { startMinute, endMinute }) => {
+      const from = Math.max(startMinute, firstHour * 60);
+      const to = Math.min(endMinute, lastHour * 60);
+      element.style.top = `${(from - firstHour * 60) / range * 100}%`;
+      element.style.height = `${Math.max(to - from, 0) / range * 100}%`;
+      return element;
+    };
+    const block = (className, period, title = '') => {
+      const element = document.createElement('div');
+      element.className = `availability-block ${className}`;
+      element.title = title;
+      return place(element, period);
+    };
+    const timeOf = (instant) =>
+      new Date(instant).toLocaleTimeString(undefined, { timeZone: timezone, hour: 'numeric', minute: '2-digit' });
+
+    const cells = [document.createElement('div')];
+    for (const day of days) {
+      const label = document.createElement('div');
+      label.className = 'availability-day-label';
+      label.textContent = dayLabel(day.date, { weekday: 'narrow', day: 'numeric' });
+      cells.push(label);
+    }
+
+    const hours = document.createElement('div');
+    hours.className = 'availability-hours';
+    for (let hour = firstHour + 1; hour < lastHour; hour++) {
+      const mark = document.createElement('div');
+      mark.className = 'availability-hour';
+      mark.textContent = String(hour);
+      hours.append(place(mark, { startMinute: hour * 60, endMinute: hour * 60 }));
+    }
+    cells.push(hours);
+
+    for (const day of days) {
+      const column = document.createElement('div');
+      column.className = 'availability-day';
+      column.style.height = `${(lastHour - firstHour) * hourHeight}px`;
+
+      column.append(
+        ...day.working.map(period => block('availability-working', period)),
+        ...day.participant.map(period => block('availability-theirs', period, 'Their working hours')),
+        ...day.busy.map(period => block('availability-busy', period, `Busy ${timeOf(period.start)} – ${timeOf(period.end)}`)),
+        ...day.free.map(period => {
+          const free = block(
+            `availability-free${period.best ? ' availability-best' : ''}`,
+            period,
+            `Free at ${timeOf(period.start)}, score ${period.score}\n${explainRanking(period)}`
+          );
+          free.addEventListener('click', () => this.draftMeetingAt(period.start, duration));
+          return free;
+        })
+      );
+      cells.push(column);
+    }
+
+    hours.style.height = `${(lastHour - firstHour) * hourHeight}px`;
+    grid.replaceChildren(...cells);
+  }
+
+  // Start a meeting draft for a free time in the open LinkedIn conversation
+  async draftMeetingAt(start, duration) {
+    const note = document.getElementById('availability-note');
+    const { tabId } = await this.getLinkedInContext();
+
+    if (tabId === undefined) {
+      note.textContent = 'Open a LinkedIn conversation to draft a meeting for this time.';
+      return;
+    }
+
+    chrome.tabs.sendMessage(tabId, { action: 'draftMeetingAt', start, duration }, () => {
+      void chrome.runtime.lastError;
+    });
+    chrome.tabs.update(tabId, { active: true });
+    note.textContent = 'Drafting the meeting. Check the LinkedIn tab.';
+  }
 }
 
 // Initialize when DOM is ready
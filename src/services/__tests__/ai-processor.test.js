@@ -0,0 +1,261 @@
+import { AIProcessor } from '../ai-processor.js';
+import { TimezoneHandler } from '../../utils/timezone-handler.js';
+
+global.chrome = { storage: { sync: { get: async () => ({}) } } };
+
+const timezone = 'America/New_York';
+
+describe('extractWindow', () => {
+  let ai;
+
+  beforeEach(() => {
+    // Monday 2026-10-19, 10:00 AM in New York
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    ai = new AIProcessor();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const windowFor = (command) => ai.extractWindow(command, ai.chronoReference(timezone), timezone);
+
+  test('"next week" is Monday to Sunday of next week', () => {
+    expect(windowFor('schedule a call sometime next week')).toEqual({
+      from: '2026-10-26',
+      to: '2026-11-01',
+      partOfDay: null,
+      earliest: null,
+      latest: null,
+      soonest: false,
+      text: 'next week'
+    });
+  });
+
+  test('"before Friday" runs from today to Thursday', () => {
+    expect(windowFor('meet before friday')).toMatchObject({ from: '2026-10-19', to: '2026-10-22', text: 'before friday' });
+  });
+
+  test('"by" followed by something other than a date is not a bound', () => {
+    expect(windowFor('meet by zoom sometime before friday')).toMatchObject({ to: '2026-10-22' });
+  });
+
+  test('"Tuesday afternoon next week" is that Tuesday between noon and five', () => {
+    const parsed = ai.localParse('Set up 30 minutes Tuesday afternoon next week', {}, { timezone });
+
+    expect(parsed.date).toBeNull();
+    expect(parsed.time).toBeNull();
+    expect(parsed.window).toMatchObject({
+      from: '2026-10-27',
+      to: '2026-10-27',
+      partOfDay: 'afternoon',
+      earliest: '12:00',
+      latest: '17:00'
+    });
+    expect(ai.describeWindow(parsed.window)).toBe('an afternoon on Tuesday next week');
+  });
+
+  test('an evening has an end, so it can be searched', () => {
+    expect(windowFor('catch up one evening this week')).toMatchObject({
+      from: '2026-10-19',
+      to: '2026-10-25',
+      earliest: '17:00',
+      latest: '21:00'
+    });
+  });
+
+  test('no window without a vague time', () => {
+    expect(windowFor('meet with sam')).toBeNull();
+    expect(ai.localParse('Meet next week at 3pm', {}, { timezone }).window ?? null).toBeNull();
+  });
+});
+
+describe('localParse clock times', () => {
+  let ai;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    ai = new AIProcessor();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const timeFor = (command) => ai.localParse(command, {}, { timezone }).time;
+
+  test('a bare hour from 1 to 7 is in the afternoon', () => {
+    expect(timeFor('every other Tuesday at 4 for six weeks')).toBe('16:00');
+    expect(timeFor('meet tomorrow at 9')).toBe('09:00');
+  });
+
+  test('written-out clock times and am/pm are taken as said', () => {
+    expect(timeFor('meet john tomorrow at 07:00')).toBe('07:00');
+    expect(timeFor('tomorrow at 7:30')).toBe('07:30');
+    expect(timeFor('meet tomorrow at 4am')).toBe('04:00');
+  });
+});
+
+describe('localClassifyReply', () => {
+  let ai;
+  // Thursday 3 PM and Friday 10 AM in New York
+  const thursday = { start: '2026-10-22T19:00:00Z' };
+  const friday = { start: '2026-10-23T14:00:00Z' };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    ai = new AIProcessor();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const classify = (reply, slots) => ai.localClassifyReply(reply, { slots, userTimezone: timezone });
+
+  test('a bare hour matches the afternoon slot', () => {
+    expect(classify('Thursday at 3 works for me', [thursday])).toMatchObject({ intent: 'pick', slotIndex: 0 });
+  });
+
+  test('picks by ordinal', () => {
+    expect(classify('option 2 works', [thursday, friday])).toMatchObject({ intent: 'pick', slotIndex: 1 });
+    expect(classify('the second one works', [thursday, friday])).toMatchObject({ intent: 'pick', slotIndex: 1 });
+  });
+
+  test('counters with the time offered, not the one refused', () => {
+    const result = classify("Sorry, I can't do 3pm, how about 4pm?", [thursday]);
+    expect(result.intent).toBe('counter');
+    expect(new Date(result.proposedStart).getUTCHours()).toBe(20);
+  });
+
+  test('an alternative day is a counter rather than a decline', () => {
+    expect(classify("I can't do Thursday, Friday works", [thursday]).intent).toBe('counter');
+    expect(classify("I can't do Thursday, Friday works", [thursday, friday])).toMatchObject({ intent: 'pick', slotIndex: 1 });
+  });
+
+  test('declines and accepts without a time', () => {
+    expect(classify("Thursday doesn't work for me", [thursday]).intent).toBe('decline');
+    expect(classify("I'm busy that week", [thursday]).intent).toBe('decline');
+    expect(classify('Sounds good', [thursday]).intent).toBe('accept');
+  });
+
+  test('a first step is not a pick', () => {
+    expect(classify('first I need to check with my team', [thursday, friday]).intent).toBe('unknown');
+  });
+});
+
+describe('parseClarificationAnswer', () => {
+  let ai;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    ai = new AIProcessor();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('reads a spoken email address', () => {
+    expect(ai.parseClarificationAnswer('it is Ana dot Lima at Example dot com', ['email'])).toEqual({
+      email: 'ana.lima@example.com'
+    });
+  });
+
+  test('"skip" leaves a group member off the invite', () => {
+    expect(ai.parseClarificationAnswer("skip, I don't have it", ['email:1'])).toEqual({ skipped: true });
+  });
+
+  test('fills in the date and time that were asked for', () => {
+    expect(ai.parseClarificationAnswer('Thursday at 3', ['date', 'time'], { timezone })).toEqual({
+      date: '2026-10-22',
+      time: '15:00'
+    });
+  });
+
+  test('a time alone doesn\'t answer which day', () => {
+    expect(ai.parseClarificationAnswer('at 3pm', ['date'], { timezone })).toEqual({});
+  });
+});
+
+describe('group conversations', () => {
+  let ai;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    ai = new AIProcessor();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('everyone in the thread is invited', () => {
+    const context = {
+      participantInfo: { name: 'Ana Lima' },
+      participants: [
+        { name: 'Ana Lima', email: 'ana@example.com', linkedInUrl: 'https://www.linkedin.com/in/ana' },
+        { name: 'Ben Okafor' }
+      ]
+    };
+
+    expect(ai.localParse('meet tomorrow at 3', context, { timezone })).toMatchObject({
+      participantName: 'Ana Lima and Ben Okafor',
+      attendees: [
+        { name: 'Ana Lima', email: 'ana@example.com', linkedInUrl: 'https://www.linkedin.com/in/ana' },
+        { name: 'Ben Okafor', email: null, linkedInUrl: null }
+      ]
+    });
+  });
+
+  test('one other person is not a group', () => {
+    const context = { participantInfo: { name: 'Ana Lima' }, participants: [{ name: 'Ana Lima' }] };
+
+    expect(ai.localParse('meet tomorrow at 3', context, { timezone })).toMatchObject({ participantName: 'Ana Lima', attendees: null });
+  });
+
+  test('names are listed the way they are said', () => {
+    expect(ai.formatNameList(['Ana'])).toBe('Ana');
+    expect(ai.formatNameList(['Ana', 'Ben'])).toBe('Ana and Ben');
+    expect(ai.formatNameList(['Ana', 'Ben', 'Cy'])).toBe('Ana, Ben and Cy');
+    expect(ai.formatNameList([])).toBe('');
+  });
+
+  test('a large group is greeted as a whole', () => {
+    const attendees = names => names.map(name => ({ name: `${name} Smith` }));
+
+    expect(ai.greeting({ attendees: attendees(['Ana', 'Ben', 'Cy']) })).toBe('Hi Ana, Ben and Cy,');
+    expect(ai.greeting({ attendees: attendees(['Ana', 'Ben', 'Cy', 'Dee', 'Eli']) })).toBe('Hi all,');
+    expect(ai.greeting({ participantName: 'Ana' })).toBe('Hi Ana,');
+  });
+});
+
+describe('times in two zones', () => {
+  const ai = new AIProcessor();
+  const handler = new TimezoneHandler();
+  // Thursday 2026-10-22, 3 PM in New York
+  const start = '2026-10-22T19:00:00.000Z';
+  const details = other => ({
+    participantName: 'Ana',
+    date: '2026-10-22',
+    time: '15:00',
+    timezone,
+    duration: 30,
+    platform: 'zoom',
+    times: handler.formatMeetingTimes(start, 30, timezone, other)
+  });
+
+  test('the invite gives their time next to ours', () => {
+    expect(ai.templateMessage(details('Europe/London'))).toContain('🕐 3:00 PM – 3:30 PM EDT (8:00 PM – 8:30 PM BST for you)');
+  });
+
+  test('their date is added when it is another day for them', () => {
+    expect(ai.meetingTimeLine(details('Asia/Tokyo')))
+      .toBe('3:00 PM – 3:30 PM EDT (4:00 AM – 4:30 AM JST, Friday, October 23, 2026 for you)');
+  });
+
+  test('one zone is enough when both clocks agree', () => {
+    expect(ai.meetingTimeLine(details(timezone))).toBe('3:00 PM – 3:30 PM EDT');
+    expect(ai.meetingTimeLine({ time: '15:00', timezone })).toBe('15:00 America/New_York');
+  });
+});
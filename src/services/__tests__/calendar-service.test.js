@@ -0,0 +1,215 @@
+import '../../testing/fake-chrome.js';
+import { CalendarService } from '../calendar-service.js';
+
+let calendar;
+
+beforeEach(() => {
+  calendar = new CalendarService();
+  calendar.accessToken = 'token';
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('deleteEvent', () => {
+  test.each([404, 410])('an event that is already gone (%i) counts as deleted', async (status) => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status });
+
+    await expect(calendar.deleteEvent('event-1', 'work@example.com')).resolves.toBe(true);
+    expect(global.fetch.mock.calls[0][0]).toBe('https://www.googleapis.com/calendar/v3/calendars/work%40example.com/events/event-1');
+  });
+
+  test('other failures are errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+
+    await expect(calendar.deleteEvent('event-1')).rejects.toThrow('Failed to delete event');
+  });
+});
+
+describe('events with a Meet conference', () => {
+  const eventDetails = {
+    summary: 'Meeting with Ana Lima',
+    start: { dateTime: '2026-10-22T15:00:00', timeZone: 'America/New_York' },
+    duration: 30,
+    attendees: [{ email: 'ana@example.com' }],
+    calendarId: 'primary',
+    conferenceType: 'hangoutsMeet'
+  };
+  const conference = statusCode => ({
+    createRequest: { status: { statusCode } },
+    entryPoints: [
+      { entryPointType: 'video', uri: 'https://meet.google.com/abc-defg-hij' },
+      { entryPointType: 'phone', uri: 'tel:+1-555-0100', label: '+1 555-0100', pin: '123456', regionCode: 'US' },
+      { entryPointType: 'more', uri: 'https://tel.meet/abc-defg-hij' }
+    ]
+  });
+  const response = body => ({ ok: true, status: 200, json: async () => body });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('are asked for on the event itself', async () => {
+    global.fetch = jest.fn().mockResolvedValue(response({ id: 'event-1', conferenceData: conference('success') }));
+
+    await calendar.createEvent(eventDetails);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(url).toBe('https://www.googleapis.com/calendar/v3/calendars/primary/events?conferenceDataVersion=1');
+    expect(JSON.parse(options.body).conferenceData.createRequest).toEqual({
+      requestId: expect.any(String),
+      conferenceSolutionKey: { type: 'hangoutsMeet' }
+    });
+  });
+
+  test('give back the Meet link and dial-in numbers', async () => {
+    global.fetch = jest.fn().mockResolvedValue(response({ id: 'event-1', conferenceData: conference('success') }));
+
+    expect(await calendar.createEvent(eventDetails)).toMatchObject({
+      id: 'event-1',
+      calendarId: 'primary',
+      meetingLink: 'https://meet.google.com/abc-defg-hij',
+      dialIn: [{ number: '+1 555-0100', pin: '123456', regionCode: 'US' }],
+      moreDialInLink: 'https://tel.meet/abc-defg-hij'
+    });
+  });
+
+  test('are polled until Google has made the conference', async () => {
+    global.fetch = jest.fn().mockResolvedValue(response({ id: 'event-1', conferenceData: conference('success') }));
+
+    const event = await calendar.waitForConference({ id: 'event-1', conferenceData: conference('pending') }, { delayMs: 0 });
+
+    expect(event.conferenceData.createRequest.status.statusCode).toBe('success');
+    expect(global.fetch.mock.calls[0][0]).toBe('https://www.googleapis.com/calendar/v3/calendars/primary/events/event-1?conferenceDataVersion=1');
+  });
+
+  test('that Google refuses take the event with them', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(response({ id: 'event-1', conferenceData: conference('failure') }))
+      .mockResolvedValueOnce({ ok: true, status: 204 });
+
+    await expect(calendar.createEvent(eventDetails)).rejects.toMatchObject({
+      message: 'Google could not create a Meet conference for this event',
+      reason: 'rejected'
+    });
+    expect(global.fetch.mock.calls[1]).toEqual([
+      'https://www.googleapis.com/calendar/v3/calendars/primary/events/event-1',
+      expect.objectContaining({ method: 'DELETE' })
+    ]);
+  });
+});
+
+describe('getInternalEmails', () => {
+  const emails = ['ana@acme.com', 'BEN@acme.com', 'ben@acme.com', 'me@acme.com', 'cy@gmail.com', 'dee@partner.io', null];
+
+  test('keeps colleagues on the user\'s own domain, once each, without the user', async () => {
+    calendar.userEmail = 'me@acme.com';
+
+    expect(await calendar.getInternalEmails(emails)).toEqual(['ana@acme.com', 'ben@acme.com']);
+  });
+
+  test('sharing a public mail provider doesn\'t make someone a colleague', async () => {
+    calendar.userEmail = 'me@gmail.com';
+
+    expect(await calendar.getInternalEmails(emails)).toEqual([]);
+  });
+
+  test('no one is internal when the user\'s address can\'t be read', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 401 });
+
+    expect(await calendar.getInternalEmails(emails)).toEqual([]);
+  });
+});
+
+describe('busy time across calendars', () => {
+  const timeMin = '2026-10-22T04:00:00.000Z';
+  const timeMax = '2026-10-23T03:59:59.999Z';
+  const freeBusy = calendars => ({ ok: true, status: 200, json: async () => ({ calendars }) });
+  const askedFor = call => JSON.parse(call[1].body).items.map(item => item.id);
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('asks once for all calendars and reuses the answer for a few minutes', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    global.fetch = jest.fn().mockResolvedValue(freeBusy({ primary: { busy: [] }, 'team@group.calendar.google.com': { busy: [] } }));
+
+    await calendar.fetchBusy(['primary', 'team@group.calendar.google.com', 'primary'], timeMin, timeMax);
+    await calendar.fetchBusy(['primary'], timeMin, timeMax);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(askedFor(global.fetch.mock.calls[0])).toEqual(['primary', 'team@group.calendar.google.com']);
+
+    jest.setSystemTime(new Date('2026-10-19T14:06:00Z'));
+    await calendar.fetchBusy(['primary'], timeMin, timeMax);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('a calendar that can\'t be read is asked for again next time', async () => {
+    global.fetch = jest.fn().mockResolvedValue(freeBusy({ primary: { busy: [] } }));
+
+    const calendars = await calendar.fetchBusy(['primary', 'gone@example.com'], timeMin, timeMax);
+    await calendar.fetchBusy(['primary', 'gone@example.com'], timeMin, timeMax);
+
+    expect(calendars['gone@example.com']).toEqual({ errors: [{ reason: 'notFound' }] });
+    expect(askedFor(global.fetch.mock.calls[1])).toEqual(['gone@example.com']);
+  });
+
+  test('busy time on any chosen calendar blocks a slot, and unreadable ones are skipped', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    calendar.userEmail = 'me@gmail.com';
+    global.fetch = jest.fn().mockResolvedValue(freeBusy({
+      primary: { busy: [] },
+      // 9–10 AM in New York
+      'family@group.calendar.google.com': { busy: [{ start: '2026-10-22T13:00:00Z', end: '2026-10-22T14:00:00Z' }] },
+      'old@example.com': { errors: [{ reason: 'notFound' }] }
+    }));
+
+    const { slots, error } = await calendar.findSlots('2026-10-22', 30, [], {
+      timeZone: 'America/New_York',
+      rules: { bufferBeforeMinutes: 0, bufferAfterMinutes: 0, minimumFragmentMinutes: 0 },
+      calendarIds: ['family@group.calendar.google.com', 'old@example.com'],
+      eventCalendarId: 'primary'
+    });
+
+    expect(error).toBeUndefined();
+    expect(askedFor(global.fetch.mock.calls[0])).toEqual(['primary', 'family@group.calendar.google.com', 'old@example.com']);
+    expect(new Date(slots[0].start).toISOString()).toBe('2026-10-22T14:00:00.000Z');
+  });
+
+  test('new events clear the cache so the next check sees them', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(freeBusy({ primary: { busy: [] } }))
+      .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ id: 'event-1' }) })
+      .mockResolvedValueOnce(freeBusy({ primary: { busy: [] } }));
+
+    await calendar.fetchBusy(['primary'], timeMin, timeMax);
+    await calendar.createEvent({ start: { dateTime: '2026-10-22T15:00:00', timeZone: 'America/New_York' }, duration: 30 });
+    await calendar.fetchBusy(['primary'], timeMin, timeMax);
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('the calendar list names the primary calendar \'primary\' and says which can take events', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        items: [
+          { id: 'me@acme.com', summary: 'me@acme.com', primary: true, accessRole: 'owner' },
+          { id: 'boss@acme.com', summary: 'Boss', summaryOverride: 'My manager', accessRole: 'freeBusyReader' }
+        ]
+      })
+    });
+
+    expect(await calendar.listCalendars()).toEqual([
+      { id: 'primary', summary: 'me@acme.com', primary: true, accessRole: 'owner', canWrite: true },
+      { id: 'boss@acme.com', summary: 'My manager', primary: false, accessRole: 'freeBusyReader', canWrite: false }
+    ]);
+  });
+});
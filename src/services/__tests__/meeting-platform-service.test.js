@@ -0,0 +1,164 @@
+import { createHmac } from 'node:crypto';
+import { fakeChrome, resetChromeStorage } from '../../testing/fake-chrome.js';
+import { MeetingPlatformService } from '../meeting-platform-service.js';
+
+let service;
+
+const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  service = new MeetingPlatformService();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('Jitsi meetings', () => {
+  test('are made on the public server with no settings', async () => {
+    const meeting = await service.createMeeting('jitsi', { startTime: '2026-10-22T19:00:00.000Z' });
+
+    expect(meeting).toMatchObject({ ok: true, platform: 'jitsi', meetingId: null });
+    expect(meeting.link).toMatch(/^https:\/\/meet\.jit\.si\/SmartMeeting-[0-9a-f]{32}$/);
+  });
+
+  test('get a new unguessable room every time', () => {
+    const rooms = new Set(Array.from({ length: 20 }, () => service.generateJitsiRoomName()));
+
+    expect(rooms.size).toBe(20);
+  });
+
+  test('use a self-hosted server from settings', async () => {
+    await fakeChrome.storage.sync.set({ userSettings: { jitsiBaseUrl: 'https://video.example.com/rooms' } });
+
+    const meeting = await service.createMeeting('jitsi', {});
+
+    expect(meeting.link).toMatch(/^https:\/\/video\.example\.com\/rooms\/SmartMeeting-/);
+  });
+
+  test('carry a token for the room, signed with the app secret', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    await fakeChrome.storage.sync.set({
+      userSettings: { jitsiBaseUrl: 'https://video.example.com', jitsiSecurity: 'jwt', jitsiAppId: 'scheduler' }
+    });
+    await fakeChrome.storage.local.set({ localSettings: { jitsiAppSecret: 'app-secret' } });
+
+    const meeting = await service.createMeeting('jitsi', { startTime: '2026-10-22T19:00:00.000Z' });
+
+    const url = new URL(meeting.link);
+    const [header, payload, signature] = url.searchParams.get('jwt').split('.');
+    const expected = createHmac('sha256', 'app-secret').update(`${header}.${payload}`).digest('base64url');
+
+    expect(signature).toBe(expected);
+    expect(decode(header)).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(decode(payload)).toEqual({
+      iss: 'scheduler',
+      aud: 'jitsi',
+      sub: 'video.example.com',
+      room: url.pathname.slice(1),
+      nbf: Date.parse('2026-10-19T14:00:00Z') / 1000,
+      // 30 days past the meeting
+      exp: Date.parse('2026-11-21T19:00:00Z') / 1000
+    });
+  });
+
+  test('with token security but no secret, are not configured rather than left open', async () => {
+    await fakeChrome.storage.sync.set({ userSettings: { jitsiSecurity: 'jwt', jitsiAppId: 'scheduler' } });
+
+    expect(await service.createMeeting('jitsi', {})).toMatchObject({
+      ok: false,
+      reason: 'not-configured',
+      error: 'Jitsi JWT security needs an app ID and secret in settings'
+    });
+  });
+});
+
+describe('creating a meeting never makes up a link', () => {
+  const response = (status, body = {}) => ({ ok: status < 300, status, json: async () => body });
+  const details = {
+    participantName: 'Ana Lima',
+    email: 'ana@example.com',
+    startTime: '2026-10-22T19:00:00.000Z',
+    duration: 30
+  };
+
+  beforeEach(() => {
+    jest.spyOn(global, 'fetch');
+  });
+
+  test('a platform that is not connected says so', async () => {
+    expect(await service.createMeeting('zoom', details)).toMatchObject({ ok: false, platform: 'zoom', reason: 'not-configured' });
+    expect(await service.createMeeting('teams', details)).toMatchObject({ ok: false, platform: 'teams', reason: 'not-configured' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('an expired Zoom sign-in asks to sign in again', async () => {
+    await fakeChrome.storage.sync.set({ zoomApiKey: 'key', zoomApiSecret: 'secret' });
+    await service.loadCredentials();
+
+    expect(await service.createMeeting('zoom', details)).toMatchObject({ ok: false, reason: 'auth' });
+  });
+
+  describe('with Teams connected', () => {
+    beforeEach(async () => {
+      await fakeChrome.storage.local.set({ teamsAccessToken: 'token' });
+      await service.loadCredentials();
+    });
+
+    test('returns the link Teams issued', async () => {
+      fetch.mockResolvedValueOnce(response(201, { joinUrl: 'https://teams.microsoft.com/l/meetup-join/1', id: 'teams-1' }));
+
+      expect(await service.createMeeting('teams', details)).toEqual({
+        ok: true,
+        platform: 'teams',
+        link: 'https://teams.microsoft.com/l/meetup-join/1',
+        meetingId: 'teams-1'
+      });
+    });
+
+    test.each([
+      [401, 'auth'],
+      [403, 'auth'],
+      [429, 'unavailable'],
+      [503, 'unavailable'],
+      [400, 'rejected']
+    ])('HTTP %i is reported as %s', async (status, reason) => {
+      fetch.mockResolvedValueOnce(response(status));
+
+      expect(await service.createMeeting('teams', details)).toEqual({
+        ok: false,
+        platform: 'teams',
+        reason,
+        status,
+        error: `Failed to create Teams meeting (HTTP ${status})`
+      });
+    });
+
+    test('no network is reported as unavailable', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      expect(await service.createMeeting('teams', details)).toMatchObject({ ok: false, reason: 'unavailable', status: null });
+    });
+
+    test('a reply without a usable link is refused', async () => {
+      fetch.mockResolvedValueOnce(response(201, { id: 'teams-1' }));
+
+      expect(await service.createMeeting('teams', details)).toMatchObject({
+        ok: false,
+        reason: 'rejected',
+        error: 'Microsoft Teams did not return a meeting link'
+      });
+    });
+  });
+
+  test('Meet links are left to the calendar event', async () => {
+    expect(await service.createMeeting('google-meet', details)).toMatchObject({
+      ok: false,
+      reason: 'rejected',
+      error: 'Google Meet links are created with the calendar event'
+    });
+  });
+});
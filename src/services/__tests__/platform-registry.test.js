@@ -0,0 +1,55 @@
+import { PlatformRegistry, platformRegistry, DEFAULT_PLATFORM } from '../platform-registry.js';
+
+describe('platform registry', () => {
+  test('lists every built-in platform', () => {
+    expect(platformRegistry.ids()).toEqual(['google-meet', 'zoom', 'teams', 'jitsi']);
+  });
+
+  test('unknown ids resolve to the default platform', () => {
+    expect(platformRegistry.resolve('webex').id).toBe(DEFAULT_PLATFORM);
+    expect(platformRegistry.resolve(undefined).id).toBe(DEFAULT_PLATFORM);
+    expect(platformRegistry.get('webex')).toBeNull();
+  });
+
+  test('display names fall back to a generic name', () => {
+    expect(platformRegistry.displayName('teams')).toBe('Microsoft Teams');
+    expect(platformRegistry.displayName('webex')).toBe('video call');
+  });
+
+  test('providers get no-op defaults for what they leave out', async () => {
+    const registry = new PlatformRegistry().register({ id: 'whereby', name: 'Whereby' });
+    const provider = registry.get('whereby');
+
+    expect(provider.keywords).toEqual([]);
+    expect(provider.isConfigured()).toBe(true);
+    expect(await provider.delete()).toBe(false);
+  });
+
+  test('providers need an id and a name', () => {
+    expect(() => new PlatformRegistry().register({ id: 'whereby' })).toThrow('Platform providers need an id and a name');
+  });
+});
+
+describe('findByKeywords', () => {
+  const platformIn = text => platformRegistry.findByKeywords(text)?.id || null;
+
+  test.each([
+    ['Set up a zoom call with Ana', 'zoom'],
+    ['Schedule it on Microsoft Teams', 'teams'],
+    ['Book a Google Meet for Friday', 'google-meet'],
+    ['Let\'s meet on jit.si tomorrow', 'jitsi'],
+    ['use ZOOM please', 'zoom']
+  ])('"%s" picks %s', (text, id) => {
+    expect(platformIn(text)).toBe(id);
+  });
+
+  test('the longest keyword wins', () => {
+    // "meet" alone would pick Google Meet
+    expect(platformIn('a jitsi meet room')).toBe('jitsi');
+  });
+
+  test('keywords only match whole words', () => {
+    expect(platformIn('Schedule a meeting with Ana on Thursday')).toBeNull();
+    expect(platformIn('the steams of data')).toBeNull();
+  });
+});
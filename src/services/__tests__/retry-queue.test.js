@@ -0,0 +1,132 @@
+import { fakeChrome, resetChromeStorage } from '../../testing/fake-chrome.js';
+import { StorageService } from '../storage-service.js';
+import { RetryQueue, RETRY_ALARM, isTransientError } from '../retry-queue.js';
+
+const START = new Date('2026-10-19T14:00:00Z').getTime();
+const minutes = count => START + count * 60000;
+
+let queue;
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(fakeChrome.alarms, 'create');
+  queue = new RetryQueue(new StorageService());
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('isTransientError', () => {
+  test.each([
+    ['a network failure', new TypeError('Failed to fetch')],
+    ['an unavailable platform', { reason: 'unavailable' }],
+    ['rate limiting', { status: 429 }],
+    ['a server error', { status: 503 }]
+  ])('retries %s', (label, error) => {
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  test.each([
+    ['a rejected request', { status: 400 }],
+    ['an expired sign-in', { reason: 'unauthorized', status: 401 }],
+    ['a plain error', new Error('Invalid attendee email')]
+  ])('does not retry %s', (label, error) => {
+    expect(isTransientError(error)).toBe(false);
+  });
+});
+
+describe('RetryQueue', () => {
+  test('new entries are due after a minute and an alarm is set for them', async () => {
+    const entry = await queue.enqueue({ type: 'createMeeting', sagaId: 'saga-1' });
+
+    expect(entry).toMatchObject({ status: 'pending', attempts: 0, nextAttemptAt: new Date(minutes(1)).toISOString() });
+    expect(fakeChrome.alarms.create).toHaveBeenCalledWith(RETRY_ALARM, { when: minutes(1) });
+  });
+
+  test('the wait doubles with each attempt, up to an hour', () => {
+    const waits = [0, 1, 2, 5, 6, 7].map(attempts => (new Date(queue.nextAttemptTime(attempts)).getTime() - START) / 60000);
+
+    expect(waits).toEqual([1, 2, 4, 32, 60, 60]);
+  });
+
+  test('only entries that are due are run', async () => {
+    const entry = await queue.enqueue({ type: 'createMeeting' });
+    const handler = jest.fn().mockResolvedValue({ outcome: 'done' });
+
+    await queue.processDue(handler, minutes(0.5));
+    expect(handler).not.toHaveBeenCalled();
+
+    await queue.processDue(handler, minutes(1));
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: entry.id }));
+    expect(await queue.storage.getPendingOperations()).toEqual([]);
+  });
+
+  test('a transient failure is retried later with a longer wait', async () => {
+    const entry = await queue.enqueue({ type: 'createMeeting' });
+    jest.setSystemTime(minutes(1));
+
+    await queue.processDue(async () => ({ outcome: 'retry', error: 'Zoom is unavailable' }));
+
+    expect(await queue.storage.getPendingOperation(entry.id)).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Zoom is unavailable',
+      nextAttemptAt: new Date(minutes(3)).toISOString()
+    });
+  });
+
+  test('a handler that throws is judged by its error', async () => {
+    const entry = await queue.enqueue({ type: 'createMeeting' });
+
+    await queue.retryNow(entry.id, async () => { throw new TypeError('Failed to fetch'); });
+    expect((await queue.storage.getPendingOperation(entry.id)).status).toBe('pending');
+
+    await queue.retryNow(entry.id, async () => { throw new Error('Invalid attendee email'); });
+    expect(await queue.storage.getPendingOperation(entry.id)).toMatchObject({ status: 'failed', nextAttemptAt: null });
+  });
+
+  test('gives up after eight attempts', async () => {
+    const entry = await queue.enqueue({ type: 'createMeeting' });
+    const handler = async () => ({ outcome: 'retry', error: 'Service unavailable' });
+
+    for (let attempt = 0; attempt < 8; attempt++) {
+      await queue.retryNow(entry.id, handler);
+    }
+
+    expect(await queue.storage.getPendingOperation(entry.id)).toMatchObject({ status: 'failed', attempts: 8 });
+    await queue.processDue(handler, minutes(24 * 60));
+    expect((await queue.storage.getPendingOperation(entry.id)).attempts).toBe(8);
+  });
+
+  test('an entry left running by a restart is picked up again after ten minutes', async () => {
+    const entry = await queue.enqueue({ type: 'createMeeting' });
+    await queue.storage.updatePendingOperation(entry.id, { status: 'running', startedAt: new Date(START).toISOString() });
+    const handler = jest.fn().mockResolvedValue({ outcome: 'done' });
+
+    jest.setSystemTime(minutes(5));
+    await queue.processDue(handler);
+    expect(handler).not.toHaveBeenCalled();
+
+    jest.setSystemTime(minutes(11));
+    await queue.processDue(handler);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs that overlap are done one after the other, so nothing is attempted twice', async () => {
+    await queue.enqueue({ type: 'createMeeting' });
+    jest.setSystemTime(minutes(1));
+    const handler = jest.fn().mockResolvedValue({ outcome: 'done' });
+
+    await Promise.all([queue.processDue(handler), queue.processDue(handler), queue.processDue(handler)]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('retrying an entry that is gone is an error', async () => {
+    await expect(queue.retryNow('missing', jest.fn())).rejects.toThrow('Pending operation not found');
+  });
+});
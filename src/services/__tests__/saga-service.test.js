@@ -0,0 +1,122 @@
+import { resetChromeStorage } from '../../testing/fake-chrome.js';
+import { StorageService } from '../storage-service.js';
+import { SagaService } from '../saga-service.js';
+
+let sagas;
+let log;
+
+// A step that records what it did and undid, failing while `fail` says so
+const step = (name, { fail = () => false, onFailure = 'rollback', compensate = true } = {}) => ({
+  name,
+  onFailure,
+  run: async (state, input) => {
+    if (fail()) {
+      throw new Error(`${name} failed`);
+    }
+    log.push(`run ${name}`);
+    return { [name]: `${name} for ${input.who}` };
+  },
+  ...(compensate ? { compensate: async (state) => log.push(`undo ${name} (${state[name]})`) } : {})
+});
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  sagas = new SagaService(new StorageService());
+  log = [];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SagaService', () => {
+  test('runs every step and merges what they return into the state', async () => {
+    const saga = await sagas.start('test', { who: 'Ana' }, [step('link'), step('event')]);
+
+    expect(saga.status).toBe('completed');
+    expect(saga.state).toEqual({ link: 'link for Ana', event: 'event for Ana' });
+    expect(saga.steps.map(record => record.status)).toEqual(['done', 'done']);
+    expect(log).toEqual(['run link', 'run event']);
+  });
+
+  test('a failed step undoes the earlier ones in reverse order', async () => {
+    const saga = await sagas.start('test', { who: 'Ana' }, [
+      step('link'),
+      step('event'),
+      step('message', { fail: () => true })
+    ]);
+
+    expect(saga.status).toBe('rolledBack');
+    expect(saga.error).toBe('message failed');
+    expect(saga.steps.map(record => record.status)).toEqual(['compensated', 'compensated', 'failed']);
+    expect(log).toEqual(['run link', 'run event', 'undo event (event for Ana)', 'undo link (link for Ana)']);
+  });
+
+  test('steps without a way to undo them are kept', async () => {
+    const saga = await sagas.start('test', { who: 'Ana' }, [
+      step('note', { compensate: false }),
+      step('event', { fail: () => true })
+    ]);
+
+    expect(saga.status).toBe('rolledBack');
+    expect(saga.steps[0].status).toBe('kept');
+  });
+
+  test('a failed undo is reported rather than hidden', async () => {
+    const saga = await sagas.start('test', { who: 'Ana' }, [
+      { name: 'link', onFailure: 'rollback', run: async () => ({}), compensate: async () => { throw new Error('Zoom is down'); } },
+      step('event', { fail: () => true })
+    ]);
+
+    expect(saga.status).toBe('rollbackFailed');
+    expect(saga.steps[0]).toMatchObject({ status: 'compensationFailed', compensationError: 'Zoom is down' });
+  });
+
+  test('a paused saga keeps its progress and resumes from the failed step', async () => {
+    let down = true;
+    const steps = [step('link'), step('message', { fail: () => down, onFailure: 'pause' })];
+
+    const paused = await sagas.start('test', { who: 'Ana' }, steps);
+    expect(paused.status).toBe('failed');
+    expect(paused.steps.map(record => record.status)).toEqual(['done', 'failed']);
+
+    down = false;
+    const resumed = await sagas.resume(paused.id, steps);
+
+    expect(resumed.status).toBe('completed');
+    expect(log).toEqual(['run link', 'run message']);
+  });
+
+  test('onFailure can decide from the error', async () => {
+    const transient = Object.assign(new Error('Service unavailable'), { status: 503 });
+    const steps = [
+      step('link'),
+      {
+        name: 'event',
+        onFailure: error => error.status >= 500 ? 'pause' : 'rollback',
+        run: async () => { throw transient; }
+      }
+    ];
+
+    expect((await sagas.start('test', { who: 'Ana' }, steps)).status).toBe('failed');
+  });
+
+  test('a paused saga can be rolled back, and only a paused one', async () => {
+    const steps = [step('link'), step('message', { fail: () => true, onFailure: 'pause' })];
+    const paused = await sagas.start('test', { who: 'Ana' }, steps);
+
+    const rolledBack = await sagas.rollback(paused.id, steps);
+
+    expect(rolledBack.status).toBe('rolledBack');
+    expect(log).toEqual(['run link', 'undo link (link for Ana)']);
+    await expect(sagas.rollback(paused.id, steps)).rejects.toThrow('Operation cannot be rolled back (status: rolledBack)');
+    await expect(sagas.resume(paused.id, steps)).rejects.toThrow('Operation cannot be resumed (status: rolledBack)');
+  });
+
+  test('the record survives in storage', async () => {
+    const saga = await sagas.start('test', { who: 'Ana' }, [step('link')]);
+
+    expect(await sagas.storage.getSaga(saga.id)).toMatchObject({ type: 'test', status: 'completed', input: { who: 'Ana' } });
+  });
+});
@@ -0,0 +1,141 @@
+import { resetChromeStorage } from '../../testing/fake-chrome.js';
+import { StorageService } from '../storage-service.js';
+
+let storage;
+
+beforeEach(async () => {
+  await resetChromeStorage();
+  storage = new StorageService();
+});
+
+describe('meeting history', () => {
+  const meeting = {
+    participantName: 'Ana Lima',
+    date: '2026-10-22',
+    time: '15:00',
+    timezone: 'America/New_York',
+    duration: 30
+  };
+
+  test('new meetings start as drafted with their first status recorded', async () => {
+    const saved = await storage.saveMeetingHistory(meeting);
+
+    expect(saved.id).toEqual(expect.any(String));
+    expect(saved.status).toBe('drafted');
+    expect(saved.statusHistory).toEqual([{ status: 'drafted', at: saved.createdAt }]);
+    expect(await storage.getMeetingById(saved.id)).toEqual(saved);
+  });
+
+  test('status changes are appended to the status history', async () => {
+    const saved = await storage.saveMeetingHistory({ ...meeting, status: 'sent' });
+
+    const updated = await storage.updateMeetingStatus(saved.id, 'confirmed', { confirmedBy: 'reply' });
+
+    expect(updated.status).toBe('confirmed');
+    expect(updated.confirmedBy).toBe('reply');
+    expect(updated.statusHistory.map(entry => entry.status)).toEqual(['sent', 'confirmed']);
+  });
+
+  test('unknown statuses are refused', async () => {
+    const saved = await storage.saveMeetingHistory(meeting);
+
+    await expect(storage.updateMeetingStatus(saved.id, 'maybe')).rejects.toThrow('Unknown meeting status: maybe');
+  });
+
+  test('keeps the 50 most recent meetings', async () => {
+    for (let index = 0; index < 52; index++) {
+      await storage.saveMeetingHistory({ ...meeting, participantName: `Person ${index}` });
+    }
+
+    const history = await storage.getMeetingHistory();
+    expect(history).toHaveLength(50);
+    expect(history[0].participantName).toBe('Person 51');
+    expect(history[49].participantName).toBe('Person 2');
+  });
+
+  test('meetings whose end has passed become completed', async () => {
+    const past = await storage.saveMeetingHistory({ ...meeting, status: 'confirmed' });
+    const cancelled = await storage.saveMeetingHistory({ ...meeting, status: 'cancelled' });
+    const later = await storage.saveMeetingHistory({ ...meeting, date: '2026-10-29' });
+
+    // 15:30 in New York is the end of the meeting on the 22nd
+    await storage.markCompletedMeetings(new Date('2026-10-22T19:31:00Z'));
+
+    expect((await storage.getMeetingById(past.id)).status).toBe('completed');
+    expect((await storage.getMeetingById(cancelled.id)).status).toBe('cancelled');
+    expect((await storage.getMeetingById(later.id)).status).toBe('drafted');
+  });
+
+  test('a series is only completed after its last occurrence', async () => {
+    const series = await storage.saveMeetingHistory({
+      ...meeting,
+      status: 'sent',
+      recurrence: { frequency: 'WEEKLY', interval: 1, count: 3 }
+    });
+
+    await storage.markCompletedMeetings(new Date('2026-10-30T12:00:00Z'));
+    expect((await storage.getMeetingById(series.id)).status).toBe('sent');
+
+    await storage.markCompletedMeetings(new Date('2026-11-06T12:00:00Z'));
+    expect((await storage.getMeetingById(series.id)).status).toBe('completed');
+  });
+});
+
+describe('clarification sessions', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('are kept per tab', async () => {
+    await storage.saveClarificationSession('1', { missing: ['email'] });
+    await storage.saveClarificationSession('2', { missing: ['time'] });
+    await storage.clearClarificationSession('1');
+
+    expect(await storage.getClarificationSession('1')).toBeNull();
+    expect(await storage.getClarificationSession('2')).toMatchObject({ missing: ['time'] });
+  });
+
+  test('are dropped after half an hour without an answer', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+    await storage.saveClarificationSession('1', { missing: ['email'] });
+
+    jest.setSystemTime(new Date('2026-10-19T14:29:00Z'));
+    expect(await storage.getClarificationSession('1')).not.toBeNull();
+
+    jest.setSystemTime(new Date('2026-10-19T14:31:00Z'));
+    expect(await storage.getClarificationSession('1')).toBeNull();
+  });
+});
+
+describe('settings', () => {
+  test('secrets are kept on this device, not synced', async () => {
+    await storage.saveSettings({ jitsiAppId: 'scheduler', jitsiAppSecret: 'app-secret', teamsClientSecret: 'teams-secret' });
+
+    const { userSettings } = await chrome.storage.sync.get('userSettings');
+    const { localSettings } = await chrome.storage.local.get('localSettings');
+
+    expect(userSettings.jitsiAppId).toBe('scheduler');
+    expect(userSettings).not.toHaveProperty('jitsiAppSecret');
+    expect(localSettings).toEqual({ jitsiAppSecret: 'app-secret', teamsClientSecret: 'teams-secret' });
+    expect(await new StorageService().loadSettings()).toMatchObject({ jitsiAppSecret: 'app-secret', teamsClientSecret: 'teams-secret' });
+  });
+
+  test('secrets synced by an older version are moved to this device', async () => {
+    await chrome.storage.sync.set({ userSettings: { defaultTimezone: 'Europe/London', jitsiAppSecret: 'app-secret' } });
+
+    const settings = await storage.loadSettings();
+
+    expect(settings).toMatchObject({ defaultTimezone: 'Europe/London', jitsiAppSecret: 'app-secret' });
+    expect((await chrome.storage.sync.get('userSettings')).userSettings).not.toHaveProperty('jitsiAppSecret');
+    expect((await chrome.storage.local.get('localSettings')).localSettings.jitsiAppSecret).toBe('app-secret');
+  });
+
+  test('chosen calendars are saved with the rest of the settings', async () => {
+    await storage.saveSettings({ busyCalendarIds: ['primary', 'family@group.calendar.google.com'], eventCalendarId: 'work@acme.com' });
+
+    expect(await new StorageService().getSettings()).toMatchObject({
+      busyCalendarIds: ['primary', 'family@group.calendar.google.com'],
+      eventCalendarId: 'work@acme.com'
+    });
+  });
+});
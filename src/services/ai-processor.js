@@ -2,6 +2,45 @@
 // Handles natural language processing for meeting scheduling
 
 import * as chrono from 'chrono-node';
+import * as moment from 'moment-timezone';
+import { platformRegistry } from './platform-registry.js';
+import { WEEKDAY_CODES, alignToRecurrence, countWithinSpan } from '../utils/recurrence.js';
+
+const WEEKDAY = '(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?';
+const WEEKDAY_LIST = `${WEEKDAY}(?:\\s*(?:,|and|&)\\s*${WEEKDAY})*`;
+const NUMBER = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const TIMEZONE_ABBREVIATIONS = {
+  'EST': 'America/New_York',
+  'EDT': 'America/New_York',
+  'CST': 'America/Chicago',
+  'CDT': 'America/Chicago',
+  'MST': 'America/Denver',
+  'MDT': 'America/Denver',
+  'PST': 'America/Los_Angeles',
+  'PDT': 'America/Los_Angeles',
+  'GMT': 'Europe/London',
+  'BST': 'Europe/London',
+  'CET': 'Europe/Paris',
+  'CEST': 'Europe/Paris',
+  'IST': 'Asia/Kolkata',
+  'JST': 'Asia/Tokyo',
+  'AEST': 'Australia/Sydney',
+  'AEDT': 'Australia/Sydney'
+};
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+// "30 minutes" is a length, not "30 minutes from now"; "in 30 minutes" is kept
+const DURATION_PHRASE = /(?<!\bin\s)\b(?:for\s+)?\d+(?:\.5)?\s*(?:minutes?|mins?|hours?|hrs?)\b/gi;
+// Wall-clock bounds of the parts of the day a window can be narrowed to
+const PARTS_OF_DAY = {
+  morning: { earliest: null, latest: '12:00' },
+  afternoon: { earliest: '12:00', latest: '17:00' },
+  evening: { earliest: '17:00', latest: '21:00' }
+};
+
+// A reply turning down what we offered
+const DECLINE = /\b(can'?t|cannot|won'?t work|doesn'?t work|not available|unavailable|busy|decline|not going to work|no longer)\b/;
+// Words that turn down the time right after them
+const REFUSAL = /\b(can'?t|cannot|not|unavailable|busy|except)\b/;
 
 export class AIProcessor {
   constructor() {
@@ -19,14 +58,15 @@ export class AIProcessor {
     }
   }
 
-  async parseSchedulingRequest(command, context) {
+  // `timezone` is the user's zone: "today" and "tomorrow" are their days
+  async parseSchedulingRequest(command, context, { timezone } = {}) {
     try {
       // First, try local parsing for speed
-      const localParse = this.localParse(command, context);
+      const localParse = this.localParse(command, context, { timezone });
       
       // If API key is available, enhance with AI
       if (this.apiKey) {
-        return await this.aiEnhancedParse(command, context, localParse);
+        return await this.aiEnhancedParse(command, context, localParse, { timezone });
       }
       
       return localParse;
@@ -36,7 +76,7 @@ export class AIProcessor {
     }
   }
 
-  localParse(command, context) {
+  localParse(command, context, { timezone } = {}) {
     const parsed = {
       participantName: null,
       email: null,
@@ -44,7 +84,11 @@ export class AIProcessor {
       time: null,
       timezone: null,
       duration: null,
-      platform: null
+      platform: null,
+      recurrence: null,
+      attendees: null,
+      window: null,
+      mode: 'book'
     };
 
     // Extract participant from context
@@ -56,18 +100,43 @@ export class AIProcessor {
       parsed.email = context.participantInfo.email;
     }
 
-    // Parse dates and times using chrono-node
-    const chronoParsed = chrono.parse(command);
-    if (chronoParsed.length > 0) {
-      const firstDate = chronoParsed[0].start;
-      const date = firstDate.date();
-      
-      parsed.date = date.toISOString().split('T')[0];
-      
-      if (firstDate.isCertain('hour')) {
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        parsed.time = `${hours}:${minutes}`;
+    // Group threads invite everyone in the conversation
+    if (context?.participants?.length > 1) {
+      parsed.attendees = context.participants.map(({ name, email, linkedInUrl }) => ({
+        name,
+        email: email || null,
+        linkedInUrl: linkedInUrl || null
+      }));
+      parsed.participantName = this.formatNameList(parsed.attendees.map(attendee => attendee.name));
+    }
+
+    // "Every other Tuesday for six weeks" confuses chrono, so take the
+    // recurrence out first and leave just "Tuesday"
+    const reference = this.chronoReference(timezone);
+    const { recurrence, span, text } = this.extractRecurrence(command, reference);
+
+    // Parse dates and times using chrono-node, looking forward from now in
+    // the user's zone. The wall-clock values are kept as said; the zone they
+    // are in is resolved with the meeting's timezone later.
+    const chronoParsed = chrono.parse(text.replace(DURATION_PHRASE, ' '), reference, { forwardDate: true });
+    const { dated, timed } = this.pickDateAndTime(chronoParsed);
+    if (dated) {
+      parsed.date = this.extractDateAndTime(dated.start).date;
+      parsed.time = this.extractDateAndTime(timed.start, timed.text).time;
+    }
+
+    // No clock time but a window ("sometime next week"): we pick the slot
+    if (!parsed.time && !recurrence) {
+      parsed.window = this.extractWindow(command, reference, timezone, dated?.start);
+      if (parsed.window) {
+        parsed.date = null;
+      }
+    }
+
+    if (recurrence) {
+      parsed.recurrence = this.resolveRecurrence(recurrence, span, parsed.date, timezone);
+      if (parsed.date) {
+        parsed.date = alignToRecurrence(parsed.recurrence, parsed.date);
       }
     }
 
@@ -91,32 +160,301 @@ export class AIProcessor {
     }
 
     // Extract platform
-    const platformKeywords = {
-      'google-meet': ['google meet', 'gmeet', 'meet'],
-      'zoom': ['zoom'],
-      'teams': ['teams', 'microsoft teams', 'ms teams']
+    const platform = platformRegistry.findByKeywords(command);
+    if (platform) {
+      parsed.platform = platform.id;
+    }
+
+    // "Propose/offer/suggest a few times" means offering options, not booking one
+    if (/\b(propose|offer|suggest|send)\b.*\b(times|slots|options)\b/i.test(command)) {
+      parsed.mode = 'propose';
+    }
+
+    // Extract timezone from command (EST, PST, GMT, etc.); other capitals
+    // like "CEO" or "ASAP" are not zones
+    const abbreviation = (command.match(/\b[A-Z]{3,4}\b/g) || []).find(word => TIMEZONE_ABBREVIATIONS[word]);
+    if (abbreviation) {
+      parsed.timezone = TIMEZONE_ABBREVIATIONS[abbreviation];
+    }
+
+    return parsed;
+  }
+
+  // The dates to look for a free slot in when the command gives no clock
+  // time: "sometime next week", "before Friday", "a morning this week",
+  // "Tuesday afternoon", "first available". Returns { from, to } as
+  // YYYY-MM-DD in the user's zone, the earliest/latest wall-clock times for
+  // a part of the day, whether sooner is wanted, and the phrase for
+  // messages; or null when the command names no window.
+  extractWindow(command, reference, timezone, component = null) {
+    const lower = command.toLowerCase();
+    const zone = timezone || moment.tz.guess();
+    const today = moment.tz(reference.instant, zone).startOf('day');
+    const onDay = (start) => moment.tz(this.extractDateAndTime(start).date, 'YYYY-MM-DD', zone);
+    // "before Friday", "by the 12th": the first such word followed by a date
+    const bound = (words) => {
+      for (const found of lower.matchAll(new RegExp(`\\b(${words})\\s+`, 'g'))) {
+        const result = chrono.parse(lower.slice(found.index + found[0].length), reference, { forwardDate: true })[0];
+        if (result?.index === 0) {
+          return { word: found[1], day: onDay(result.start), text: result.text };
+        }
+      }
+      return null;
     };
+    const before = bound('before|by');
+    const after = bound('after');
+
+    const part = lower.match(/\b(morning|afternoon|evening)\b/)?.[1] || null;
+    const soonest = /\b(first available|earliest|as soon as possible|asap)\b/.test(lower);
+    const vague = /\b(sometime|some time|any ?time|whenever)\b/.test(lower);
+    const certainDay = component && (component.isCertain('weekday') || component.isCertain('day'));
+    let from = null;
+    let to = null;
+    let text = null;
+    let match;
+
+    if (before) {
+      from = today.clone();
+      to = before.word === 'before' ? before.day.clone().subtract(1, 'day') : before.day;
+      text = `${before.word} ${before.text}`;
+    } else if (after) {
+      from = after.day.clone().add(1, 'day');
+      to = from.clone().add(6, 'days');
+      text = `after ${after.text}`;
+    } else if ((match = lower.match(new RegExp(`\\b(?:in|within) the next ${NUMBER} days\\b`)))) {
+      const days = /^\d+$/.test(match[1]) ? parseInt(match[1]) : NUMBER_WORDS.indexOf(match[1]) + 1;
+      from = today.clone();
+      to = today.clone().add(days, 'days');
+      text = `in the next ${days} days`;
+    } else if ((match = lower.match(/\b(later this|this|next) week\b/))) {
+      const week = match[1] === 'next' ? today.clone().add(1, 'week') : today.clone();
+      from = match[1] === 'later this' ? today.clone().add(1, 'day') : week.clone().startOf('isoWeek');
+      to = week.clone().endOf('isoWeek').startOf('day');
+      text = `${match[1]} week`;
+
+      // "Tuesday afternoon next week" narrows it to that Tuesday
+      if (component?.isCertain('weekday')) {
+        from = week.clone().isoWeekday(component.get('weekday') || 7);
+        to = from.clone();
+        text = `on ${from.format('dddd')} ${text}`;
+      }
+    } else if (certainDay && (part || soonest || vague)) {
+      from = onDay(component);
+      to = from.clone();
+      text = from.isSame(today, 'day') ? 'today' : from.isSame(today.clone().add(1, 'day'), 'day') ? 'tomorrow' : `on ${from.format('dddd')}`;
+    } else if (soonest || vague || part) {
+      from = today.clone();
+      to = today.clone().add(6, 'days');
+      text = 'in the next week';
+    }
 
-    const lowerCommand = command.toLowerCase();
-    for (const [platform, keywords] of Object.entries(platformKeywords)) {
-      if (keywords.some(keyword => lowerCommand.includes(keyword))) {
-        parsed.platform = platform;
-        break;
+    if (!from) {
+      return null;
+    }
+    if (from.isBefore(today)) {
+      from = today.clone();
+    }
+    if (to.isBefore(from)) {
+      return null;
+    }
+
+    return {
+      from: from.format('YYYY-MM-DD'),
+      to: to.format('YYYY-MM-DD'),
+      partOfDay: part,
+      ...(part ? PARTS_OF_DAY[part] : { earliest: null, latest: null }),
+      soonest,
+      text
+    };
+  }
+
+  // "a morning next week", "sometime before Friday", for the user
+  describeWindow(window) {
+    if (!window.partOfDay) {
+      return `sometime ${window.text}`;
+    }
+    if (window.text === 'today') {
+      return `this ${window.partOfDay}`;
+    }
+    if (window.text === 'tomorrow') {
+      return `tomorrow ${window.partOfDay}`;
+    }
+    return `${window.partOfDay === 'morning' ? 'a' : 'an'} ${window.partOfDay} ${window.text}`;
+  }
+
+  // chrono reference for "now" in the given zone (default: this machine's)
+  chronoReference(timezone) {
+    const zone = timezone || moment.tz.guess();
+    return { instant: new Date(), timezone: moment.tz(zone).utcOffset() };
+  }
+
+  // With words in between ("at 3pm your time tomorrow") chrono returns the
+  // time and the day as separate results. Take the day from the first
+  // result that names one and the time from the first that has a clock time.
+  pickDateAndTime(results) {
+    const dated = results.find(result => result.start.isCertain('day') || result.start.isCertain('weekday')) ||
+      results[0];
+    const timed = results.find(result => result.start.isCertain('hour')) || dated;
+    return { dated, timed };
+  }
+
+  // Turn a chrono component into our YYYY-MM-DD / HH:MM pair. These are
+  // the wall-clock values as said, not converted through any Date, so they
+  // don't shift with the machine's zone.
+  // `text` is what chrono matched, for telling "at 4" from "04:00".
+  extractDateAndTime(component, text = '') {
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = `${component.get('year')}-${pad(component.get('month'))}-${pad(component.get('day'))}`;
+    const time = component.isCertain('hour')
+      ? `${pad(this.clockHour(component, text))}:${pad(component.get('minute') || 0)}`
+      : null;
+
+    return { date, time };
+  }
+
+  // "at 4" with no am/pm is a meeting at 4 PM, not 4 in the morning. A
+  // clock time written out ("07:00", "7:30") is taken as said.
+  clockHour(component, text = '') {
+    const hour = component.get('hour');
+    const bareHour = !/\d[:.]\d{2}/.test(text) && !/(?:^|[\sT@])0\d\b/.test(text);
+
+    return !component.isCertain('meridiem') && bareHour && hour >= 1 && hour <= 7
+      ? hour + 12
+      : hour;
+  }
+
+  // Pull a repeat pattern out of a command. Returns the recurrence (or null),
+  // a "for six weeks" span still to be turned into a count once the start
+  // date is known, and the command with the recurrence wording removed.
+  extractRecurrence(command, reference = this.chronoReference()) {
+    const toNumber = (word) => /^\d+$/.test(word) ? parseInt(word) : NUMBER_WORDS.indexOf(word) + 1;
+    const toWeekdays = (list) => list.match(new RegExp(WEEKDAY, 'g'))
+      .map(day => WEEKDAY_CODES[day.replace(/s$/, '')]);
+
+    // Most specific first; `day` keeps a weekday in the text for chrono
+    const patterns = [
+      { regex: /\bevery\s+weekday\b/, build: () => ({ frequency: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] }) },
+      { regex: new RegExp(`\\bevery\\s+other\\s+(${WEEKDAY_LIST})`), build: (m) => ({ frequency: 'WEEKLY', interval: 2, byDay: toWeekdays(m[1]) }), day: true },
+      { regex: new RegExp(`\\bevery\\s+${NUMBER}\\s+weeks?\\s+on\\s+(${WEEKDAY_LIST})`), build: (m) => ({ frequency: 'WEEKLY', interval: toNumber(m[1]), byDay: toWeekdays(m[2]) }), day: true },
+      { regex: new RegExp(`\\b(?:every|each)\\s+(${WEEKDAY_LIST})`), build: (m) => ({ frequency: 'WEEKLY', interval: 1, byDay: toWeekdays(m[1]) }), day: true },
+      { regex: /\b(?:every\s+other\s+week|bi-?weekly|fortnightly)\b/, build: () => ({ frequency: 'WEEKLY', interval: 2 }) },
+      { regex: new RegExp(`\\bevery\\s+${NUMBER}\\s+weeks\\b`), build: (m) => ({ frequency: 'WEEKLY', interval: toNumber(m[1]) }) },
+      { regex: /\b(?:weekly|every\s+week)\b/, build: () => ({ frequency: 'WEEKLY', interval: 1 }) },
+      { regex: /\bevery\s+other\s+day\b/, build: () => ({ frequency: 'DAILY', interval: 2 }) },
+      { regex: new RegExp(`\\bevery\\s+${NUMBER}\\s+days\\b`), build: (m) => ({ frequency: 'DAILY', interval: toNumber(m[1]) }) },
+      { regex: /\b(?:daily|every\s+day)\b/, build: () => ({ frequency: 'DAILY', interval: 1 }) },
+      { regex: /\bevery\s+other\s+month\b/, build: () => ({ frequency: 'MONTHLY', interval: 2 }) },
+      { regex: new RegExp(`\\bevery\\s+${NUMBER}\\s+months\\b`), build: (m) => ({ frequency: 'MONTHLY', interval: toNumber(m[1]) }) },
+      { regex: /\b(?:monthly|every\s+month)\b/, build: () => ({ frequency: 'MONTHLY', interval: 1 }) }
+    ];
+
+    let text = command;
+    let recurrence = null;
+    let span = null;
+
+    for (const { regex, build, day } of patterns) {
+      const match = text.toLowerCase().match(regex);
+      if (!match) continue;
+
+      recurrence = { byDay: null, count: null, until: null, ...build(match) };
+      const replacement = day
+        ? Object.keys(WEEKDAY_CODES).find(name => WEEKDAY_CODES[name] === recurrence.byDay[0])
+        : '';
+      text = text.slice(0, match.index) + replacement + text.slice(match.index + match[0].length);
+      break;
+    }
+
+    if (!recurrence) {
+      return { recurrence: null, span: null, text: command };
+    }
+
+    const strip = (match) => {
+      text = text.slice(0, match.index) + text.slice(match.index + match[0].length);
+    };
+
+    const countMatch = text.toLowerCase().match(new RegExp(`\\b(?:for\\s+)?${NUMBER}\\s+(?:times|sessions|occurrences|meetings)\\b`));
+    const spanMatch = text.toLowerCase().match(new RegExp(`\\bfor\\s+(?:the\\s+next\\s+)?${NUMBER}\\s+(days?|weeks?|months?)\\b`));
+    const untilMatch = text.toLowerCase().match(/\buntil\s+/);
+
+    if (countMatch) {
+      recurrence.count = toNumber(countMatch[1]);
+      strip(countMatch);
+    } else if (spanMatch) {
+      span = { amount: toNumber(spanMatch[1]), unit: spanMatch[2].replace(/s$/, '') };
+      strip(spanMatch);
+    } else if (untilMatch) {
+      const rest = text.slice(untilMatch.index + untilMatch[0].length);
+      const end = chrono.parse(rest, reference, { forwardDate: true })[0];
+
+      if (end && end.index === 0) {
+        recurrence.until = this.extractDateAndTime(end.start).date;
+        text = text.slice(0, untilMatch.index) + rest.slice(end.text.length);
       }
     }
 
-    // Extract timezone from command or context
-    const timezoneMatch = command.match(/\b([A-Z]{3,4})\b/); // EST, PST, GMT, etc.
-    if (timezoneMatch) {
-      parsed.timezone = this.convertTimezoneAbbreviation(timezoneMatch[1]);
+    return { recurrence, span, text: text.replace(/\s{2,}/g, ' ').trim() };
+  }
+
+  // Turn "for six weeks" into an occurrence count from the first meeting
+  resolveRecurrence(recurrence, span, startDate, timezone) {
+    if (!span) {
+      return recurrence;
     }
 
-    return parsed;
+    const start = alignToRecurrence(recurrence, startDate || moment.tz(timezone || moment.tz.guess()).format('YYYY-MM-DD'));
+    return { ...recurrence, count: countWithinSpan(recurrence, start, span) };
   }
 
-  async aiEnhancedParse(command, context, localParse) {
+  // Parse a follow-up answer ("it's jane at acme dot com", "Thursday at 3")
+  // for the fields we asked about. Only fields listed in `missing` are set.
+  // Group threads ask for one person's email at a time ('email:<index>'),
+  // and that person can be skipped.
+  parseClarificationAnswer(answer, missing, { timezone } = {}) {
+    const result = {};
+
+    if (missing[0]?.startsWith('email:') &&
+        /\b(skip|no email|don'?t (know|have)|leave (them|him|her) off)\b/i.test(answer)) {
+      result.skipped = true;
+      return result;
+    }
+
+    if (missing.some(field => field === 'email' || field.startsWith('email:'))) {
+      // Speech recognition spells addresses out, so normalise those first
+      const normalized = answer
+        .replace(/\s+at\s+/gi, '@')
+        .replace(/\s+dot\s+/gi, '.');
+      const emailMatch = normalized.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/);
+
+      if (emailMatch) {
+        result.email = emailMatch[0].toLowerCase();
+      }
+    }
+
+    if (missing.includes('date') || missing.includes('time')) {
+      const chronoParsed = chrono.parse(answer, this.chronoReference(timezone), { forwardDate: true });
+
+      if (chronoParsed.length > 0) {
+        const { dated, timed } = this.pickDateAndTime(chronoParsed);
+        const { date } = this.extractDateAndTime(dated.start);
+        const { time } = this.extractDateAndTime(timed.start, timed.text);
+
+        // A bare "at 3pm" implies today; don't let that fill in the date
+        if (missing.includes('date') &&
+            (dated.start.isCertain('day') || dated.start.isCertain('weekday'))) {
+          result.date = date;
+        }
+        if (missing.includes('time') && time) {
+          result.time = time;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  async aiEnhancedParse(command, context, localParse, { timezone } = {}) {
     try {
-      const prompt = this.buildPrompt(command, context, localParse);
+      const prompt = this.buildPrompt(command, context, localParse, timezone);
       
       const response = await fetch(this.apiEndpoint, {
         method: 'POST',
@@ -158,7 +496,15 @@ export class AIProcessor {
         ...aiParsed,
         // Keep local parse if AI didn't provide value
         participantName: aiParsed.participantName || localParse.participantName,
-        email: aiParsed.email || localParse.email
+        email: aiParsed.email || localParse.email,
+        // The conversation's members come from the page, not the model
+        attendees: localParse.attendees,
+        // A spoken window is filled from the calendar, not by the model
+        window: localParse.window,
+        ...(localParse.window ? { date: null, time: null } : {}),
+        recurrence: ['DAILY', 'WEEKLY', 'MONTHLY'].includes(aiParsed.recurrence?.frequency)
+          ? aiParsed.recurrence
+          : localParse.recurrence
       };
 
     } catch (error) {
@@ -167,9 +513,11 @@ export class AIProcessor {
     }
   }
 
-  buildPrompt(command, context, localParse) {
+  buildPrompt(command, context, localParse, timezone = moment.tz.guess()) {
     const contextInfo = {
-      participantName: context?.participantInfo?.name,
+      participantName: context?.participants?.length > 1
+        ? `${this.formatNameList(context.participants.map(participant => participant.name))} (group conversation)`
+        : context?.participantInfo?.name,
       participantEmail: context?.participantInfo?.email,
       participantJob: context?.participantInfo?.jobInfo,
       recentMessages: context?.messages?.slice(-5).map(m => 
@@ -179,6 +527,7 @@ export class AIProcessor {
 
     return `
 Voice Command: "${command}"
+Current date and time: ${moment.tz(timezone).format('dddd, YYYY-MM-DD HH:mm')} (${timezone})
 
 LinkedIn Chat Context:
 - Participant: ${contextInfo.participantName || 'Unknown'}
@@ -196,16 +545,19 @@ Please extract and return a JSON object with:
   "participantName": "string (from context or command)",
   "email": "string (from context or command)",
   "date": "YYYY-MM-DD format",
-  "time": "HH:MM format (24-hour)",
+  "time": "HH:MM format (24-hour, wall-clock time in the timezone below)",
   "timezone": "IANA timezone (e.g., America/New_York)",
   "duration": number (in minutes),
-  "platform": "google-meet|zoom|teams",
+  "platform": "${platformRegistry.ids().join('|')}",
+  "recurrence": null or {"frequency": "DAILY|WEEKLY|MONTHLY", "interval": number, "byDay": ["MO", "TU", ...] or null, "count": number or null, "until": "YYYY-MM-DD" or null},
   "confidence": number (0-1),
   "inferredInfo": ["list of fields that were inferred vs explicit"]
 }
 
 If the chat messages mention specific times, dates, or preferences, use that information.
 If timezone is mentioned in chat (e.g., "I'm in PST" or "London time"), extract it.
+Set recurrence only for repeating meetings ("every other Tuesday for six weeks"); "date" is then the first occurrence.
+If the command gives no clock time, only a window ("sometime next week", "a morning before Friday"), set "date" and "time" to null; the time is picked from the calendar.
 Default duration to 30 if not specified.
 Return ONLY valid JSON, no explanation.
     `;
@@ -231,12 +583,11 @@ Return ONLY valid JSON, no explanation.
       const prompt = `
 Generate a professional meeting invitation message for LinkedIn with these details:
 
-Participant: ${details.participantName}
+Participant: ${details.participantName}${details.attendees?.length > 1 ? ' (group conversation, address everyone)' : ''}
 Date: ${details.date}
-Time: ${details.time}
-Timezone: ${details.timezone}
+Time: ${details.times ? details.times.user.text : `${details.time} ${details.timezone}`}${details.times?.other ? `\nTheir time: ${details.times.other.text}${details.times.differentDay ? ` on ${details.times.other.date}` : ''} (give both times)` : ''}
 Duration: ${details.duration} minutes
-Platform: ${details.platform}
+Platform: ${platformRegistry.displayName(details.platform)}${details.repeats ? `\nRepeats: ${details.repeats} (mention that this is a recurring meeting)` : ''}
 
 Recent chat context:
 ${details.context?.slice(-3).map(m => `${m.sender}: ${m.content}`).join('\n') || 'No context'}
@@ -289,18 +640,12 @@ Generate the message:
   }
 
   templateMessage(details) {
-    const platformNames = {
-      'google-meet': 'Google Meet',
-      'zoom': 'Zoom',
-      'teams': 'Microsoft Teams'
-    };
-
-    return `Hi ${details.participantName || 'there'},
+    return `${this.greeting(details)}
 
-Looking forward to our discussion! I've scheduled a ${platformNames[details.platform] || 'video call'} for:
+Looking forward to our discussion! I've scheduled a ${platformRegistry.displayName(details.platform)} for:
 
-📅 ${details.date}
-🕐 ${details.time} ${details.timezone}
+📅 ${details.date}${details.repeats ? `\n🔁 ${details.repeats}` : ''}
+🕐 ${this.meetingTimeLine(details)}
 ⏱️ ${details.duration} minutes
 🔗 [Meeting Link]
 
@@ -309,27 +654,328 @@ Calendar invite sent. Let me know if you need to reschedule!
 Best regards`;
   }
 
-  convertTimezoneAbbreviation(abbr) {
-    const timezoneMap = {
-      'EST': 'America/New_York',
-      'EDT': 'America/New_York',
-      'CST': 'America/Chicago',
-      'CDT': 'America/Chicago',
-      'MST': 'America/Denver',
-      'MDT': 'America/Denver',
-      'PST': 'America/Los_Angeles',
-      'PDT': 'America/Los_Angeles',
-      'GMT': 'Europe/London',
-      'BST': 'Europe/London',
-      'CET': 'Europe/Paris',
-      'CEST': 'Europe/Paris',
-      'IST': 'Asia/Kolkata',
-      'JST': 'Asia/Tokyo',
-      'AEST': 'Australia/Sydney',
-      'AEDT': 'Australia/Sydney'
+  // "3:00 PM – 3:30 PM EDT (8:00 PM – 8:30 PM BST for you)", noting their
+  // date too when it's another day for them
+  meetingTimeLine(details) {
+    if (!details.times) {
+      return `${details.time} ${details.timezone}`;
+    }
+
+    const { user, other, differentDay } = details.times;
+    const theirs = other
+      ? ` (${other.text}${differentDay ? `, ${other.date}` : ''} for you)`
+      : '';
+    return `${user.text}${theirs}`;
+  }
+
+  // Classify a reply in the LinkedIn thread after we sent an invite or a
+  // set of proposed slots. Returns { intent, slotIndex, proposedStart }
+  // where intent is one of 'pick', 'accept', 'decline', 'counter', 'unknown'.
+  async classifyReply(text, options = {}) {
+    const local = this.localClassifyReply(text, options);
+
+    if (!this.apiKey) {
+      return local;
+    }
+
+    try {
+      const ai = await this.aiClassifyReply(text, options);
+      if (!ai || !ai.intent) {
+        return local;
+      }
+
+      // Chrono is better at pinning a concrete slot, the model at reading intent
+      if (local.intent === 'pick') {
+        return local;
+      }
+
+      const slotCount = options.slots?.length || 0;
+      const slotIndex = Number.isInteger(ai.slotIndex) && ai.slotIndex < slotCount
+        ? ai.slotIndex
+        : null;
+
+      return {
+        ...local,
+        intent: ai.intent === 'pick' && slotIndex === null ? 'accept' : ai.intent,
+        slotIndex,
+        source: 'ai'
+      };
+    } catch (error) {
+      console.error('Error with AI reply classification:', error);
+      return local;
+    }
+  }
+
+  localClassifyReply(text, { slots = [], userTimezone, participantTimezone } = {}) {
+    const result = {
+      intent: 'unknown',
+      slotIndex: null,
+      proposedStart: null,
+      source: 'local'
     };
+    const lower = text.toLowerCase();
+
+    // Bare "great" or "sure" say too little ("great question", "not sure")
+    const accepts = /\b(works|work for me|sounds good|perfect|see you|confirmed|yes|yep|accept|i'?ll be there|looking forward)\b/.test(lower);
+    const declines = DECLINE.test(lower);
+
+    // Only an ordinal that names an option: "option 2", "#2", "the second
+    // one", "first slot", "2️⃣". A bare "first" ("first I need to check")
+    // or a stray digit is not a pick.
+    const ordinals = ['first', 'second', 'third', 'fourth', 'fifth'];
+    const ordinalMatch = lower.match(/\b(?:the\s+)?(first|second|third|fourth|fifth)\s+(?:one|option|slot|time)\b/) ||
+      lower.match(/(?:\boption|\bchoice|\bnumber|#)\s*#?([1-5])\b/) ||
+      text.match(/([1-5])\uFE0F?\u20E3/);
+
+    if (slots.length > 0 && ordinalMatch) {
+      const index = ordinals.includes(ordinalMatch[1])
+        ? ordinals.indexOf(ordinalMatch[1])
+        : parseInt(ordinalMatch[1]) - 1;
+
+      if (index >= 0 && index < slots.length && !declines) {
+        return { ...result, intent: 'pick', slotIndex: index };
+      }
+    }
+
+    // Replies talk about the future: "Friday" is the coming one. Times
+    // they turn down ("can't do 3pm") are not what they're offering.
+    const offered = chrono.parse(text, new Date(), { forwardDate: true })
+      .filter(parsed => !this.isRefused(lower, parsed.index));
+    const zones = [participantTimezone, userTimezone];
+
+    for (const parsed of offered) {
+      const slotIndex = this.matchProposedSlot(parsed.start, slots, zones, this.clockHour(parsed.start, parsed.text));
+      if (slotIndex !== null) {
+        return { ...result, intent: 'pick', slotIndex };
+      }
+    }
+
+    // A time we didn't offer: they're suggesting their own, and the last
+    // one mentioned is usually the suggestion ("not 3, how about 4?").
+    // A day alone only counts when they turned something down.
+    const suggestion = [...offered].reverse().find(parsed =>
+      parsed.start.isCertain('hour') ||
+      (declines && (parsed.start.isCertain('day') || parsed.start.isCertain('weekday')))
+    );
+    if (suggestion) {
+      const component = suggestion.start;
+      if (component.isCertain('hour')) {
+        const zone = participantTimezone || userTimezone || moment.tz.guess();
+        result.proposedStart = moment.tz({
+          year: component.get('year'),
+          month: component.get('month') - 1,
+          day: component.get('day'),
+          hour: this.clockHour(component, suggestion.text),
+          minute: component.get('minute') || 0
+        }, zone).toISOString();
+      }
+
+      return { ...result, intent: 'counter' };
+    }
+
+    if (declines) {
+      result.intent = 'decline';
+    } else if (accepts) {
+      result.intent = 'accept';
+    }
+
+    return result;
+  }
+
+  // Whether the words just before `index`, in the same clause, turn it
+  // down: "I can't do 3pm", "Thursday doesn't work"
+  isRefused(lower, index) {
+    const clause = lower.slice(0, index).split(/[.,;!?]|\bbut\b/).pop();
+    const after = lower.slice(index).split(/[.,;!?]|\bbut\b/)[0];
+    return REFUSAL.test(clause) || /\b(won'?t work|doesn'?t work|is out|not going to work)\b/.test(after);
+  }
+
+  // Find the proposed slot whose weekday/date and time match what chrono
+  // found, checking the wall clock in each of the given zones
+  matchProposedSlot(component, slots, timezones, hour = component.get('hour')) {
+    for (const timezone of timezones.filter(Boolean)) {
+      const index = slots.findIndex(slot => {
+        const start = moment.tz(slot.start, timezone);
+
+        if (component.isCertain('hour') &&
+            (start.hour() !== hour || start.minute() !== (component.get('minute') || 0))) {
+          return false;
+        }
+        if (component.isCertain('day') && start.date() !== component.get('day')) {
+          return false;
+        }
+        if (component.isCertain('weekday') && !component.isCertain('day') &&
+            start.day() !== component.get('weekday')) {
+          return false;
+        }
+
+        return component.isCertain('hour') || component.isCertain('day') || component.isCertain('weekday');
+      });
+
+      if (index >= 0) {
+        return index;
+      }
+    }
+
+    return null;
+  }
+
+  async aiClassifyReply(text, { slots = [] }) {
+    const response = await fetch(this.apiEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: 'gpt-4',
+        messages: [
+          {
+            role: 'system',
+            content: 'You classify replies to meeting invitations. Return valid JSON only.'
+          },
+          {
+            role: 'user',
+            content: `
+Reply: "${text}"
+
+Options we offered:
+${slots.map((slot, index) => `${index}: ${slot.participant ? `${slot.participant.date} ${slot.participant.start}` : slot.start}`).join('\n') || 'None (a single invite was sent)'}
+
+Return {"intent": "pick|accept|decline|counter|unknown", "slotIndex": number or null}.
+Use "pick" only if the reply chooses one of the options above.
+            `
+          }
+        ],
+        temperature: 0,
+        max_tokens: 100
+      })
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+    return JSON.parse(data.choices[0].message.content);
+  }
+
+  // Offer several slots, each shown in both our and the participant's zone
+  proposalMessage(details) {
+    const numbers = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣'];
+
+    const options = details.slots.map((slot, index) => {
+      const theirs = slot.sameTimezone
+        ? ''
+        : ` (${slot.participant.start} ${slot.participant.tzAbbr}${slot.participant.date !== slot.user.date ? `, ${slot.participant.date}` : ''} for you)`;
+      return `${numbers[index] || `${index + 1}.`} ${slot.user.date} at ${slot.user.start} ${slot.user.tzAbbr}${theirs}`;
+    }).join('\n');
+
+    return `${this.greeting(details)}
+
+Would any of these times work for a ${details.duration}-minute ${platformRegistry.displayName(details.platform)}?
+
+${options}
 
-    return timezoneMap[abbr] || Intl.DateTimeFormat().resolvedOptions().timeZone;
+Just reply with the option that suits you best, or suggest another time if none of these work.
+
+Best regards`;
+  }
+
+  // Draft answer to "how about <other time>?"
+  counterResponseMessage(details) {
+    const when = details.participantTime && details.participantTime !== details.userTime
+      ? `${details.userTime} (${details.participantTime} for you)`
+      : details.userTime;
+
+    if (details.available) {
+      return `${this.greeting(details)}
+
+${when} works for me! I'll send over an updated invite shortly.
+
+Best regards`;
+    }
+
+    return `${this.greeting(details)}
+
+Unfortunately I'm not free at ${when}. Would one of the other times I suggested work, or is there another time that suits you?
+
+Best regards`;
+  }
+
+  // Draft answer when the participant can't make it
+  declineResponseMessage(details) {
+    return `${this.greeting(details)}
+
+No problem at all! Is there another day or time that would work better for you?
+
+Best regards`;
+  }
+
+  // Follow-up note posted in the LinkedIn thread after a reschedule. For a
+  // recurring meeting, either one occurrence (occurrenceDate) or the series
+  // (repeats) moved.
+  rescheduleMessage(details) {
+    let what = 'our meeting';
+    if (details.occurrenceDate) {
+      what = `our meeting on ${details.occurrenceDate} (just that one; the rest of the series stays the same)`;
+    } else if (details.repeats) {
+      what = 'our recurring meeting';
+    }
+
+    return `${this.greeting(details)}
+
+Quick update: I've moved ${what} to a new time.
+
+📅 ${details.date}${details.repeats ? `\n🔁 ${details.repeats}` : ''}
+🕐 ${this.meetingTimeLine(details)}
+⏱️ ${details.duration} minutes${details.meetingLink ? `\n🔗 ${details.meetingLink}` : ''}
+
+The calendar invite has been updated. Let me know if the new time doesn't work for you!
+
+Best regards`;
+  }
+
+  // Follow-up note posted in the LinkedIn thread after a cancellation
+  cancellationMessage(details) {
+    let what = `our meeting on ${details.date} at ${details.time} ${details.timezone}`;
+    let closing = 'I\'d be happy to find another time that works for you.';
+
+    if (details.singleOccurrence) {
+      what += '; the rest of the series stays as planned';
+      closing = 'See you at the next one!';
+    } else if (details.repeats) {
+      what = `our recurring ${details.time} ${details.timezone} meeting (${details.repeats.charAt(0).toLowerCase()}${details.repeats.slice(1)})`;
+    }
+
+    return `${this.greeting(details)}
+
+Unfortunately I need to cancel ${what}.${details.reason ? `\n\n${details.reason}` : ''}
+
+Sorry for the inconvenience. ${closing}
+
+Best regards`;
+  }
+
+  // "Hi Jane," or, for a group thread, "Hi Jane, Bob and Ali,"
+  greeting(details) {
+    if (details.attendees?.length > 1) {
+      const firstNames = details.attendees.map(attendee => attendee.name.split(/\s+/)[0]);
+      return firstNames.length > 4 ? 'Hi all,' : `Hi ${this.formatNameList(firstNames)},`;
+    }
+
+    return `Hi ${details.participantName || 'there'},`;
+  }
+
+  // "Jane", "Jane and Bob", "Jane, Bob and Ali"
+  formatNameList(names) {
+    return names.length > 1
+      ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+      : names[0] || '';
+  }
+
+  convertTimezoneAbbreviation(abbr) {
+    return TIMEZONE_ABBREVIATIONS[abbr] || Intl.DateTimeFormat().resolvedOptions().timeZone;
   }
 
   async analyzeChatForSchedulingContext(messages) {
@@ -352,6 +998,8 @@ Best regards`;
       // Check for urgency keywords
       if (/urgent|asap|soon|immediately/i.test(msg.content)) {
         context.urgencyLevel = 'high';
+      } else if (context.urgencyLevel === 'normal' && /no rush|no hurry|whenever suits|at your convenience/i.test(msg.content)) {
+        context.urgencyLevel = 'low';
       }
 
       // Extract timezone mentions
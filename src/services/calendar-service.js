@@ -1,11 +1,30 @@
 // Calendar Service
 // Handles Google Calendar and other calendar integrations
 
+import * as moment from 'moment-timezone';
+import { toRRule } from '../utils/recurrence.js';
+import { DEFAULT_WORKING_HOURS, periodsOn, workingRanges } from '../utils/working-hours.js';
+import { DEFAULT_SCHEDULING_RULES, evaluateSlots, normalizeSchedulingRules, uniquePeriods } from '../utils/slot-finder.js';
+import { TimezoneHandler } from '../utils/timezone-handler.js';
+
+// Personal mail providers: sharing one doesn't make someone a colleague
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'
+];
+
+// freeBusy answers are reused for this long, per calendar and time range
+const BUSY_CACHE_TTL = 5 * 60 * 1000;
+
 export class CalendarService {
   constructor() {
     this.accessToken = null;
+    // Default calendar for events; callers pass the one chosen in settings
     this.calendarId = 'primary';
     this.apiBase = 'https://www.googleapis.com/calendar/v3';
+    this.userEmail = null;
+    this.timezoneHandler = new TimezoneHandler();
+    this.busyCache = new Map();
   }
 
   async initialize() {
@@ -47,61 +66,58 @@ export class CalendarService {
     try {
       await this.ensureAuthenticated();
 
-      // Calculate end time
-      const startDateTime = new Date(eventDetails.start.dateTime);
-      const endDateTime = new Date(startDateTime.getTime() + eventDetails.duration * 60000);
+      const request = this.buildEventRequest(eventDetails);
+      const calendarId = eventDetails.calendarId || this.calendarId;
 
-      const event = {
-        summary: eventDetails.summary,
-        description: eventDetails.description,
-        start: {
-          dateTime: eventDetails.start.dateTime,
-          timeZone: eventDetails.start.timeZone
-        },
-        end: {
-          dateTime: endDateTime.toISOString().slice(0, -5),
-          timeZone: eventDetails.start.timeZone
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
         },
-        attendees: eventDetails.attendees,
-        reminders: {
-          useDefault: false,
-          overrides: [
-            { method: 'email', minutes: 24 * 60 },
-            { method: 'popup', minutes: 30 }
-          ]
-        }
-      };
+        body: JSON.stringify(request.body)
+      });
 
-      // Add conference data if provided
-      if (eventDetails.conferenceData) {
-        event.conferenceData = eventDetails.conferenceData;
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw Object.assign(
+          new Error(`Calendar API error: ${error.error?.message || response.statusText}`),
+          { status: response.status }
+        );
       }
 
-      const response = await fetch(
-        `${this.apiBase}/calendars/${this.calendarId}/events?conferenceDataVersion=1`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(event)
+      let createdEvent = await response.json();
+      console.log('Calendar event created:', createdEvent);
+      this.busyCache.clear();
+
+      if (eventDetails.conferenceType) {
+        try {
+          createdEvent = await this.waitForConference(createdEvent, { calendarId });
+        } catch (error) {
+          // An invite without its meeting link is worse than none
+          await this.deleteEvent(createdEvent.id, calendarId).catch(() => {});
+          throw error;
         }
-      );
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Calendar API error: ${error.error.message}`);
       }
 
-      const createdEvent = await response.json();
-      console.log('Calendar event created:', createdEvent);
+      const entryPoints = createdEvent.conferenceData?.entryPoints || [];
       
       return {
         id: createdEvent.id,
+        calendarId,
         htmlLink: createdEvent.htmlLink,
         hangoutLink: createdEvent.hangoutLink,
-        conferenceData: createdEvent.conferenceData
+        conferenceData: createdEvent.conferenceData,
+        meetingLink: entryPoints.find(entry => entry.entryPointType === 'video')?.uri ||
+          createdEvent.hangoutLink || null,
+        dialIn: entryPoints
+          .filter(entry => entry.entryPointType === 'phone')
+          .map(entry => ({
+            number: entry.label || entry.uri.replace(/^tel:/, ''),
+            pin: entry.pin || null,
+            regionCode: entry.regionCode || null
+          })),
+        moreDialInLink: entryPoints.find(entry => entry.entryPointType === 'more')?.uri || null
       };
 
     } catch (error) {
@@ -110,101 +126,309 @@ export class CalendarService {
     }
   }
 
-  async checkAvailability(date, duration = 30) {
-    try {
-      await this.ensureAuthenticated();
+  // The exact request createEvent sends, without sending it (used for previews)
+  buildEventRequest(eventDetails) {
+    const { start, end } = this.buildEventTimes(
+      eventDetails.start.dateTime,
+      eventDetails.start.timeZone,
+      eventDetails.duration
+    );
+
+    const event = {
+      summary: eventDetails.summary,
+      description: eventDetails.description,
+      start,
+      end,
+      attendees: eventDetails.attendees,
+      reminders: {
+        useDefault: false,
+        overrides: [
+          { method: 'email', minutes: 24 * 60 },
+          { method: 'popup', minutes: 30 }
+        ]
+      }
+    };
 
-      const startDate = new Date(date);
-      startDate.setHours(0, 0, 0, 0);
-      
-      const endDate = new Date(date);
-      endDate.setHours(23, 59, 59, 999);
+    // Tentative holds for proposed times
+    if (eventDetails.status) {
+      event.status = eventDetails.status;
+    }
+
+    if (eventDetails.recurrence) {
+      event.recurrence = [toRRule(eventDetails.recurrence, eventDetails.start.timeZone)];
+    }
+
+    // Ask Google to create the conference (e.g. a Meet) on this event,
+    // or attach an existing one from another platform
+    if (eventDetails.conferenceType) {
+      event.conferenceData = {
+        createRequest: {
+          requestId: this.generateRequestId(),
+          conferenceSolutionKey: { type: eventDetails.conferenceType }
+        }
+      };
+    } else if (eventDetails.conferenceData) {
+      event.conferenceData = eventDetails.conferenceData;
+    }
+
+    return {
+      method: 'POST',
+      url: `${this.apiBase}/calendars/${encodeURIComponent(eventDetails.calendarId || this.calendarId)}/events?conferenceDataVersion=1`,
+      body: event
+    };
+  }
+
+  // Conferences are created asynchronously; poll the event until Google
+  // reports success, so the link and dial-in numbers are final
+  async waitForConference(event, { calendarId = this.calendarId, attempts = 10, delayMs = 1000 } = {}) {
+    let current = event;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const status = current.conferenceData?.createRequest?.status?.statusCode;
+
+      if (status === 'success' || (!status && current.hangoutLink)) {
+        return current;
+      }
+      if (status === 'failure') {
+        throw Object.assign(new Error('Google could not create a Meet conference for this event'), {
+          reason: 'rejected'
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delayMs));
 
       const response = await fetch(
-        `${this.apiBase}/freeBusy`,
+        `${this.apiBase}/calendars/${encodeURIComponent(calendarId)}/events/${event.id}?conferenceDataVersion=1`,
         {
-          method: 'POST',
           headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            timeMin: startDate.toISOString(),
-            timeMax: endDate.toISOString(),
-            items: [{ id: this.calendarId }]
-          })
+            'Authorization': `Bearer ${this.accessToken}`
+          }
         }
       );
 
       if (!response.ok) {
-        throw new Error('Failed to check availability');
+        throw Object.assign(new Error('Failed to check the Meet conference'), { status: response.status });
       }
 
-      const data = await response.json();
-      const busySlots = data.calendars[this.calendarId].busy;
-
-      // Find available slots
-      const availableSlots = this.findAvailableSlots(
-        startDate,
-        endDate,
-        busySlots,
-        duration
+      current = await response.json();
+    }
+
+    throw Object.assign(new Error('Timed out waiting for Google to create the Meet conference'), {
+      reason: 'unavailable'
+    });
+  }
+
+  generateRequestId() {
+    return crypto.randomUUID();
+  }
+
+  // Build the start/end pair for an event of the given duration. The
+  // start is an instant with its offset; both are written with the offset
+  // they have in `timeZone`, so Google never reads them as UTC.
+  buildEventTimes(startDateTime, timeZone, duration) {
+    const start = moment.tz(startDateTime, timeZone);
+
+    return {
+      start: {
+        dateTime: start.format(),
+        timeZone
+      },
+      end: {
+        dateTime: start.clone().add(duration, 'minutes').format(),
+        timeZone
+      }
+    };
+  }
+
+  // The primary calendar's id is the signed-in user's address
+  async getUserEmail() {
+    if (this.userEmail) {
+      return this.userEmail;
+    }
+
+    await this.ensureAuthenticated();
+
+    const response = await fetch(`${this.apiBase}/calendars/primary`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load calendar');
+    }
+
+    this.userEmail = (await response.json()).id;
+    return this.userEmail;
+  }
+
+  // Attendees on the user's own (non-public) domain, whose calendars the
+  // user can usually see in freeBusy
+  async getInternalEmails(emails) {
+    const domain = (await this.getUserEmail().catch(() => null))?.split('@')[1]?.toLowerCase();
+
+    if (!domain || PUBLIC_EMAIL_DOMAINS.includes(domain)) {
+      return [];
+    }
+
+    return [...new Set(emails.filter(Boolean).map(email => email.toLowerCase()))]
+      .filter(email => email.split('@')[1] === domain && email !== this.userEmail?.toLowerCase());
+  }
+
+  // Free slots on `date` (a day in `timeZone`) within the user's working
+  // hours and scheduling rules, for the user and any internal attendees
+  async checkAvailability(date, duration = 30, attendeeEmails = [], options = {}) {
+    const { slots } = await this.findSlots(date, duration, attendeeEmails, options);
+    return slots;
+  }
+
+  // Same as checkAvailability, plus every rejected candidate with the
+  // reason it was dropped, and the user's own busy periods and working
+  // ranges that day for ranking and display. `calendarIds` are the user's calendars that count
+  // as busy and `eventCalendarId` the one new events go into; the daily caps
+  // count meetings on all of them. Calendars freeBusy can't read are skipped
+  // rather than failing the whole check.
+  async findSlots(date, duration = 30, attendeeEmails = [], {
+    timeZone = moment.tz.guess(),
+    workingHours = DEFAULT_WORKING_HOURS,
+    rules = DEFAULT_SCHEDULING_RULES,
+    calendarIds = [this.calendarId],
+    eventCalendarId = this.calendarId
+  } = {}) {
+    try {
+      await this.ensureAuthenticated();
+
+      const internalEmails = await this.getInternalEmails(attendeeEmails);
+      const ownCalendars = [...new Set([eventCalendarId, ...calendarIds])];
+
+      const startDate = moment.tz(date, 'YYYY-MM-DD', timeZone).startOf('day');
+      const endDate = startDate.clone().endOf('day');
+
+      const calendars = await this.fetchBusy(
+        [...ownCalendars, ...internalEmails],
+        startDate.toISOString(),
+        endDate.toISOString()
       );
 
-      return availableSlots;
+      const busyOn = ids => ids
+        .map(id => calendars[id])
+        .filter(calendar => calendar && !calendar.errors)
+        .flatMap(calendar => calendar.busy || []);
+
+      const config = normalizeSchedulingRules(rules);
+      const ownBusy = uniquePeriods(busyOn(ownCalendars));
+      const windows = this.timezoneHandler.wallClockPeriods(workingRanges(workingHours, date), date, timeZone);
+      const result = evaluateSlots(
+        this.timezoneHandler.workingStarts(workingHours, date, duration, timeZone),
+        duration,
+        {
+          busy: busyOn(Object.keys(calendars)),
+          // Daily caps count the user's own meetings, not colleagues'
+          ownBusy,
+          focus: this.timezoneHandler.wallClockPeriods(periodsOn(config.focusBlocks, date), date, timeZone),
+          windows,
+          rules: config
+        }
+      );
+
+      return { ...result, busy: ownBusy, windows };
 
     } catch (error) {
       console.error('Error checking availability:', error);
-      return [];
+      return { slots: [], rejected: [], busy: [], windows: [], error: error.message };
     }
   }
 
-  findAvailableSlots(startDate, endDate, busySlots, duration) {
-    const slots = [];
-    const businessHoursStart = 9; // 9 AM
-    const businessHoursEnd = 17; // 5 PM
-    
-    let currentTime = new Date(startDate);
-    currentTime.setHours(businessHoursStart, 0, 0, 0);
+  // freeBusy for `ids` between two ISO instants, as { [id]: { busy, errors } }.
+  // Answers are cached per calendar for a few minutes so paging through
+  // days or re-checking doesn't refetch every calendar; failed calendars
+  // aren't cached and are asked for again next time.
+  async fetchBusy(ids, timeMin, timeMax) {
+    const now = Date.now();
+    const key = id => `${id}|${timeMin}|${timeMax}`;
+    const calendars = {};
+    const missing = [];
+
+    for (const id of new Set(ids)) {
+      const cached = this.busyCache.get(key(id));
+      if (cached && now - cached.fetchedAt < BUSY_CACHE_TTL) {
+        calendars[id] = cached.calendar;
+      } else {
+        missing.push(id);
+      }
+    }
 
-    while (currentTime < endDate) {
-      const slotEnd = new Date(currentTime.getTime() + duration * 60000);
-      
-      // Check if within business hours
-      if (slotEnd.getHours() > businessHoursEnd) {
-        currentTime.setDate(currentTime.getDate() + 1);
-        currentTime.setHours(businessHoursStart, 0, 0, 0);
-        continue;
+    if (missing.length === 0) {
+      return calendars;
+    }
+
+    const response = await fetch(
+      `${this.apiBase}/freeBusy`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          timeMin,
+          timeMax,
+          items: missing.map(id => ({ id }))
+        })
       }
+    );
 
-      // Check if slot conflicts with busy times
-      const isAvailable = !busySlots.some(busy => {
-        const busyStart = new Date(busy.start);
-        const busyEnd = new Date(busy.end);
-        return (currentTime >= busyStart && currentTime < busyEnd) ||
-               (slotEnd > busyStart && slotEnd <= busyEnd);
-      });
+    if (!response.ok) {
+      throw new Error('Failed to check availability');
+    }
 
-      if (isAvailable) {
-        slots.push({
-          start: new Date(currentTime),
-          end: new Date(slotEnd)
-        });
+    const data = await response.json();
+    for (const id of missing) {
+      const calendar = data.calendars?.[id] || { errors: [{ reason: 'notFound' }] };
+      calendars[id] = calendar;
+      if (!calendar.errors) {
+        this.busyCache.set(key(id), { calendar, fetchedAt: now });
+      }
+    }
+
+    return calendars;
+  }
+
+  // Calendars the user can at least see free/busy for, including ones
+  // shared with them from other accounts
+  async listCalendars() {
+    await this.ensureAuthenticated();
+
+    const response = await fetch(
+      `${this.apiBase}/users/me/calendarList?minAccessRole=freeBusyReader`,
+      {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
       }
+    );
 
-      // Move to next 30-minute slot
-      currentTime = new Date(currentTime.getTime() + 30 * 60000);
+    if (!response.ok) {
+      throw new Error('Failed to load calendars');
     }
 
-    return slots;
+    const data = await response.json();
+    return (data.items || []).map(calendar => ({
+      // Settings refer to the primary calendar as 'primary', whatever its id
+      id: calendar.primary ? 'primary' : calendar.id,
+      summary: calendar.summaryOverride || calendar.summary || calendar.id,
+      primary: Boolean(calendar.primary),
+      accessRole: calendar.accessRole,
+      canWrite: ['owner', 'writer'].includes(calendar.accessRole)
+    }));
   }
 
-  async updateEvent(eventId, updates) {
+  async updateEvent(eventId, updates, calendarId = this.calendarId) {
     try {
       await this.ensureAuthenticated();
 
       const response = await fetch(
-        `${this.apiBase}/calendars/${this.calendarId}/events/${eventId}`,
+        `${this.apiBase}/calendars/${encodeURIComponent(calendarId)}/events/${eventId}`,
         {
           method: 'PATCH',
           headers: {
@@ -219,6 +443,7 @@ export class CalendarService {
         throw new Error('Failed to update event');
       }
 
+      this.busyCache.clear();
       return await response.json();
 
     } catch (error) {
@@ -227,12 +452,42 @@ export class CalendarService {
     }
   }
 
-  async deleteEvent(eventId) {
+  // The single occurrence of a recurring event that was scheduled to start
+  // at `originalStart` (RFC 3339). Its id can be patched or deleted like
+  // any event without touching the rest of the series.
+  async findInstance(eventId, originalStart, calendarId = this.calendarId) {
+    await this.ensureAuthenticated();
+
+    const response = await fetch(
+      `${this.apiBase}/calendars/${encodeURIComponent(calendarId)}/events/${eventId}/instances?` +
+      `originalStart=${encodeURIComponent(originalStart)}&showDeleted=false`,
+      {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error('Failed to find the meeting occurrence');
+    }
+
+    const data = await response.json();
+    const instance = data.items?.[0];
+
+    if (!instance) {
+      throw new Error('That occurrence is not part of the series');
+    }
+
+    return instance;
+  }
+
+  async deleteEvent(eventId, calendarId = this.calendarId) {
     try {
       await this.ensureAuthenticated();
 
       const response = await fetch(
-        `${this.apiBase}/calendars/${this.calendarId}/events/${eventId}`,
+        `${this.apiBase}/calendars/${encodeURIComponent(calendarId)}/events/${eventId}`,
         {
           method: 'DELETE',
           headers: {
@@ -241,10 +496,12 @@ export class CalendarService {
         }
       );
 
-      if (!response.ok) {
+      // Already gone (deleted by hand or by an earlier attempt) is what we wanted
+      if (!response.ok && response.status !== 404 && response.status !== 410) {
         throw new Error('Failed to delete event');
       }
 
+      this.busyCache.clear();
       return true;
 
     } catch (error) {
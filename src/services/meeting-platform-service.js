@@ -1,11 +1,20 @@
 // Meeting Platform Service
-// Handles Google Meet, Zoom, and Microsoft Teams integration
+// Handles Google Meet, Zoom, Microsoft Teams and Jitsi Meet integration
+
+import * as moment from 'moment-timezone';
+import { platformRegistry } from './platform-registry.js';
+import { toGraphRecurrence, toZoomRecurrence } from '../utils/recurrence.js';
+
+// Recurring Teams meetings are calendar events, not online meetings
+const TEAMS_EVENT_PREFIX = 'event:';
 
 export class MeetingPlatformService {
   constructor() {
     this.zoomApiKey = null;
     this.zoomApiSecret = null;
     this.teamsAccessToken = null;
+    this.teamsClientId = null;
+    this.teamsClientSecret = null;
     this.loadCredentials();
   }
 
@@ -14,163 +23,203 @@ export class MeetingPlatformService {
       const result = await chrome.storage.sync.get([
         'zoomApiKey',
         'zoomApiSecret',
-        'teamsAccessToken'
+        'userSettings'
       ]);
+      // The Teams token and app secret are kept on this device only
+      const local = await chrome.storage.local.get(['teamsAccessToken', 'localSettings']);
       
       this.zoomApiKey = result.zoomApiKey;
       this.zoomApiSecret = result.zoomApiSecret;
-      this.teamsAccessToken = result.teamsAccessToken;
+      this.teamsAccessToken = local.teamsAccessToken;
+      this.teamsClientId = result.userSettings?.teamsClientId || null;
+      this.teamsClientSecret = local.localSettings?.teamsClientSecret || null;
 
     } catch (error) {
       console.error('Error loading credentials:', error);
     }
   }
 
-  // Google Meet Integration
-  async createGoogleMeet() {
-    try {
-      // Google Meet links are created automatically with Calendar events
-      // when conferenceDataVersion=1 is used
-      // This method generates a standalone link using the Calendar API
-      // Get auth token
-      const token = await this.getGoogleAuthToken();
-      // Create a minimal calendar event to get Meet link
-      const now = new Date();
-      const end = new Date(now.getTime() + 60 * 60000); // 1 hour later
-
-      const response = await fetch(
-        'https://www.googleapis.com/calendar/v3/calendars/primary/events?conferenceDataVersion=1',
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            summary: 'Temporary - Meeting Link Generation',
-            start: {
-              dateTime: now.toISOString(),
-              timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-            },
-            end: {
-              dateTime: end.toISOString(),
-              timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-            },
-            conferenceData: {
-              createRequest: {
-                requestId: this.generateUUID(),
-                conferenceSolutionKey: {
-                  type: 'hangoutsMeet'
-                }
-              }
-            }
-          })
-        }
-      );
+  // Create/update/delete on whichever platform the meeting uses, as
+  // declared in the platform registry.
+  //
+  // Creating never throws. It returns { ok: true, link, meetingId } with a
+  // link the platform actually issued, or { ok: false, reason, error } where
+  // reason is 'not-configured', 'auth', 'unavailable' or 'rejected'.
+  async createMeeting(platform, details) {
+    const provider = platformRegistry.resolve(platform);
+
+    if (!provider.create) {
+      return {
+        ok: false,
+        platform: provider.id,
+        reason: 'rejected',
+        error: `${provider.name} links are created with the calendar event`
+      };
+    }
 
-      if (!response.ok) {
-        throw new Error('Failed to create Google Meet link');
+    try {
+      const meeting = await provider.create(this, details);
+
+      if (!this.isIssuedLink(meeting?.link)) {
+        return {
+          ok: false,
+          platform: provider.id,
+          reason: 'rejected',
+          error: `${provider.name} did not return a meeting link`
+        };
       }
 
-      const event = await response.json();
-      const meetLink = event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri;
+      return { ok: true, platform: provider.id, ...meeting };
 
-      // Delete the temporary event
-      await this.deleteGoogleCalendarEvent(token, event.id);
+    } catch (error) {
+      console.error(`Error creating ${provider.name} meeting:`, error);
+      return {
+        ok: false,
+        platform: provider.id,
+        // fetch() rejects with a TypeError when the network is down
+        reason: error.reason || (error instanceof TypeError ? 'unavailable' : 'rejected'),
+        status: error.status ?? null,
+        error: error.message
+      };
+    }
+  }
 
-      return meetLink || 'https://meet.google.com/';
+  async authenticate(platform) {
+    const provider = platformRegistry.resolve(platform);
 
-    } catch (error) {
-      console.error('Error creating Google Meet:', error);
-      // Fallback to generic Meet URL
-      return `https://meet.google.com/${this.generateMeetCode()}`;
+    if (!provider.authenticate) {
+      throw new Error(`${provider.name} has no sign-in`);
     }
+
+    return provider.authenticate(this);
+  }
+
+  // For one occurrence of a recurring meeting, pass its original start
+  // (ISO, UTC) as `occurrenceStart`; otherwise the whole series changes
+  async updateMeeting(platform, meetingId, details) {
+    if (!meetingId) return false;
+    return platformRegistry.resolve(platform).update(this, meetingId, details);
   }
 
-  async getGoogleAuthToken() {
+  async deleteMeeting(platform, meetingId, { occurrenceStart = null } = {}) {
+    if (!meetingId) return false;
+    return platformRegistry.resolve(platform).delete(this, meetingId, { occurrenceStart });
+  }
+
+  // What creating a meeting on this platform would send, for previews.
+  // `request` is null when no separate API call is made (credentials
+  // missing, links made locally like Jitsi, or made by the calendar event
+  // like Meet).
+  async previewCreateRequest(platform, details) {
+    const provider = platformRegistry.resolve(platform);
+    const configured = provider.isConfigured(this);
+
+    return {
+      configured,
+      calendarConference: provider.calendarConference || null,
+      request: configured ? provider.preview(this, details) : null
+    };
+  }
+
+  // Google Meet Integration
+  // Meet links are created on the real calendar event through
+  // conferenceData.createRequest (see CalendarService.createEvent), so the
+  // only thing needed here is signing in again when the token is refused
+  async authenticateGoogle() {
     return new Promise((resolve, reject) => {
-      chrome.identity.getAuthToken({ interactive: false }, (token) => {
+      chrome.identity.getAuthToken({ interactive: true }, (token) => {
         if (chrome.runtime.lastError) {
-          reject(chrome.runtime.lastError);
+          reject(new Error(chrome.runtime.lastError.message));
           return;
         }
+        chrome.storage.local.set({ googleAccessToken: token });
         resolve(token);
       });
     });
   }
 
-  async deleteGoogleCalendarEvent(token, eventId) {
-    try {
-      await fetch(
-        `https://www.googleapis.com/calendar/v3/calendars/primary/events/${eventId}`,
-        {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
-    } catch (error) {
-      console.error('Error deleting temporary event:', error);
-    }
-  }
-
-  generateMeetCode() {
-    // Generate a Google Meet-style code (e.g., abc-defg-hij)
-    const chars = 'abcdefghijklmnopqrstuvwxyz';
-    const part1 = Array(3).fill(0).map(() => chars[Math.floor(Math.random() * chars.length)]).join('');
-    const part2 = Array(4).fill(0).map(() => chars[Math.floor(Math.random() * chars.length)]).join('');
-    const part3 = Array(3).fill(0).map(() => chars[Math.floor(Math.random() * chars.length)]).join('');
-    return `${part1}-${part2}-${part3}`;
-  }
-
   // Zoom Integration
   async createZoomMeeting(details) {
     try {
       if (!this.zoomApiKey || !this.zoomApiSecret) {
-        console.warn('Zoom credentials not configured');
-        return this.generateZoomLink();
+        throw this.platformError('not-configured', 'Zoom is not connected');
       }
 
       const accessToken = await this.getZoomAccessToken();
-      
-      const meetingData = {
-        topic: details.topic || `Meeting with ${details.participantName || 'Contact'}`,
-        type: 2, // Scheduled meeting
-        start_time: details.startTime,
-        duration: details.duration || 30,
-        timezone: details.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
-        settings: {
-          host_video: true,
-          participant_video: true,
-          join_before_host: false,
-          mute_upon_entry: true,
-          waiting_room: false,
-          audio: 'both',
-          auto_recording: 'none'
-        }
-      };
+      const request = this.buildZoomMeetingRequest(details);
 
-      const response = await fetch('https://api.zoom.us/v2/users/me/meetings', {
-        method: 'POST',
+      const response = await fetch(request.url, {
+        method: request.method,
         headers: {
           'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(meetingData)
+        body: JSON.stringify(request.body)
       });
 
       if (!response.ok) {
-        throw new Error('Failed to create Zoom meeting');
+        throw this.responseError(response, 'Failed to create Zoom meeting');
       }
 
       const meeting = await response.json();
-      return meeting.join_url;
+      return { link: meeting.join_url, meetingId: meeting.id };
 
     } catch (error) {
       console.error('Error creating Zoom meeting:', error);
-      return this.generateZoomLink();
+      throw error;
+    }
+  }
+
+  async updateZoomMeeting(meetingId, details) {
+    const accessToken = await this.getZoomAccessToken();
+
+    const response = await fetch(this.zoomMeetingUrl(meetingId, details.occurrenceStart), {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        start_time: details.startTime,
+        duration: details.duration || 30,
+        timezone: details.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...(details.recurrence && !details.occurrenceStart
+          ? { recurrence: toZoomRecurrence(details.recurrence, details.date, details.timezone) }
+          : {})
+      })
+    });
+
+    if (!response.ok) {
+      throw this.responseError(response, 'Failed to update Zoom meeting');
     }
+
+    return true;
+  }
+
+  async deleteZoomMeeting(meetingId, { occurrenceStart = null } = {}) {
+    const accessToken = await this.getZoomAccessToken();
+
+    const response = await fetch(this.zoomMeetingUrl(meetingId, occurrenceStart), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+
+    // 404 means the meeting is already gone, which is what we wanted
+    if (!response.ok && response.status !== 404) {
+      throw this.responseError(response, 'Failed to delete Zoom meeting');
+    }
+
+    return true;
+  }
+
+  // Zoom identifies an occurrence by its start time in epoch milliseconds
+  zoomMeetingUrl(meetingId, occurrenceStart = null) {
+    const url = `https://api.zoom.us/v2/meetings/${meetingId}`;
+    return occurrenceStart
+      ? `${url}?occurrence_id=${new Date(occurrenceStart).getTime()}`
+      : url;
   }
 
   async getZoomAccessToken() {
@@ -187,7 +236,7 @@ export class MeetingPlatformService {
 
       // Need to refresh or get new token
       // This would typically involve a server-side component
-      throw new Error('Zoom token expired or not available');
+      throw this.platformError('auth', 'Zoom token expired or not available');
 
     } catch (error) {
       console.error('Error getting Zoom token:', error);
@@ -195,67 +244,316 @@ export class MeetingPlatformService {
     }
   }
 
-  generateZoomLink() {
-    // Generate a placeholder Zoom link
-    const meetingId = Math.floor(Math.random() * 9000000000) + 1000000000;
-    return `https://zoom.us/j/${meetingId}`;
+  buildZoomMeetingRequest(details) {
+    const recurrence = details.recurrence
+      ? { recurrence: toZoomRecurrence(details.recurrence, details.date, details.timezone) }
+      : {};
+
+    return {
+      method: 'POST',
+      url: 'https://api.zoom.us/v2/users/me/meetings',
+      body: {
+        topic: details.topic || `Meeting with ${details.participantName || 'Contact'}`,
+        // Scheduled meeting, or recurring with a fixed time
+        type: details.recurrence ? 8 : 2,
+        ...recurrence,
+        start_time: details.startTime,
+        duration: details.duration || 30,
+        timezone: details.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        settings: {
+          host_video: true,
+          participant_video: true,
+          join_before_host: false,
+          mute_upon_entry: true,
+          waiting_room: false,
+          audio: 'both',
+          auto_recording: 'none'
+        }
+      }
+    };
   }
 
   // Microsoft Teams Integration
   async createTeamsMeeting(details) {
     try {
       if (!this.teamsAccessToken) {
-        console.warn('Teams credentials not configured');
-        return this.generateTeamsLink();
+        throw this.platformError('not-configured', 'Microsoft Teams is not connected');
       }
 
-      const meetingData = {
-        subject: details.topic || `Meeting with ${details.participantName || 'Contact'}`,
-        startDateTime: details.startTime,
-        endDateTime: new Date(new Date(details.startTime).getTime() + details.duration * 60000).toISOString(),
-        participants: {
-          attendees: details.attendees || []
-        }
-      };
+      const request = this.buildTeamsMeetingRequest(details);
 
-      const response = await fetch('https://graph.microsoft.com/v1.0/me/onlineMeetings', {
-        method: 'POST',
+      const response = await fetch(request.url, {
+        method: request.method,
         headers: {
           'Authorization': `Bearer ${this.teamsAccessToken}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(meetingData)
+        body: JSON.stringify(request.body)
       });
 
       if (!response.ok) {
-        throw new Error('Failed to create Teams meeting');
+        throw this.responseError(response, 'Failed to create Teams meeting');
       }
 
       const meeting = await response.json();
-      return meeting.joinUrl;
+
+      if (details.recurrence) {
+        return { link: meeting.onlineMeeting?.joinUrl, meetingId: `${TEAMS_EVENT_PREFIX}${meeting.id}` };
+      }
+      return { link: meeting.joinUrl, meetingId: meeting.id };
 
     } catch (error) {
       console.error('Error creating Teams meeting:', error);
-      return this.generateTeamsLink();
+      throw error;
     }
   }
 
-  generateTeamsLink() {
-    // Generate a placeholder Teams link
-    const meetingId = this.generateUUID();
-    return `https://teams.microsoft.com/l/meetup-join/${meetingId}`;
+  // Standalone online meetings can't repeat, so a recurring series is made
+  // as an Outlook event with a Teams meeting attached. Its id is prefixed so
+  // updates and deletes know which API it lives in.
+  buildTeamsMeetingRequest(details) {
+    const subject = details.topic || `Meeting with ${details.participantName || 'Contact'}`;
+    const emails = details.attendees?.length
+      ? details.attendees.map(attendee => attendee.email).filter(Boolean)
+      : [details.email].filter(Boolean);
+    const endDateTime = new Date(new Date(details.startTime).getTime() + details.duration * 60000).toISOString();
+
+    if (details.recurrence) {
+      const timeZone = details.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      return {
+        method: 'POST',
+        url: 'https://graph.microsoft.com/v1.0/me/events',
+        body: {
+          subject,
+          start: { dateTime: this.localDateTime(details.startTime, timeZone), timeZone },
+          end: { dateTime: this.localDateTime(details.startTime, timeZone, details.duration), timeZone },
+          recurrence: toGraphRecurrence(details.recurrence, details.date, timeZone),
+          attendees: emails.map(address => ({ emailAddress: { address }, type: 'required' })),
+          isOnlineMeeting: true,
+          onlineMeetingProvider: 'teamsForBusiness'
+        }
+      };
+    }
+
+    return {
+      method: 'POST',
+      url: 'https://graph.microsoft.com/v1.0/me/onlineMeetings',
+      body: {
+        subject,
+        startDateTime: details.startTime,
+        endDateTime,
+        participants: {
+          attendees: emails.map(upn => ({ upn, role: 'attendee' }))
+        }
+      }
+    };
   }
 
-  // Utility Functions
-  generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c === 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
+  async updateTeamsMeeting(meetingId, details) {
+    let url = `https://graph.microsoft.com/v1.0/me/onlineMeetings/${meetingId}`;
+    let body = {
+      startDateTime: details.startTime,
+      endDateTime: new Date(new Date(details.startTime).getTime() + details.duration * 60000).toISOString()
+    };
+
+    if (meetingId.startsWith(TEAMS_EVENT_PREFIX)) {
+      const eventId = details.occurrenceStart
+        ? await this.findTeamsOccurrence(meetingId, details.occurrenceStart)
+        : meetingId.slice(TEAMS_EVENT_PREFIX.length);
+      const timeZone = details.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      url = `https://graph.microsoft.com/v1.0/me/events/${eventId}`;
+      body = {
+        start: { dateTime: this.localDateTime(details.startTime, timeZone), timeZone },
+        end: { dateTime: this.localDateTime(details.startTime, timeZone, details.duration), timeZone }
+      };
+
+      if (details.recurrence && !details.occurrenceStart) {
+        body.recurrence = toGraphRecurrence(details.recurrence, details.date, timeZone);
+      }
+    }
+
+    const response = await fetch(url, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${this.teamsAccessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
     });
+
+    if (!response.ok) {
+      throw this.responseError(response, 'Failed to update Teams meeting');
+    }
+
+    return true;
   }
 
+  async deleteTeamsMeeting(meetingId, { occurrenceStart = null } = {}) {
+    let url = `https://graph.microsoft.com/v1.0/me/onlineMeetings/${meetingId}`;
+
+    if (meetingId.startsWith(TEAMS_EVENT_PREFIX)) {
+      const eventId = occurrenceStart
+        ? await this.findTeamsOccurrence(meetingId, occurrenceStart)
+        : meetingId.slice(TEAMS_EVENT_PREFIX.length);
+      url = `https://graph.microsoft.com/v1.0/me/events/${eventId}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${this.teamsAccessToken}`
+      }
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw this.responseError(response, 'Failed to delete Teams meeting');
+    }
+
+    return true;
+  }
+
+  // Id of the occurrence of a recurring Teams event starting at `occurrenceStart`
+  async findTeamsOccurrence(meetingId, occurrenceStart) {
+    const seriesId = meetingId.slice(TEAMS_EVENT_PREFIX.length);
+    const start = new Date(occurrenceStart);
+    const end = new Date(start.getTime() + 60000);
+    const response = await fetch(
+      `https://graph.microsoft.com/v1.0/me/events/${seriesId}/instances?` +
+      `startDateTime=${start.toISOString()}&endDateTime=${end.toISOString()}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${this.teamsAccessToken}`
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw this.responseError(response, 'Failed to find the Teams meeting occurrence');
+    }
+
+    const data = await response.json();
+    const instance = data.value?.[0];
+
+    if (!instance) {
+      throw new Error('That occurrence is not part of the Teams series');
+    }
+
+    return instance.id;
+  }
+
+  // Wall-clock "YYYY-MM-DDTHH:MM:SS" in `timeZone` for an instant plus
+  // minutes, for APIs that take a separate time zone
+  localDateTime(instant, timeZone, minutes = 0) {
+    return moment.tz(instant, timeZone).add(minutes, 'minutes').format('YYYY-MM-DDTHH:mm:ss');
+  }
+
+  // Jitsi Meet Integration
+  // Rooms exist as soon as someone opens the URL, so nothing is called.
+  // The room name carries 128 random bits so it can't be guessed or reused.
+  async createJitsiMeeting(details) {
+    const config = await this.getJitsiConfig();
+    const room = this.generateJitsiRoomName();
+    const url = new URL(room, config.baseUrl.endsWith('/') ? config.baseUrl : `${config.baseUrl}/`);
+
+    if (config.security === 'jwt') {
+      if (!config.appId || !config.appSecret) {
+        throw this.platformError('not-configured', 'Jitsi JWT security needs an app ID and secret in settings');
+      }
+      url.searchParams.set('jwt', await this.signJitsiToken(config, url, room, details));
+    }
+
+    return { link: url.toString(), meetingId: null };
+  }
+
+  async getJitsiConfig() {
+    const { userSettings = {} } = await chrome.storage.sync.get(['userSettings']);
+    // The secret is kept on this device only (see StorageService)
+    const { localSettings = {} } = await chrome.storage.local.get(['localSettings']);
+
+    return {
+      baseUrl: userSettings.jitsiBaseUrl || 'https://meet.jit.si',
+      // Only token auth is enforced by the server; anything else is an open room
+      security: userSettings.jitsiSecurity === 'jwt' ? 'jwt' : 'none',
+      appId: userSettings.jitsiAppId,
+      appSecret: localSettings.jitsiAppSecret
+    };
+  }
+
+  generateJitsiRoomName() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    const random = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `SmartMeeting-${random}`;
+  }
+
+  // Token for self-hosted servers using Jitsi's token auth (HS256 with the
+  // app secret). It only admits the one room, and stays valid for 30 days
+  // past the meeting so a reschedule doesn't break the link.
+  async signJitsiToken(config, url, room, details) {
+    const start = details.startTime ? new Date(details.startTime).getTime() : Date.now();
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = { alg: 'HS256', typ: 'JWT' };
+    const payload = {
+      iss: config.appId,
+      aud: 'jitsi',
+      sub: url.hostname,
+      room,
+      nbf: now,
+      exp: Math.floor(Math.max(start, Date.now()) / 1000) + 30 * 24 * 60 * 60
+    };
+
+    const encoder = new TextEncoder();
+    const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+
+    const unsigned = `${base64Url(encoder.encode(JSON.stringify(header)))}.${base64Url(encoder.encode(JSON.stringify(payload)))}`;
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(config.appSecret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(unsigned));
+
+    return `${unsigned}.${base64Url(signature)}`;
+  }
+
+  // Utility Functions
+
+  // Error that says why a platform call failed, so the UI can offer a fix
+  platformError(reason, message, status = null) {
+    return Object.assign(new Error(message), { reason, status });
+  }
+
+  responseError(response, message) {
+    let reason = 'rejected';
+    if (response.status === 401 || response.status === 403) {
+      reason = 'auth';
+    } else if (response.status === 429 || response.status >= 500) {
+      reason = 'unavailable';
+    }
+
+    return this.platformError(reason, `${message} (HTTP ${response.status})`, response.status);
+  }
+
+  isIssuedLink(link) {
+    try {
+      return new URL(link).protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
   async authenticateZoom() {
+    // Without a client id there's nothing to sign in to
+    if (!this.zoomApiKey) {
+      throw this.platformError('not-configured', 'Add your Zoom app credentials in the extension settings first');
+    }
+
     // Open OAuth flow for Zoom
     const authUrl = `https://zoom.us/oauth/authorize?` +
       `response_type=code&` +
@@ -319,6 +617,10 @@ export class MeetingPlatformService {
   }
 
   async authenticateTeams() {
+    if (!this.teamsClientId) {
+      throw this.platformError('not-configured', 'Add your Microsoft Teams app client ID in the extension settings first');
+    }
+
     // Open OAuth flow for Microsoft Teams
     const authUrl = `https://login.microsoftonline.com/common/oauth2/v2.0/authorize?` +
       `client_id=${this.teamsClientId}&` +
@@ -0,0 +1,118 @@
+// Meeting Platform Registry
+// Each meeting platform is declared once here: its id, display name, the
+// words that select it in a voice command, what it needs to be connected,
+// and how to sign in and create, update and delete its meetings. The
+// parser, message templates, platform service and UI selects all read from
+// this list.
+//
+// Operations receive the MeetingPlatformService instance, so this module
+// has no side effects and is safe to import from the content script and popup.
+
+export const DEFAULT_PLATFORM = 'google-meet';
+
+export class PlatformRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!provider.id || !provider.name) {
+      throw new Error('Platform providers need an id and a name');
+    }
+
+    this.providers.set(provider.id, {
+      keywords: [],
+      auth: { required: false },
+      isConfigured: () => true,
+      preview: () => null,
+      update: async () => false,
+      delete: async () => false,
+      ...provider
+    });
+
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  // Unknown ids fall back to the default platform
+  resolve(id) {
+    return this.get(id) || this.get(DEFAULT_PLATFORM);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  displayName(id, fallback = 'video call') {
+    return this.get(id)?.name || fallback;
+  }
+
+  // Platform named in free text. Longer keywords win, so "microsoft teams"
+  // beats "teams" and a plain "meet" doesn't match inside "meeting".
+  findByKeywords(text) {
+    const lower = text.toLowerCase();
+    const matches = this.list().flatMap(provider =>
+      provider.keywords
+        .filter(keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower))
+        .map(keyword => ({ provider, length: keyword.length }))
+    );
+
+    matches.sort((a, b) => b.length - a.length);
+    return matches[0]?.provider || null;
+  }
+}
+
+export const platformRegistry = new PlatformRegistry()
+  .register({
+    id: 'google-meet',
+    name: 'Google Meet',
+    keywords: ['google meet', 'gmeet', 'meet'],
+    // Meet conferences are requested on the calendar event itself, so
+    // there is nothing to create, update or delete separately
+    calendarConference: 'hangoutsMeet',
+    auth: { required: true, provider: 'google' },
+    authenticate: (service) => service.authenticateGoogle()
+  })
+  .register({
+    id: 'zoom',
+    name: 'Zoom',
+    keywords: ['zoom'],
+    auth: { required: true, provider: 'zoom', credentials: ['zoomApiKey', 'zoomApiSecret'] },
+    isConfigured: (service) => Boolean(service.zoomApiKey && service.zoomApiSecret),
+    authenticate: (service) => service.authenticateZoom(),
+    create: (service, details) => service.createZoomMeeting(details),
+    update: (service, meetingId, details) => service.updateZoomMeeting(meetingId, details),
+    delete: (service, meetingId, options) => service.deleteZoomMeeting(meetingId, options),
+    preview: (service, details) => service.buildZoomMeetingRequest(details)
+  })
+  .register({
+    id: 'teams',
+    name: 'Microsoft Teams',
+    keywords: ['teams', 'microsoft teams', 'ms teams'],
+    auth: { required: true, provider: 'microsoft', credentials: ['teamsAccessToken'] },
+    isConfigured: (service) => Boolean(service.teamsAccessToken),
+    authenticate: (service) => service.authenticateTeams(),
+    create: (service, details) => service.createTeamsMeeting(details),
+    update: (service, meetingId, details) => service.updateTeamsMeeting(meetingId, details),
+    delete: (service, meetingId, options) => service.deleteTeamsMeeting(meetingId, options),
+    preview: (service, details) => service.buildTeamsMeetingRequest(details)
+  })
+  .register({
+    id: 'jitsi',
+    name: 'Jitsi Meet',
+    keywords: ['jitsi', 'jitsi meet', 'jit.si'],
+    // Public or self-hosted server from settings; rooms are made locally,
+    // so there is nothing to update or delete
+    auth: { required: false },
+    create: (service, details) => service.createJitsiMeeting(details),
+    preview: () => null
+  });
+
+export default platformRegistry;
@@ -0,0 +1,151 @@
+// Retry Queue
+// Keeps operations that failed on a network error or a 5xx response and
+// retries them with backoff. Entries live in chrome.storage.local and the
+// timer is a chrome.alarms alarm, so both survive a service worker restart.
+
+export const RETRY_ALARM = 'retry-queue';
+
+const BASE_DELAY_MINUTES = 1;
+const MAX_DELAY_MINUTES = 60;
+const MAX_ATTEMPTS = 8;
+
+// An operation still 'running' after this long was cut off by a worker restart
+const STALE_RUNNING_MINUTES = 10;
+
+// Worth retrying later: offline, the request never reached the server,
+// or the server had a temporary problem
+export function isTransientError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  if (error instanceof TypeError) {
+    // fetch() rejects with a TypeError on network failure
+    return true;
+  }
+  // Platform link failures say so themselves (see MeetingPlatformService)
+  return error?.reason === 'unavailable' || error?.status === 429 || error?.status >= 500;
+}
+
+export class RetryQueue {
+  constructor(storage) {
+    this.storage = storage;
+    // Startup, the alarm and coming back online can all ask at once; runs
+    // are chained so one operation is never attempted twice in parallel
+    this.processing = Promise.resolve();
+  }
+
+  async enqueue(operation) {
+    const entry = await this.storage.savePendingOperation({
+      ...operation,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: this.nextAttemptTime(0)
+    });
+
+    await this.schedule();
+    return entry;
+  }
+
+  // Run every pending operation that is due. `handler` returns
+  // 'done', 'retry' (still failing transiently) or 'failed' (needs the user).
+  processDue(handler, now = Date.now()) {
+    return this.exclusive(async () => {
+      const operations = await this.storage.getPendingOperations();
+
+      for (const operation of operations) {
+        if (!this.isRunnable(operation) || new Date(operation.nextAttemptAt).getTime() > now) {
+          continue;
+        }
+
+        await this.attempt(operation, handler);
+      }
+
+      await this.schedule();
+    });
+  }
+
+  // Manual retry from the popup, regardless of backoff
+  retryNow(id, handler) {
+    return this.exclusive(async () => {
+      const operation = await this.storage.getPendingOperation(id);
+
+      if (!operation) {
+        throw new Error('Pending operation not found');
+      }
+
+      const result = await this.attempt(operation, handler);
+      await this.schedule();
+      return result;
+    });
+  }
+
+  exclusive(task) {
+    const run = this.processing.then(task);
+    this.processing = run.catch(() => {});
+    return run;
+  }
+
+  isRunnable(operation) {
+    if (operation.status === 'running') {
+      return Date.now() - new Date(operation.startedAt).getTime() > STALE_RUNNING_MINUTES * 60000;
+    }
+    return operation.status === 'pending';
+  }
+
+  async attempt(operation, handler) {
+    const attempts = operation.attempts + 1;
+    let result;
+
+    await this.storage.updatePendingOperation(operation.id, {
+      status: 'running',
+      startedAt: new Date().toISOString()
+    });
+
+    try {
+      result = await handler(operation);
+    } catch (error) {
+      console.error('Retry failed:', error);
+      result = { outcome: isTransientError(error) ? 'retry' : 'failed', error: error.message };
+    }
+
+    if (result.outcome === 'done') {
+      await this.storage.removePendingOperation(operation.id);
+      return result;
+    }
+
+    const giveUp = result.outcome === 'failed' || attempts >= MAX_ATTEMPTS;
+    await this.storage.updatePendingOperation(operation.id, {
+      attempts,
+      status: giveUp ? 'failed' : 'pending',
+      startedAt: null,
+      lastError: result.error || null,
+      nextAttemptAt: giveUp ? null : this.nextAttemptTime(attempts)
+    });
+
+    return result;
+  }
+
+  async discard(id) {
+    await this.storage.removePendingOperation(id);
+    await this.schedule();
+  }
+
+  // One alarm for the earliest due entry
+  async schedule() {
+    const operations = await this.storage.getPendingOperations();
+    const due = operations
+      .filter(operation => operation.status === 'pending')
+      .map(operation => new Date(operation.nextAttemptAt).getTime());
+
+    await chrome.alarms.clear(RETRY_ALARM);
+
+    if (due.length > 0) {
+      chrome.alarms.create(RETRY_ALARM, { when: Math.max(Math.min(...due), Date.now() + 1000) });
+    }
+  }
+
+  nextAttemptTime(attempts) {
+    const minutes = Math.min(BASE_DELAY_MINUTES * 2 ** attempts, MAX_DELAY_MINUTES);
+    return new Date(Date.now() + minutes * 60000).toISOString();
+  }
+}
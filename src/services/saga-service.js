@@ -0,0 +1,127 @@
+// Saga Service
+// Runs multi-step operations (create link, calendar event, send message)
+// with a recorded log, so a failure can be rolled back or retried later
+
+export class SagaService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // Steps are { name, run(state, input), compensate(state, input), onFailure }.
+  // `run` returns an object merged into the saga state. `onFailure` is
+  // 'rollback' (undo everything done so far) or 'pause' (keep what's done
+  // and leave the saga resumable), or a function of the error returning one.
+  async start(type, input, steps) {
+    const saga = await this.storage.saveSaga({
+      type,
+      status: 'running',
+      input,
+      state: {},
+      steps: steps.map(step => ({ name: step.name, status: 'pending', error: null }))
+    });
+
+    if (!saga) {
+      throw new Error('Could not record operation');
+    }
+
+    return this.run(saga, steps);
+  }
+
+  async resume(sagaId, steps) {
+    const saga = await this.storage.getSaga(sagaId);
+
+    if (!saga) {
+      throw new Error('Operation not found');
+    }
+    if (saga.status !== 'failed') {
+      throw new Error(`Operation cannot be resumed (status: ${saga.status})`);
+    }
+
+    return this.run({ ...saga, status: 'running' }, steps);
+  }
+
+  async rollback(sagaId, steps) {
+    const saga = await this.storage.getSaga(sagaId);
+
+    if (!saga) {
+      throw new Error('Operation not found');
+    }
+    if (saga.status !== 'failed') {
+      throw new Error(`Operation cannot be rolled back (status: ${saga.status})`);
+    }
+
+    return this.compensate(saga, steps);
+  }
+
+  async run(saga, steps) {
+    for (const [index, step] of steps.entries()) {
+      const record = saga.steps[index];
+      if (record.status === 'done') continue;
+
+      try {
+        const result = await step.run(saga.state, saga.input);
+        saga.state = { ...saga.state, ...result };
+        saga.steps[index] = { ...record, status: 'done', error: null, at: new Date().toISOString() };
+        await this.storage.updateSaga(saga.id, saga);
+
+      } catch (error) {
+        console.error(`Step ${step.name} failed:`, error);
+        saga.steps[index] = {
+          ...record,
+          status: 'failed',
+          error: error.message,
+          reason: error.reason || null,
+          at: new Date().toISOString()
+        };
+        saga.error = error.message;
+
+        const onFailure = typeof step.onFailure === 'function'
+          ? step.onFailure(error)
+          : step.onFailure;
+
+        if (onFailure === 'pause') {
+          saga.status = 'failed';
+          await this.storage.updateSaga(saga.id, saga);
+          return saga;
+        }
+
+        return this.compensate(saga, steps);
+      }
+    }
+
+    saga.status = 'completed';
+    saga.error = null;
+    await this.storage.updateSaga(saga.id, saga);
+    return saga;
+  }
+
+  // Undo completed steps in reverse order
+  async compensate(saga, steps) {
+    let clean = true;
+
+    for (let index = steps.length - 1; index >= 0; index--) {
+      const step = steps[index];
+      const record = saga.steps[index];
+
+      if (record.status !== 'done') continue;
+
+      if (!step.compensate) {
+        saga.steps[index] = { ...record, status: 'kept' };
+        continue;
+      }
+
+      try {
+        await step.compensate(saga.state, saga.input);
+        saga.steps[index] = { ...record, status: 'compensated' };
+      } catch (error) {
+        console.error(`Rolling back ${step.name} failed:`, error);
+        saga.steps[index] = { ...record, status: 'compensationFailed', compensationError: error.message };
+        clean = false;
+      }
+    }
+
+    saga.status = clean ? 'rolledBack' : 'rollbackFailed';
+    await this.storage.updateSaga(saga.id, saga);
+    return saga;
+  }
+}
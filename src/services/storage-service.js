@@ -1,11 +1,33 @@
 // Storage Service
 // Handles persistent storage of user settings and preferences
 
+import * as moment from 'moment-timezone';
+import { DEFAULT_PLATFORM } from './platform-registry.js';
+import { seriesEndDate } from '../utils/recurrence.js';
+import { DEFAULT_WORKING_HOURS } from '../utils/working-hours.js';
+import { DEFAULT_SCHEDULING_RULES } from '../utils/slot-finder.js';
+import { DEFAULT_TIME_PREFERENCES } from '../utils/slot-ranker.js';
+
+// Lifecycle of a meeting in the history ledger
+export const MEETING_STATUSES = [
+  'pending-delivery', // Calendar event exists, invite message not yet in the chat
+  'drafted',     // Calendar event exists, invite message left in the composer
+  'sent',        // Invite message was sent in the LinkedIn thread
+  'confirmed',   // Participant accepted
+  'rescheduled', // Moved to a new time
+  'cancelled',   // Calendar event and meeting link removed
+  'completed'    // Meeting end time has passed
+];
+
+// Secrets stay in chrome.storage.local: chrome.storage.sync would copy
+// them to every browser the user is signed in to
+export const LOCAL_ONLY_SETTINGS = ['jitsiAppSecret', 'teamsClientSecret'];
+
 export class StorageService {
   constructor() {
     this.settings = null;
     this.defaultSettings = {
-      defaultPlatform: 'google-meet',
+      defaultPlatform: DEFAULT_PLATFORM,
       defaultDuration: 30,
       defaultTimezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
       voiceActivationEnabled: true,
@@ -17,7 +39,20 @@ export class StorageService {
       openaiApiKey: null,
       zoomApiKey: null,
       zoomApiSecret: null,
+      jitsiBaseUrl: 'https://meet.jit.si',
+      jitsiSecurity: 'none', // 'none' | 'jwt'
+      jitsiAppId: null,
+      jitsiAppSecret: null,
+      // Azure app registration used to sign in to Teams
+      teamsClientId: null,
+      teamsClientSecret: null,
       theme: 'light',
+      workingHours: DEFAULT_WORKING_HOURS,
+      schedulingRules: DEFAULT_SCHEDULING_RULES,
+      timePreferences: DEFAULT_TIME_PREFERENCES,
+      // Calendars whose events count as busy, and the one new events go into
+      busyCalendarIds: ['primary'],
+      eventCalendarId: 'primary',
       messageTemplates: this.getDefaultTemplates()
     };
   }
@@ -66,11 +101,17 @@ Sincerely`
   async loadSettings() {
     try {
       const result = await chrome.storage.sync.get(['userSettings']);
+      const { localSettings = {} } = await chrome.storage.local.get(['localSettings']);
       
       if (result.userSettings) {
-        this.settings = { ...this.defaultSettings, ...result.userSettings };
+        // Older versions kept secrets in sync storage too; saving moves them
+        const movedSecrets = LOCAL_ONLY_SETTINGS.some(key => key in result.userSettings);
+        this.settings = { ...this.defaultSettings, ...result.userSettings, ...localSettings };
+        if (movedSecrets) {
+          await this.saveSettings(this.settings);
+        }
       } else {
-        this.settings = { ...this.defaultSettings };
+        this.settings = { ...this.defaultSettings, ...localSettings };
         await this.saveSettings(this.settings);
       }
       
@@ -85,7 +126,7 @@ Sincerely`
   async saveSettings(settings) {
     try {
       this.settings = { ...this.defaultSettings, ...settings };
-      await chrome.storage.sync.set({ userSettings: this.settings });
+      await this.writeSettings(this.settings);
       return true;
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -93,6 +134,18 @@ Sincerely`
     }
   }
 
+  async writeSettings(settings) {
+    const shared = { ...settings };
+    const localSettings = {};
+    for (const key of LOCAL_ONLY_SETTINGS) {
+      localSettings[key] = shared[key] ?? null;
+      delete shared[key];
+    }
+
+    await chrome.storage.sync.set({ userSettings: shared });
+    await chrome.storage.local.set({ localSettings });
+  }
+
   async getSettings() {
     if (!this.settings) {
       await this.loadSettings();
@@ -115,7 +168,7 @@ Sincerely`
   async resetSettings() {
     try {
       this.settings = { ...this.defaultSettings };
-      await chrome.storage.sync.set({ userSettings: this.settings });
+      await this.writeSettings(this.settings);
       return true;
     } catch (error) {
       console.error('Error resetting settings:', error);
@@ -127,20 +180,117 @@ Sincerely`
   async saveMeetingHistory(meeting) {
     try {
       const history = await this.getMeetingHistory();
-      history.unshift({
+      const createdAt = new Date().toISOString();
+      const status = meeting.status || 'drafted';
+      const entry = {
         ...meeting,
-        createdAt: new Date().toISOString(),
+        status,
+        statusHistory: [{ status, at: createdAt }],
+        createdAt,
         id: this.generateId()
-      });
+      };
+      history.unshift(entry);
 
       // Keep only last 50 meetings
       const trimmedHistory = history.slice(0, 50);
       
       await chrome.storage.local.set({ meetingHistory: trimmedHistory });
-      return true;
+      return entry;
     } catch (error) {
       console.error('Error saving meeting history:', error);
-      return false;
+      return null;
+    }
+  }
+
+  async updateMeetingStatus(id, status, updates = {}) {
+    if (!MEETING_STATUSES.includes(status)) {
+      throw new Error(`Unknown meeting status: ${status}`);
+    }
+
+    const meeting = await this.getMeetingById(id);
+    if (!meeting) {
+      return null;
+    }
+
+    return this.updateMeetingHistory(id, {
+      ...updates,
+      status,
+      statusHistory: [
+        ...(meeting.statusHistory || []),
+        { status, at: new Date().toISOString() }
+      ]
+    });
+  }
+
+  // Flip meetings whose end time has passed to 'completed'
+  async markCompletedMeetings(now = new Date()) {
+    try {
+      const history = await this.getMeetingHistory();
+      const activeStatuses = ['pending-delivery', 'drafted', 'sent', 'confirmed', 'rescheduled'];
+      let changed = false;
+
+      for (const meeting of history) {
+        if (!activeStatuses.includes(meeting.status) || !meeting.date || !meeting.time) {
+          continue;
+        }
+
+        // A series is only done after its last occurrence; open-ended ones never are
+        const lastDate = meeting.recurrence
+          ? seriesEndDate(meeting.recurrence, meeting.date)
+          : meeting.date;
+        if (!lastDate) {
+          continue;
+        }
+
+        // Date and time are wall-clock in the meeting's own zone
+        const end = moment.tz(`${lastDate}T${meeting.time}`, 'YYYY-MM-DDTHH:mm', meeting.timezone || moment.tz.guess())
+          .add(meeting.duration || 30, 'minutes');
+
+        if (end.isBefore(now)) {
+          meeting.status = 'completed';
+          meeting.statusHistory = [
+            ...(meeting.statusHistory || []),
+            { status: 'completed', at: now.toISOString() }
+          ];
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        await chrome.storage.local.set({ meetingHistory: history });
+      }
+      return history;
+    } catch (error) {
+      console.error('Error marking completed meetings:', error);
+      return this.getMeetingHistory();
+    }
+  }
+
+  async getMeetingById(id) {
+    const history = await this.getMeetingHistory();
+    return history.find(meeting => meeting.id === id) || null;
+  }
+
+  async updateMeetingHistory(id, updates) {
+    try {
+      const history = await this.getMeetingHistory();
+      const index = history.findIndex(meeting => meeting.id === id);
+
+      if (index < 0) {
+        return null;
+      }
+
+      history[index] = {
+        ...history[index],
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+
+      await chrome.storage.local.set({ meetingHistory: history });
+      return history[index];
+    } catch (error) {
+      console.error('Error updating meeting history:', error);
+      return null;
     }
   }
 
@@ -164,6 +314,233 @@ Sincerely`
     }
   }
 
+  // Time proposals ("here are three options") and their calendar holds
+  async saveProposal(proposal) {
+    try {
+      const proposals = await this.getProposals();
+      const entry = {
+        ...proposal,
+        createdAt: new Date().toISOString(),
+        id: this.generateId()
+      };
+      proposals.unshift(entry);
+
+      // Keep only last 20 proposals
+      await chrome.storage.local.set({ meetingProposals: proposals.slice(0, 20) });
+      return entry;
+    } catch (error) {
+      console.error('Error saving proposal:', error);
+      return null;
+    }
+  }
+
+  async getProposals() {
+    try {
+      const result = await chrome.storage.local.get(['meetingProposals']);
+      return result.meetingProposals || [];
+    } catch (error) {
+      console.error('Error getting proposals:', error);
+      return [];
+    }
+  }
+
+  async getProposal(id) {
+    const proposals = await this.getProposals();
+    return proposals.find(proposal => proposal.id === id) || null;
+  }
+
+  async updateProposal(id, updates) {
+    try {
+      const proposals = await this.getProposals();
+      const index = proposals.findIndex(proposal => proposal.id === id);
+
+      if (index < 0) {
+        return null;
+      }
+
+      proposals[index] = {
+        ...proposals[index],
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+
+      await chrome.storage.local.set({ meetingProposals: proposals });
+      return proposals[index];
+    } catch (error) {
+      console.error('Error updating proposal:', error);
+      return null;
+    }
+  }
+
+  // Saga records for multi-step operations (see SagaService)
+  async saveSaga(saga) {
+    try {
+      const sagas = await this.getSagas();
+      const entry = {
+        ...saga,
+        createdAt: new Date().toISOString(),
+        id: this.generateId()
+      };
+      sagas.unshift(entry);
+
+      // Keep only last 50 operations
+      await chrome.storage.local.set({ meetingSagas: sagas.slice(0, 50) });
+      return entry;
+    } catch (error) {
+      console.error('Error saving saga:', error);
+      return null;
+    }
+  }
+
+  async getSagas() {
+    try {
+      const result = await chrome.storage.local.get(['meetingSagas']);
+      return result.meetingSagas || [];
+    } catch (error) {
+      console.error('Error getting sagas:', error);
+      return [];
+    }
+  }
+
+  async getSaga(id) {
+    const sagas = await this.getSagas();
+    return sagas.find(saga => saga.id === id) || null;
+  }
+
+  async updateSaga(id, updates) {
+    try {
+      const sagas = await this.getSagas();
+      const index = sagas.findIndex(saga => saga.id === id);
+
+      if (index < 0) {
+        return null;
+      }
+
+      sagas[index] = {
+        ...sagas[index],
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+
+      await chrome.storage.local.set({ meetingSagas: sagas });
+      return sagas[index];
+    } catch (error) {
+      console.error('Error updating saga:', error);
+      return null;
+    }
+  }
+
+  // Operations waiting to be retried (see RetryQueue)
+  async savePendingOperation(operation) {
+    const operations = await this.getPendingOperations();
+    const entry = {
+      ...operation,
+      createdAt: new Date().toISOString(),
+      id: this.generateId()
+    };
+    operations.push(entry);
+
+    await chrome.storage.local.set({ pendingOperations: operations });
+    return entry;
+  }
+
+  async getPendingOperations() {
+    try {
+      const result = await chrome.storage.local.get(['pendingOperations']);
+      return result.pendingOperations || [];
+    } catch (error) {
+      console.error('Error getting pending operations:', error);
+      return [];
+    }
+  }
+
+  async getPendingOperation(id) {
+    const operations = await this.getPendingOperations();
+    return operations.find(operation => operation.id === id) || null;
+  }
+
+  async updatePendingOperation(id, updates) {
+    const operations = await this.getPendingOperations();
+    const index = operations.findIndex(operation => operation.id === id);
+
+    if (index < 0) {
+      return null;
+    }
+
+    operations[index] = {
+      ...operations[index],
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+
+    await chrome.storage.local.set({ pendingOperations: operations });
+    return operations[index];
+  }
+
+  async removePendingOperation(id) {
+    const operations = await this.getPendingOperations();
+    await chrome.storage.local.set({
+      pendingOperations: operations.filter(operation => operation.id !== id)
+    });
+  }
+
+  // Clarification sessions (one per tab) live in session storage so they
+  // survive the service worker being restarted, but not a browser restart
+  async getClarificationSession(tabId) {
+    try {
+      const result = await chrome.storage.session.get(['clarificationSessions']);
+      const session = (result.clarificationSessions || {})[tabId];
+
+      if (!session) {
+        return null;
+      }
+
+      // Abandoned sessions shouldn't hijack the next voice command
+      if (Date.now() - new Date(session.updatedAt).getTime() > 30 * 60000) {
+        await this.clearClarificationSession(tabId);
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      console.error('Error getting clarification session:', error);
+      return null;
+    }
+  }
+
+  async saveClarificationSession(tabId, session) {
+    try {
+      const result = await chrome.storage.session.get(['clarificationSessions']);
+      const sessions = result.clarificationSessions || {};
+
+      sessions[tabId] = {
+        ...session,
+        updatedAt: new Date().toISOString()
+      };
+
+      await chrome.storage.session.set({ clarificationSessions: sessions });
+      return sessions[tabId];
+    } catch (error) {
+      console.error('Error saving clarification session:', error);
+      return null;
+    }
+  }
+
+  async clearClarificationSession(tabId) {
+    try {
+      const result = await chrome.storage.session.get(['clarificationSessions']);
+      const sessions = result.clarificationSessions || {};
+
+      delete sessions[tabId];
+
+      await chrome.storage.session.set({ clarificationSessions: sessions });
+      return true;
+    } catch (error) {
+      console.error('Error clearing clarification session:', error);
+      return false;
+    }
+  }
+
   // Contact cache management
   async cacheContact(contact) {
     try {
@@ -0,0 +1,86 @@
+// In-memory stand-in for the chrome.* APIs the services and the background
+// use, for tests. Import it before the modules under test: the services
+// read storage as soon as they are constructed.
+
+function fakeStorageArea() {
+  let data = {};
+
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return structuredClone(data);
+      }
+      const wanted = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const key of wanted) {
+        if (key in data) result[key] = structuredClone(data[key]);
+      }
+      return result;
+    },
+    async set(items) {
+      data = { ...data, ...structuredClone(items) };
+    },
+    async remove(keys) {
+      for (const key of typeof keys === 'string' ? [keys] : keys) {
+        delete data[key];
+      }
+    },
+    async clear() {
+      data = {};
+    }
+  };
+}
+
+const listener = () => ({ addListener() {}, removeListener() {} });
+
+export const fakeChrome = {
+  storage: {
+    local: fakeStorageArea(),
+    sync: fakeStorageArea(),
+    session: fakeStorageArea()
+  },
+  runtime: {
+    onMessage: listener(),
+    onInstalled: listener(),
+    lastError: null,
+    sendMessage() {},
+    getURL: path => `chrome-extension://test/${path}`
+  },
+  commands: { onCommand: listener() },
+  alarms: {
+    onAlarm: listener(),
+    async create() {},
+    async clear() {},
+    async get() {
+      return null;
+    }
+  },
+  tabs: {
+    async query() {
+      return [];
+    },
+    async get(tabId) {
+      throw new Error(`No tab with id: ${tabId}`);
+    },
+    async sendMessage() {
+      return null;
+    }
+  },
+  identity: {
+    getAuthToken(options, callback) {
+      callback(null);
+    },
+    getRedirectURL: () => 'https://test.chromiumapp.org/'
+  }
+};
+
+// Empty every storage area between tests
+export async function resetChromeStorage() {
+  await fakeChrome.storage.local.clear();
+  await fakeChrome.storage.sync.clear();
+  await fakeChrome.storage.session.clear();
+}
+
+global.chrome = fakeChrome;
+// The background listens for 'online' on the worker's global scope
+global.self = global.self || { addEventListener() {} };
@@ -0,0 +1,134 @@
+import {
+  alignToRecurrence,
+  countWithinSpan,
+  describeRecurrence,
+  listOccurrences,
+  moveRecurrence,
+  seriesEndDate,
+  toGraphRecurrence,
+  toRRule,
+  toZoomRecurrence
+} from '../recurrence.js';
+
+// 2026-10-20 is a Tuesday
+const everyOtherTuesday = { frequency: 'WEEKLY', interval: 2, byDay: ['TU'], count: 3 };
+
+describe('toRRule', () => {
+  test('weekly with weekdays, interval and count', () => {
+    expect(toRRule(everyOtherTuesday)).toBe('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;WKST=SU;COUNT=3');
+  });
+
+  test('leaves out an interval of one', () => {
+    expect(toRRule({ frequency: 'DAILY', interval: 1 })).toBe('RRULE:FREQ=DAILY');
+  });
+
+  test('ends at the close of the until day in UTC', () => {
+    expect(toRRule({ frequency: 'MONTHLY', interval: 1, until: '2027-03-31' }))
+      .toBe('RRULE:FREQ=MONTHLY;UNTIL=20270331T235959Z');
+  });
+
+  test('ends at the close of the until day in the event\'s timezone', () => {
+    // An 8 PM meeting in Los Angeles on Nov 17 starts at 04:00 UTC on the 18th
+    expect(toRRule({ frequency: 'WEEKLY', interval: 1, until: '2026-11-17' }, 'America/Los_Angeles'))
+      .toBe('RRULE:FREQ=WEEKLY;UNTIL=20261118T075959Z');
+    expect(toRRule({ frequency: 'DAILY', interval: 1, until: '2026-10-31' }, 'Asia/Tokyo'))
+      .toBe('RRULE:FREQ=DAILY;UNTIL=20261031T145959Z');
+  });
+});
+
+describe('toZoomRecurrence', () => {
+  test('numbers weekdays from Sunday as 1', () => {
+    expect(toZoomRecurrence({ frequency: 'WEEKLY', interval: 1, byDay: ['MO', 'WE', 'FR'], count: 6 }, '2026-10-19'))
+      .toEqual({ type: 2, repeat_interval: 1, weekly_days: '2,4,6', end_times: 6 });
+  });
+
+  test('weekly without weekdays repeats on the start day', () => {
+    expect(toZoomRecurrence({ frequency: 'WEEKLY', interval: 2 }, '2026-10-20'))
+      .toEqual({ type: 2, repeat_interval: 2, weekly_days: '3' });
+  });
+
+  test('ends at the close of the until day in the meeting\'s timezone', () => {
+    expect(toZoomRecurrence({ frequency: 'DAILY', interval: 1, until: '2026-11-02' }, '2026-10-26', 'America/New_York').end_date_time)
+      .toBe('2026-11-03T04:59:59Z');
+  });
+
+  test('monthly on the start date, until a day', () => {
+    expect(toZoomRecurrence({ frequency: 'MONTHLY', interval: 1, until: '2027-01-31' }, '2026-10-31'))
+      .toEqual({ type: 3, repeat_interval: 1, monthly_day: 31, end_date_time: '2027-01-31T23:59:59Z' });
+  });
+});
+
+describe('toGraphRecurrence', () => {
+  test('weekly, numbered', () => {
+    expect(toGraphRecurrence(everyOtherTuesday, '2026-10-20', 'America/New_York')).toEqual({
+      pattern: { type: 'weekly', interval: 2, daysOfWeek: ['tuesday'], firstDayOfWeek: 'sunday' },
+      range: {
+        startDate: '2026-10-20',
+        recurrenceTimeZone: 'America/New_York',
+        type: 'numbered',
+        numberOfOccurrences: 3
+      }
+    });
+  });
+
+  test('monthly with an end date', () => {
+    expect(toGraphRecurrence({ frequency: 'MONTHLY', interval: 1, until: '2027-03-01' }, '2026-11-15', 'Europe/London')).toEqual({
+      pattern: { type: 'absoluteMonthly', interval: 1, dayOfMonth: 15 },
+      range: { startDate: '2026-11-15', recurrenceTimeZone: 'Europe/London', type: 'endDate', endDate: '2027-03-01' }
+    });
+  });
+
+  test('no end', () => {
+    expect(toGraphRecurrence({ frequency: 'DAILY', interval: 1 }, '2026-10-19', 'UTC').range.type).toBe('noEnd');
+  });
+});
+
+describe('listOccurrences', () => {
+  test('every other Tuesday', () => {
+    expect(listOccurrences(everyOtherTuesday, '2026-10-20')).toEqual(['2026-10-20', '2026-11-03', '2026-11-17']);
+  });
+
+  test('several weekdays skip days before the start', () => {
+    expect(listOccurrences({ frequency: 'WEEKLY', interval: 1, byDay: ['MO', 'TH'], count: 3 }, '2026-10-20'))
+      .toEqual(['2026-10-22', '2026-10-26', '2026-10-29']);
+  });
+
+  test('monthly skips months without that day, as Google does', () => {
+    expect(listOccurrences({ frequency: 'MONTHLY', interval: 1, count: 3 }, '2027-01-31'))
+      .toEqual(['2027-01-31', '2027-03-31', '2027-05-31']);
+    expect(listOccurrences({ frequency: 'MONTHLY', interval: 1, until: '2027-04-30' }, '2027-01-30'))
+      .toEqual(['2027-01-30', '2027-03-30', '2027-04-30']);
+  });
+
+  test('stops at until', () => {
+    expect(listOccurrences({ frequency: 'DAILY', interval: 2, until: '2026-10-24' }, '2026-10-19'))
+      .toEqual(['2026-10-19', '2026-10-21', '2026-10-23']);
+  });
+});
+
+describe('series helpers', () => {
+  test('alignToRecurrence moves to the next matching weekday', () => {
+    expect(alignToRecurrence({ frequency: 'WEEKLY', byDay: ['FR'] }, '2026-10-20')).toBe('2026-10-23');
+  });
+
+  test('moveRecurrence follows a single weekday', () => {
+    expect(moveRecurrence({ frequency: 'WEEKLY', interval: 1, byDay: ['TU'] }, '2026-10-22').byDay).toEqual(['TH']);
+  });
+
+  test('countWithinSpan counts "for six weeks"', () => {
+    expect(countWithinSpan({ frequency: 'WEEKLY', interval: 2, byDay: ['TU'] }, '2026-10-20', { amount: 6, unit: 'week' }))
+      .toBe(3);
+  });
+
+  test('seriesEndDate is the last occurrence, or null without an end', () => {
+    expect(seriesEndDate(everyOtherTuesday, '2026-10-20')).toBe('2026-11-17');
+    expect(seriesEndDate({ frequency: 'DAILY', interval: 1 }, '2026-10-20')).toBeNull();
+  });
+
+  test('describeRecurrence', () => {
+    expect(describeRecurrence(everyOtherTuesday)).toBe('Every other Tuesday, 3 times');
+    expect(describeRecurrence({ frequency: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] })).toBe('Every weekday');
+    expect(describeRecurrence({ frequency: 'MONTHLY', interval: 1, until: '2027-03-01' }, '2026-10-22'))
+      .toBe('Every month on the 22nd, until Mar 1, 2027');
+  });
+});
@@ -0,0 +1,99 @@
+import { evaluateSlots, normalizeSchedulingRules, uniquePeriods } from '../slot-finder.js';
+
+// All on Tuesday 2026-10-20, in UTC to keep the arithmetic plain
+const at = (time) => new Date(`2026-10-20T${time}:00Z`);
+const period = (start, end, label) => ({ start: at(start), end: at(end), ...(label ? { label } : {}) });
+
+const windows = [period('09:00', '17:00')];
+const reasonFor = (result, time) => result.rejected.find(slot => slot.start.getTime() === at(time).getTime())?.reason;
+
+describe('evaluateSlots', () => {
+  const busy = [period('10:00', '11:00')];
+
+  test('offers a slot with room either side', () => {
+    const result = evaluateSlots([at('11:30')], 30, { busy, windows });
+
+    expect(result.slots).toEqual([{ start: at('11:30'), end: at('12:00') }]);
+    expect(result.rejected).toEqual([]);
+  });
+
+  test('rejects overlaps as busy', () => {
+    expect(reasonFor(evaluateSlots([at('10:30')], 30, { busy, windows }), '10:30')).toBe('busy');
+  });
+
+  test('rejects a slot right after a meeting for its buffer', () => {
+    const result = evaluateSlots([at('11:00')], 30, { busy, windows });
+
+    expect(reasonFor(result, '11:00')).toBe('buffer');
+    expect(result.rejected[0].detail).toMatch(/Too close to busy time/);
+  });
+
+  test('without buffers a back-to-back slot is fine', () => {
+    const rules = { bufferBeforeMinutes: 0, bufferAfterMinutes: 0 };
+    expect(evaluateSlots([at('11:00')], 30, { busy, windows, rules }).slots).toHaveLength(1);
+  });
+
+  test('rejects slots inside focus time, naming the block', () => {
+    const result = evaluateSlots([at('14:00')], 30, { windows, focus: [period('13:30', '15:00', 'Deep work')] });
+
+    expect(reasonFor(result, '14:00')).toBe('focus');
+    expect(result.rejected[0].detail).toBe('Inside focus time (Deep work)');
+  });
+
+  test('rejects slots that leave a gap too short to use', () => {
+    // 11:05 is the end of the buffer; starting at 11:10 strands 5 minutes
+    const result = evaluateSlots([at('11:10')], 30, { busy, windows });
+
+    expect(reasonFor(result, '11:10')).toBe('fragment');
+    expect(result.rejected[0].detail).toBe('Would leave a gap of 5 minutes');
+  });
+
+  test('the edge of the working range counts for gaps too', () => {
+    expect(reasonFor(evaluateSlots([at('16:20')], 30, { windows }), '16:20')).toBe('fragment');
+    expect(evaluateSlots([at('16:30')], 30, { windows }).slots).toHaveLength(1);
+  });
+
+  test('caps the number of meetings a day', () => {
+    const result = evaluateSlots([at('14:00')], 30, { busy, windows, rules: { maxMeetingsPerDay: 1 } });
+
+    expect(reasonFor(result, '14:00')).toBe('daily-meeting-cap');
+  });
+
+  test('caps meeting minutes a day from the user\'s own meetings only', () => {
+    const rules = { maxMeetingMinutesPerDay: 80 };
+
+    expect(reasonFor(evaluateSlots([at('14:00')], 30, { busy, windows, rules }), '14:00')).toBe('daily-minutes-cap');
+    expect(evaluateSlots([at('14:00')], 30, { busy, ownBusy: [], windows, rules }).slots).toHaveLength(1);
+  });
+
+  test('reports every candidate as a slot or a rejection', () => {
+    const starts = ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30'].map(at);
+    const result = evaluateSlots(starts, 30, { busy, windows });
+
+    expect(result.slots.length + result.rejected.length).toBe(starts.length);
+    expect(result.slots.map(slot => slot.start)).toEqual([at('09:00'), at('11:30')]);
+  });
+});
+
+describe('normalizeSchedulingRules', () => {
+  test('fills in missing rules with defaults', () => {
+    expect(normalizeSchedulingRules({ bufferAfterMinutes: 10 })).toMatchObject({
+      bufferBeforeMinutes: 5,
+      bufferAfterMinutes: 10,
+      maxMeetingsPerDay: null,
+      minimumFragmentMinutes: 15
+    });
+  });
+});
+
+describe('uniquePeriods', () => {
+  test('keeps one copy of a meeting on several calendars', () => {
+    const periods = [
+      { start: '2026-10-20T10:00:00Z', end: '2026-10-20T11:00:00Z' },
+      { start: at('10:00'), end: at('11:00') },
+      { start: '2026-10-20T12:00:00Z', end: '2026-10-20T13:00:00Z' }
+    ];
+
+    expect(uniquePeriods(periods)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,125 @@
+import { DEFAULT_WORKING_HOURS } from '../working-hours.js';
+import { explainRanking, normalizeTimePreferences, rankSlots } from '../slot-ranker.js';
+
+const timeZone = 'America/New_York';
+// Monday 2026-10-19, 8:00 AM in New York
+const now = new Date('2026-10-19T12:00:00Z');
+const slot = (start, minutes = 30) => ({
+  start: new Date(start),
+  end: new Date(new Date(start).getTime() + minutes * 60000)
+});
+const factor = (ranked, name) => ranked.factors.find(item => item.name === name);
+
+describe('rankSlots', () => {
+  test('returns every slot with a score and four explained factors', () => {
+    const [ranked] = rankSlots([slot('2026-10-20T15:00:00Z')], { now, timeZone });
+
+    expect(ranked.score).toBeGreaterThan(0);
+    expect(ranked.score).toBeLessThanOrEqual(100);
+    expect(ranked.factors.map(item => item.name)).toEqual(['businessHours', 'preferredTime', 'proximity', 'fragmentation']);
+    ranked.factors.forEach(item => expect(item.reason).toEqual(expect.any(String)));
+  });
+
+  test('puts a time inside everyone\'s working day first', () => {
+    const ranked = rankSlots([
+      // 3:30 PM in New York, 8:30 PM in London
+      slot('2026-10-20T19:30:00Z'),
+      // 10:00 AM in New York, 3:00 PM in London
+      slot('2026-10-20T14:00:00Z')
+    ], { now, timeZone, participantTimezones: ['Europe/London'] });
+
+    expect(ranked[0].start).toEqual(new Date('2026-10-20T14:00:00Z'));
+    expect(factor(ranked[0], 'businessHours').reason).toBe('Within working hours for everyone');
+    expect(factor(ranked[1], 'businessHours')).toMatchObject({
+      score: 0,
+      reason: '8:30 PM for Europe/London, outside working hours'
+    });
+  });
+
+  test('prefers the user\'s preferred hours', () => {
+    const ranked = rankSlots([
+      // 9:00 AM, an hour before the preferred 10:00
+      slot('2026-10-20T13:00:00Z'),
+      // 11:00 AM
+      slot('2026-10-20T15:00:00Z')
+    ], { now, timeZone });
+
+    expect(ranked[0].start).toEqual(new Date('2026-10-20T15:00:00Z'));
+    expect(factor(ranked[0], 'preferredTime').reason).toBe('Within your preferred 10:00–16:00');
+    expect(factor(ranked[1], 'preferredTime')).toMatchObject({ score: 0.67, reason: '1h outside your preferred 10:00–16:00' });
+  });
+
+  test('sooner wins between otherwise equal slots, more so when urgent', () => {
+    const slots = [slot('2026-10-23T15:00:00Z'), slot('2026-10-20T15:00:00Z')];
+    const normal = rankSlots(slots, { now, timeZone });
+    const urgent = rankSlots(slots, { now, timeZone, urgency: 'high' });
+
+    expect(normal[0].start).toEqual(new Date('2026-10-20T15:00:00Z'));
+    expect(factor(normal[0], 'proximity').reason).toBe('Tomorrow');
+    expect(factor(urgent[1], 'proximity').reason).toBe('In 4 days (urgent, so sooner is better)');
+    expect(urgent[0].score - urgent[1].score).toBeGreaterThan(normal[0].score - normal[1].score);
+  });
+
+  test('prefers a slot next to another meeting over one that leaves a gap', () => {
+    const busy = [{ start: '2026-10-20T14:00:00Z', end: '2026-10-20T15:00:00Z' }];
+    const windows = [{ start: '2026-10-20T13:00:00Z', end: '2026-10-20T21:00:00Z' }];
+    const ranked = rankSlots([
+      // 11:45, leaving 45 minutes after the meeting
+      slot('2026-10-20T15:45:00Z'),
+      // 11:05, right after it
+      slot('2026-10-20T15:05:00Z')
+    ], { now, timeZone, busy, windows });
+
+    expect(ranked[0].start).toEqual(new Date('2026-10-20T15:05:00Z'));
+    expect(factor(ranked[0], 'fragmentation').reason).toBe('Right next to another meeting');
+    expect(factor(ranked[1], 'fragmentation').reason).toBe('Leaves a 45 minute gap');
+  });
+
+  test('follows the other person\'s clock across their DST change', () => {
+    // London leaves summer time on 2026-10-25, New York on 2026-11-01.
+    // 12:30 PM in New York is 5:30 PM in London before and 4:30 PM after.
+    const before = slot('2026-10-20T16:30:00Z');
+    const after = slot('2026-10-27T16:30:00Z');
+    const [first, second] = rankSlots([before, after], {
+      now,
+      timeZone,
+      workingHours: { ...DEFAULT_WORKING_HOURS, blocked: [] },
+      participantTimezones: ['Europe/London'],
+      urgency: 'low',
+      horizonDays: 14
+    });
+
+    expect(first.start).toEqual(after.start);
+    expect(factor(first, 'businessHours').score).toBe(1);
+    expect(factor(second, 'businessHours')).toMatchObject({
+      score: 0.5,
+      reason: '5:30 PM for Europe/London, just outside working hours'
+    });
+  });
+
+  test('uses the user\'s own working hours', () => {
+    const workingHours = {
+      ...DEFAULT_WORKING_HOURS,
+      days: { ...DEFAULT_WORKING_HOURS.days, tuesday: [{ start: '12:00', end: '20:00' }] }
+    };
+    const [ranked] = rankSlots([slot('2026-10-20T14:00:00Z')], { now, timeZone, workingHours });
+
+    expect(factor(ranked, 'businessHours').reason).toBe('10:00 AM for you, outside working hours');
+  });
+});
+
+describe('explainRanking', () => {
+  test('one line per factor with its score', () => {
+    const [ranked] = rankSlots([slot('2026-10-20T15:00:00Z')], { now, timeZone });
+    const lines = explainRanking(ranked).split('\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toBe('Within working hours for everyone (100)');
+  });
+});
+
+describe('normalizeTimePreferences', () => {
+  test('fills in missing preferences', () => {
+    expect(normalizeTimePreferences({ preferredStart: '09:00' })).toEqual({ preferredStart: '09:00', preferredEnd: '16:00' });
+  });
+});
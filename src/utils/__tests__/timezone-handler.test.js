@@ -0,0 +1,236 @@
+import { TimezoneHandler } from '../timezone-handler.js';
+import { DEFAULT_WORKING_HOURS } from '../working-hours.js';
+import { evaluateSlots } from '../slot-finder.js';
+
+const handler = new TimezoneHandler();
+const longAgo = new Date('2020-01-01T00:00:00Z');
+const iso = (dates) => dates.map(date => date.toISOString());
+
+// New York leaves daylight saving time on Sunday 2026-11-01 and enters it
+// on Sunday 2027-03-14
+describe('slots around daylight saving changes', () => {
+  test('working hours stay on the wall clock across the change', () => {
+    const friday = handler.workingStarts(DEFAULT_WORKING_HOURS, '2026-10-30', 30, 'America/New_York', longAgo);
+    const monday = handler.workingStarts(DEFAULT_WORKING_HOURS, '2026-11-02', 30, 'America/New_York', longAgo);
+
+    expect(friday[0].toISOString()).toBe('2026-10-30T13:00:00.000Z');
+    expect(monday[0].toISOString()).toBe('2026-11-02T14:00:00.000Z');
+    expect(friday).toHaveLength(monday.length);
+  });
+
+  test('a working range over the repeated hour is an hour longer', () => {
+    const [range] = handler.wallClockPeriods([{ start: '00:00', end: '04:00' }], '2026-11-01', 'America/New_York');
+
+    expect((range.end - range.start) / 3600000).toBe(5);
+  });
+
+  test('slots on the change day are checked against real instants', () => {
+    const hours = {
+      ...DEFAULT_WORKING_HOURS,
+      days: { ...DEFAULT_WORKING_HOURS.days, sunday: [{ start: '00:00', end: '04:00' }] },
+      blocked: []
+    };
+    const starts = handler.workingStarts(hours, '2026-11-01', 60, 'America/New_York', longAgo);
+    const windows = handler.wallClockPeriods([{ start: '00:00', end: '04:00' }], '2026-11-01', 'America/New_York');
+    // 1:00–2:00 EST, the second time the clock reads 1:00
+    const busy = [{ start: new Date('2026-11-01T06:00:00Z'), end: new Date('2026-11-01T07:00:00Z') }];
+
+    const result = evaluateSlots(starts, 60, { busy, windows, rules: { bufferBeforeMinutes: 0, bufferAfterMinutes: 0, minimumFragmentMinutes: 0 } });
+
+    // 1:00 resolves to the first (EDT) 1:00, which is still free
+    expect(iso(result.slots.map(slot => slot.start))).toContain('2026-11-01T05:00:00.000Z');
+    expect(result.rejected.find(slot => slot.reason === 'busy').start.toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  test('a time in the spring-forward gap moves to the hour after', () => {
+    const resolved = handler.resolveLocalTime('2027-03-14', '02:30', 'America/New_York');
+
+    expect(resolved.dst).toBe('gap');
+    expect(resolved.time).toBe('03:30');
+    expect(handler.describeDstAdjustment(resolved)).toMatch(/doesn't exist/);
+  });
+
+  test('a repeated time uses the first occurrence', () => {
+    const resolved = handler.resolveLocalTime('2026-11-01', '01:30', 'America/New_York');
+
+    expect(resolved.dst).toBe('overlap');
+    expect(resolved.instant).toBe('2026-11-01T05:30:00.000Z');
+  });
+});
+
+describe('day lists', () => {
+  test('getDaysBetween is inclusive', () => {
+    expect(handler.getDaysBetween('2026-10-30', '2026-11-02')).toEqual(['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02']);
+  });
+
+  test('getWeekDays runs Monday to Sunday', () => {
+    const days = handler.getWeekDays('America/New_York', 1, new Date('2026-10-21T12:00:00Z'));
+
+    expect(days[0]).toBe('2026-10-26');
+    expect(days[6]).toBe('2026-11-01');
+  });
+});
+
+describe('resolveLocalTime', () => {
+  test('a wall-clock time is the instant it names in that zone', () => {
+    expect(handler.resolveLocalTime('2026-10-22', '15:00', 'Europe/London')).toMatchObject({
+      instant: '2026-10-22T14:00:00.000Z',
+      dateTime: '2026-10-22T15:00:00+01:00',
+      localDateTime: '2026-10-22T15:00:00',
+      date: '2026-10-22',
+      time: '15:00',
+      tzAbbr: 'BST',
+      dst: null
+    });
+  });
+
+  test('a time skipped when clocks go forward moves forward by the gap', () => {
+    const resolved = handler.resolveLocalTime('2027-03-14', '02:30', 'America/New_York');
+
+    expect(resolved).toMatchObject({ instant: '2027-03-14T07:30:00.000Z', time: '03:30', dst: 'gap' });
+    expect(handler.describeDstAdjustment(resolved))
+      .toBe("2:30 AM on Mar 14 doesn't exist in America/New_York (clocks go forward), so the meeting is at 3:30 AM EDT instead.");
+  });
+
+  test('a time that happens twice when clocks go back is the first one', () => {
+    const resolved = handler.resolveLocalTime('2026-11-01', '01:30', 'America/New_York');
+
+    expect(resolved).toMatchObject({ instant: '2026-11-01T05:30:00.000Z', tzAbbr: 'EDT', dst: 'overlap' });
+    expect(handler.describeDstAdjustment(resolved))
+      .toBe('1:30 AM on Nov 1 happens twice in America/New_York (clocks go back); the first one (EDT) is used.');
+  });
+
+  test('ordinary times need no note', () => {
+    expect(handler.describeDstAdjustment(handler.resolveLocalTime('2026-10-22', '15:00', 'America/New_York'))).toBeNull();
+  });
+
+  test('unknown zones and impossible dates are errors', () => {
+    expect(() => handler.resolveLocalTime('2026-10-22', '15:00', 'Mars/Olympus')).toThrow('Unknown timezone: Mars/Olympus');
+    expect(() => handler.resolveLocalTime('2026-02-30', '15:00', 'Europe/London')).toThrow('Invalid date or time: 2026-02-30 15:00');
+  });
+});
+
+describe('inferTimezone', () => {
+  const said = (...contents) => contents.map(content => ({ content }));
+
+  test('nothing to go on is no guess', () => {
+    expect(handler.inferTimezone({})).toBeNull();
+    expect(handler.inferTimezone({ location: 'Remote', messages: said('Sounds good!') })).toBeNull();
+  });
+
+  test('a LinkedIn location is a fair guess', () => {
+    expect(handler.inferTimezone({ location: 'Greater London, England' })).toEqual({
+      timezone: 'Europe/London',
+      confidence: 0.7,
+      reason: 'LinkedIn location "Greater London, England"'
+    });
+  });
+
+  test('saying where they are counts for more than mentioning a place', () => {
+    expect(handler.inferTimezone({ messages: said("I'm in Tokyo this month") }).confidence).toBe(0.8);
+    expect(handler.inferTimezone({ messages: said('Our team in Tokyo will join') }).confidence).toBe(0.5);
+  });
+
+  test('clues that agree add up', () => {
+    expect(handler.inferTimezone({ location: 'London', messages: said('Afternoons are best, my time (BST)') })).toMatchObject({
+      timezone: 'Europe/London',
+      confidence: 0.94
+    });
+  });
+
+  test('their latest message beats an older profile location, with less confidence', () => {
+    expect(handler.inferTimezone({ location: 'London', messages: said("I'm in Tokyo now") })).toEqual({
+      timezone: 'Asia/Tokyo',
+      confidence: 0.52,
+      reason: 'their message "I\'m in Tokyo now"'
+    });
+  });
+
+  test('"your time" is about the user, not them', () => {
+    expect(handler.inferTimezone({ messages: said("I'm in London", 'Does 3pm your time (EST) work?') }).timezone).toBe('Europe/London');
+  });
+
+  test('"your time" and "their time" in a command mean the participant\'s zone', () => {
+    expect(handler.detectTimeReference('meet tomorrow at 3pm their time')).toBe('recipient');
+    expect(handler.detectTimeReference('meet tomorrow at 3pm my time')).toBe('sender');
+    expect(handler.detectTimeReference('meet tomorrow at 3pm')).toBe('sender');
+  });
+});
+
+// Thursday 2026-10-22, 3 PM in New York
+describe('formatMeetingTimes', () => {
+  const start = '2026-10-22T19:00:00.000Z';
+
+  test('shows the other side when their clock reads differently', () => {
+    expect(handler.formatMeetingTimes(start, 30, 'America/New_York', 'Europe/London')).toEqual({
+      user: expect.objectContaining({ text: '3:00 PM – 3:30 PM EDT', date: 'Thursday, October 22, 2026' }),
+      other: expect.objectContaining({ text: '8:00 PM – 8:30 PM BST', timezone: 'Europe/London' }),
+      differentDay: false
+    });
+  });
+
+  test('flags a meeting that falls on another day for them', () => {
+    const times = handler.formatMeetingTimes(start, 30, 'America/New_York', 'Asia/Tokyo');
+
+    expect(times.other).toMatchObject({ text: '4:00 AM – 4:30 AM JST', date: 'Friday, October 23, 2026' });
+    expect(times.differentDay).toBe(true);
+  });
+
+  test('leaves out a second zone that reads the same', () => {
+    expect(handler.formatMeetingTimes(start, 30, 'America/New_York', 'America/Toronto').other).toBeNull();
+    expect(handler.formatMeetingTimes(start, 30, 'America/New_York').other).toBeNull();
+  });
+});
+
+describe('working hours in the user\'s zone', () => {
+  test('nothing is offered sooner than the minimum notice', () => {
+    // 10:00 AM in New York on Tuesday 2026-10-20
+    const now = new Date('2026-10-20T14:00:00Z');
+    const starts = handler.workingStarts(DEFAULT_WORKING_HOURS, '2026-10-20', 30, 'America/New_York', now);
+
+    // Two hours' notice, and lunch is blocked
+    expect(starts[0].toISOString()).toBe('2026-10-20T17:00:00.000Z');
+  });
+
+  test('upcoming workdays skip the days off', () => {
+    // Thursday 2026-10-22 in New York
+    const from = new Date('2026-10-22T14:00:00Z');
+    const weekend = [{ start: '10:00', end: '14:00' }];
+    const weekendsOnly = {
+      ...DEFAULT_WORKING_HOURS,
+      days: { sunday: weekend, monday: [], tuesday: [], wednesday: [], thursday: [], friday: [], saturday: weekend }
+    };
+
+    expect(handler.getUpcomingWorkdays(3, 'America/New_York', from)).toEqual(['2026-10-23', '2026-10-26', '2026-10-27']);
+    expect(handler.getUpcomingWorkdays(3, 'America/New_York', from, weekendsOnly)).toEqual(['2026-10-24', '2026-10-25', '2026-10-31']);
+  });
+});
+
+describe('the week view', () => {
+  // Wednesday 2026-10-21 in New York
+  const from = new Date('2026-10-21T14:00:00Z');
+
+  test('weeks run Monday to Sunday in the user\'s zone', () => {
+    expect(handler.getWeekDays('America/New_York', 0, from)).toEqual([
+      '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'
+    ]);
+    expect(handler.getWeekDays('America/New_York', 1, from)[0]).toBe('2026-10-26');
+    // Already Thursday in Tokyo, still the same week
+    expect(handler.getWeekDays('Asia/Tokyo', -1, from)[0]).toBe('2026-10-12');
+  });
+
+  test('periods are placed on the day as minutes from midnight', () => {
+    const meeting = { start: '2026-10-22T13:30:00Z', end: '2026-10-22T14:15:00Z' };
+
+    expect(handler.minutesOfDay(meeting, '2026-10-22', 'America/New_York')).toEqual({ startMinute: 570, endMinute: 615 });
+  });
+
+  test('periods running over midnight are clipped to the day', () => {
+    // 10 PM to 2 AM in New York
+    const overnight = { start: '2026-10-23T02:00:00Z', end: '2026-10-23T06:00:00Z' };
+
+    expect(handler.minutesOfDay(overnight, '2026-10-22', 'America/New_York')).toEqual({ startMinute: 1320, endMinute: 1440 });
+    expect(handler.minutesOfDay(overnight, '2026-10-23', 'America/New_York')).toEqual({ startMinute: 0, endMinute: 120 });
+    expect(handler.minutesOfDay(overnight, '2026-10-24', 'America/New_York')).toEqual({ startMinute: 0, endMinute: 0 });
+  });
+});
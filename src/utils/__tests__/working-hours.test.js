@@ -0,0 +1,122 @@
+import {
+  DEFAULT_WORKING_HOURS,
+  candidateTimes,
+  extendWorkingHours,
+  isWorkingDay,
+  normalizeWorkingHours,
+  periodsOn,
+  workingRanges
+} from '../working-hours.js';
+
+// 2026-10-20 is a Tuesday, 2026-10-24 a Saturday
+describe('workingRanges', () => {
+  test('cuts lunch out of a default weekday', () => {
+    expect(workingRanges(DEFAULT_WORKING_HOURS, '2026-10-20')).toEqual([
+      { start: '09:00', end: '12:00' },
+      { start: '13:00', end: '17:00' }
+    ]);
+  });
+
+  test('weekends are days off', () => {
+    expect(workingRanges(DEFAULT_WORKING_HOURS, '2026-10-24')).toEqual([]);
+    expect(isWorkingDay(DEFAULT_WORKING_HOURS, '2026-10-24')).toBe(false);
+  });
+
+  test('blocked periods can be limited to some days', () => {
+    const hours = {
+      ...DEFAULT_WORKING_HOURS,
+      blocked: [{ label: 'Standup', start: '09:00', end: '09:30', days: ['monday'] }]
+    };
+
+    expect(workingRanges(hours, '2026-10-19')[0]).toEqual({ start: '09:30', end: '17:00' });
+    expect(workingRanges(hours, '2026-10-20')[0]).toEqual({ start: '09:00', end: '17:00' });
+  });
+});
+
+describe('normalizeWorkingHours', () => {
+  test('keeps saved days and fills in the rest', () => {
+    const hours = normalizeWorkingHours({ days: { saturday: [{ start: '10:00', end: '12:00' }] } });
+
+    expect(hours.days.saturday).toEqual([{ start: '10:00', end: '12:00' }]);
+    expect(hours.days.monday).toEqual(DEFAULT_WORKING_HOURS.days.monday);
+    expect(hours.slotMinutes).toBe(30);
+  });
+});
+
+describe('candidateTimes', () => {
+  test('steps through each range where the meeting fits', () => {
+    const times = candidateTimes(DEFAULT_WORKING_HOURS, '2026-10-20', 60);
+
+    expect(times[0]).toBe('09:00');
+    expect(times).toContain('11:00');
+    expect(times).not.toContain('11:30');
+    expect(times).not.toContain('12:00');
+    expect(times[times.length - 1]).toBe('16:00');
+  });
+});
+
+describe('extendWorkingHours', () => {
+  test('adds an evening to working days only', () => {
+    const hours = extendWorkingHours(DEFAULT_WORKING_HOURS, { start: '17:00', end: '21:00' });
+
+    expect(hours.days.tuesday).toEqual([{ start: '09:00', end: '21:00' }]);
+    expect(hours.days.saturday).toEqual([]);
+    expect(workingRanges(hours, '2026-10-20')).toEqual([
+      { start: '09:00', end: '12:00' },
+      { start: '13:00', end: '21:00' }
+    ]);
+  });
+
+  test('keeps a separate range when they don\'t touch', () => {
+    const hours = extendWorkingHours(DEFAULT_WORKING_HOURS, { start: '18:00', end: '20:00' });
+
+    expect(hours.days.monday).toEqual([
+      { start: '09:00', end: '17:00' },
+      { start: '18:00', end: '20:00' }
+    ]);
+  });
+});
+
+describe('hours per weekday', () => {
+  const hours = {
+    ...DEFAULT_WORKING_HOURS,
+    days: {
+      ...DEFAULT_WORKING_HOURS.days,
+      // A split Tuesday, saved out of order, and a Friday with a broken range
+      tuesday: [{ start: '14:00', end: '18:00' }, { start: '08:00', end: '10:00' }],
+      friday: [{ start: '13:00', end: '09:00' }]
+    },
+    blocked: [],
+    slotMinutes: 15
+  };
+
+  test('each day has its own ranges, in order', () => {
+    expect(workingRanges(hours, '2026-10-20')).toEqual([
+      { start: '08:00', end: '10:00' },
+      { start: '14:00', end: '18:00' }
+    ]);
+    expect(workingRanges(hours, '2026-10-19')).toEqual([{ start: '09:00', end: '17:00' }]);
+  });
+
+  test('a range that ends before it starts is ignored', () => {
+    expect(isWorkingDay(hours, '2026-10-23')).toBe(false);
+  });
+
+  test('start times follow the slot length and never run past a range', () => {
+    const times = candidateTimes({ ...hours, days: { ...hours.days, monday: [{ start: '09:10', end: '10:00' }] } }, '2026-10-19', 30);
+
+    expect(times).toEqual(['09:15', '09:30']);
+  });
+});
+
+describe('periodsOn', () => {
+  test('keeps periods for every day and for that weekday', () => {
+    const periods = [
+      { label: 'Lunch', start: '12:00', end: '13:00' },
+      { label: 'Standup', start: '09:00', end: '09:15', days: ['monday', 'wednesday'] },
+      { label: 'Review', start: '16:00', end: '17:00', days: ['friday'] }
+    ];
+
+    expect(periodsOn(periods, '2026-10-21').map(period => period.label)).toEqual(['Lunch', 'Standup']);
+  });
+});
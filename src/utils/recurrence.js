@@ -0,0 +1,324 @@
+// Recurrence Rules
+// A recurrence is { frequency, interval, byDay, count, until }:
+//   frequency 'DAILY' | 'WEEKLY' | 'MONTHLY', interval every N of those,
+//   byDay weekday codes ('MO'...'SU') for weekly series,
+//   count total occurrences or until 'YYYY-MM-DD' (neither means no end).
+// These helpers describe it and convert it for Google Calendar (RRULE),
+// Zoom and Microsoft Graph. Dates are plain 'YYYY-MM-DD' calendar days.
+
+export const WEEKDAY_CODES = {
+  sunday: 'SU',
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA'
+};
+
+const CODE_ORDER = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const CODE_NAMES = Object.fromEntries(
+  Object.entries(WEEKDAY_CODES).map(([name, code]) => [code, name[0].toUpperCase() + name.slice(1)])
+);
+
+// Safety net for series without an end
+const MAX_OCCURRENCES = 500;
+
+function toDay(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function fromDay(day) {
+  return day.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const day = toDay(date);
+  day.setUTCDate(day.getUTCDate() + days);
+  return fromDay(day);
+}
+
+// Same day of the month `months` later; with `clamp`, the 31st becomes the
+// last day of a shorter month, otherwise such a month gives null
+function addMonths(date, months, { clamp = true } = {}) {
+  const day = toDay(date);
+  const dayOfMonth = day.getUTCDate();
+  day.setUTCDate(1);
+  day.setUTCMonth(day.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+  if (dayOfMonth > lastDay && !clamp) {
+    return null;
+  }
+  day.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return fromDay(day);
+}
+
+// Minutes `timeZone` is ahead of UTC at `instant` (ms)
+function zoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (wallClock - instant) / 60000;
+}
+
+// The last second of `date` on the clock in `timeZone`, as a UTC instant.
+// An end of day in UTC would cut off an evening occurrence west of UTC.
+function endOfDay(date, timeZone) {
+  const wallClock = Date.parse(`${date}T23:59:59Z`);
+  if (!timeZone) {
+    return new Date(wallClock);
+  }
+  // Twice, in case the offset changes between the guess and the answer
+  const guess = wallClock - zoneOffset(wallClock, timeZone) * 60000;
+  return new Date(wallClock - zoneOffset(guess, timeZone) * 60000);
+}
+
+function weekdayCode(date) {
+  return CODE_ORDER[toDay(date).getUTCDay()];
+}
+
+function joinNames(names) {
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+}
+
+// Weekly series with no weekday given repeat on the start's weekday
+function weekdaysFor(recurrence, startDate) {
+  return recurrence.byDay?.length ? recurrence.byDay : [weekdayCode(startDate)];
+}
+
+// Occurrence dates from startDate on, up to `limit` of them
+export function listOccurrences(recurrence, startDate, limit = MAX_OCCURRENCES) {
+  const dates = [];
+  const max = Math.min(recurrence.count || Infinity, limit, MAX_OCCURRENCES);
+  const interval = recurrence.interval || 1;
+  const within = (date) => !recurrence.until || date <= recurrence.until;
+
+  if (recurrence.frequency === 'WEEKLY') {
+    const days = weekdaysFor(recurrence, startDate)
+      .map(code => CODE_ORDER.indexOf(code))
+      .sort((a, b) => a - b);
+    // Weeks start on Sunday, matching WKST=SU in toRRule
+    let weekStart = addDays(startDate, -toDay(startDate).getUTCDay());
+
+    while (dates.length < max) {
+      for (const offset of days) {
+        const date = addDays(weekStart, offset);
+        if (date < startDate) continue;
+        if (!within(date) || dates.length >= max) return dates;
+        dates.push(date);
+      }
+      weekStart = addDays(weekStart, 7 * interval);
+    }
+    return dates;
+  }
+
+  if (recurrence.frequency === 'MONTHLY') {
+    // Like Google's RRULE expansion, months without that day (the 31st in
+    // April) are skipped rather than moved to their last day
+    for (let step = 0; dates.length < max && step < MAX_OCCURRENCES * 2; step++) {
+      const date = addMonths(startDate, interval * step, { clamp: false });
+      if (!date) continue;
+      if (!within(date)) break;
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  let date = startDate;
+  while (dates.length < max && within(date)) {
+    dates.push(date);
+    date = addDays(date, interval);
+  }
+  return dates;
+}
+
+// First date on or after `date` that the series lands on
+export function alignToRecurrence(recurrence, date) {
+  if (recurrence.frequency !== 'WEEKLY' || !recurrence.byDay?.length) {
+    return date;
+  }
+
+  for (let offset = 0; offset < 7; offset++) {
+    const candidate = addDays(date, offset);
+    if (recurrence.byDay.includes(weekdayCode(candidate))) {
+      return candidate;
+    }
+  }
+  return date;
+}
+
+// The same series starting on another date. A weekly series on one
+// weekday follows the start to its new weekday.
+export function moveRecurrence(recurrence, toDate) {
+  if (recurrence.frequency !== 'WEEKLY' || (recurrence.byDay?.length || 0) > 1) {
+    return recurrence;
+  }
+
+  return { ...recurrence, byDay: [weekdayCode(toDate)] };
+}
+
+// Occurrences in "for six weeks" counted from the first one, at least one
+export function countWithinSpan(recurrence, startDate, { amount, unit }) {
+  const end = unit === 'month'
+    ? addMonths(startDate, amount)
+    : addDays(startDate, amount * (unit === 'week' ? 7 : 1));
+  const until = addDays(end, -1);
+  return listOccurrences({ ...recurrence, count: null, until }, startDate).length || 1;
+}
+
+// Last occurrence date, or null when the series has no end
+export function seriesEndDate(recurrence, startDate) {
+  if (!recurrence.count && !recurrence.until) {
+    return null;
+  }
+
+  const dates = listOccurrences(recurrence, startDate);
+  return dates[dates.length - 1] || startDate;
+}
+
+// "Every other Tuesday, 3 times"
+export function describeRecurrence(recurrence, startDate = null) {
+  const interval = recurrence.interval || 1;
+  let text;
+
+  switch (recurrence.frequency) {
+    case 'DAILY':
+      text = interval === 1 ? 'Every day' : `Every ${interval} days`;
+      break;
+
+    case 'WEEKLY': {
+      const days = recurrence.byDay?.length
+        ? recurrence.byDay
+        : (startDate ? [weekdayCode(startDate)] : []);
+      const names = days.map(code => CODE_NAMES[code]);
+      const isWorkweek = ['MO', 'TU', 'WE', 'TH', 'FR'].every(code => days.includes(code)) && days.length === 5;
+
+      if (names.length === 0) {
+        text = interval === 1 ? 'Every week' : interval === 2 ? 'Every other week' : `Every ${interval} weeks`;
+      } else if (interval === 1) {
+        text = isWorkweek ? 'Every weekday' : `Every ${joinNames(names)}`;
+      } else if (interval === 2) {
+        text = `Every other ${joinNames(names)}`;
+      } else {
+        text = `Every ${interval} weeks on ${joinNames(names)}`;
+      }
+      break;
+    }
+
+    case 'MONTHLY':
+      text = interval === 1 ? 'Every month' : `Every ${interval} months`;
+      if (startDate) {
+        text += ` on the ${ordinal(toDay(startDate).getUTCDate())}`;
+      }
+      break;
+
+    default:
+      return '';
+  }
+
+  if (recurrence.count) {
+    text += `, ${recurrence.count} times`;
+  } else if (recurrence.until) {
+    text += `, until ${toDay(recurrence.until).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC'
+    })}`;
+  }
+
+  return text;
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13
+    ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+// Google Calendar event.recurrence entry. `timeZone` is the event's, so an
+// until date ends at midnight there.
+export function toRRule(recurrence, timeZone = null) {
+  const parts = [`FREQ=${recurrence.frequency}`];
+
+  if ((recurrence.interval || 1) > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.frequency === 'WEEKLY' && recurrence.byDay?.length) {
+    parts.push(`BYDAY=${recurrence.byDay.join(',')}`, 'WKST=SU');
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  } else if (recurrence.until) {
+    // UNTIL is inclusive and in UTC
+    parts.push(`UNTIL=${endOfDay(recurrence.until, timeZone).toISOString().replace(/[-:]|\.\d+/g, '')}`);
+  }
+
+  return `RRULE:${parts.join(';')}`;
+}
+
+// Zoom "recurrence" object for a recurring meeting with a fixed time (type 8)
+export function toZoomRecurrence(recurrence, startDate, timeZone = null) {
+  const zoom = {
+    type: { DAILY: 1, WEEKLY: 2, MONTHLY: 3 }[recurrence.frequency],
+    repeat_interval: recurrence.interval || 1
+  };
+
+  if (recurrence.frequency === 'WEEKLY') {
+    // Zoom numbers weekdays 1 (Sunday) to 7 (Saturday)
+    zoom.weekly_days = weekdaysFor(recurrence, startDate)
+      .map(code => CODE_ORDER.indexOf(code) + 1)
+      .join(',');
+  }
+  if (recurrence.frequency === 'MONTHLY') {
+    zoom.monthly_day = toDay(startDate).getUTCDate();
+  }
+  if (recurrence.count) {
+    zoom.end_times = recurrence.count;
+  } else if (recurrence.until) {
+    zoom.end_date_time = endOfDay(recurrence.until, timeZone).toISOString().replace(/\.\d+/, '');
+  }
+
+  return zoom;
+}
+
+// Microsoft Graph patternedRecurrence
+export function toGraphRecurrence(recurrence, startDate, timeZone) {
+  const names = Object.fromEntries(Object.entries(WEEKDAY_CODES).map(([name, code]) => [code, name]));
+  const pattern = {
+    type: { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'absoluteMonthly' }[recurrence.frequency],
+    interval: recurrence.interval || 1
+  };
+
+  if (recurrence.frequency === 'WEEKLY') {
+    pattern.daysOfWeek = weekdaysFor(recurrence, startDate).map(code => names[code]);
+    pattern.firstDayOfWeek = 'sunday';
+  }
+  if (recurrence.frequency === 'MONTHLY') {
+    pattern.dayOfMonth = toDay(startDate).getUTCDate();
+  }
+
+  const range = { startDate, recurrenceTimeZone: timeZone };
+  if (recurrence.count) {
+    Object.assign(range, { type: 'numbered', numberOfOccurrences: recurrence.count });
+  } else if (recurrence.until) {
+    Object.assign(range, { type: 'endDate', endDate: recurrence.until });
+  } else {
+    range.type = 'noEnd';
+  }
+
+  return { pattern, range };
+}
@@ -0,0 +1,124 @@
+// Slot Finder
+// Decides which candidate start times are actually worth offering, given
+// the busy periods around them and the user's scheduling rules (stored in
+// settings.schedulingRules):
+//   bufferBeforeMinutes / bufferAfterMinutes  free time a slot needs before
+//                and after it, so it never butts up against another event
+//   maxMeetingsPerDay / maxMeetingMinutesPerDay  daily caps (null: no cap)
+//   focusBlocks  protected { label, start, end, days } wall-clock periods
+//   minimumFragmentMinutes  don't leave a gap shorter than this next to a slot
+// Every rejected candidate says why, for debugging. Dependency-free; the
+// caller turns wall-clock periods into instants.
+
+export const DEFAULT_SCHEDULING_RULES = {
+  bufferBeforeMinutes: 5,
+  bufferAfterMinutes: 5,
+  maxMeetingsPerDay: null,
+  maxMeetingMinutesPerDay: null,
+  focusBlocks: [],
+  minimumFragmentMinutes: 15
+};
+
+const MINUTE = 60000;
+
+export function normalizeSchedulingRules(rules = {}) {
+  return { ...DEFAULT_SCHEDULING_RULES, ...rules };
+}
+
+function overlaps(start, end, period) {
+  return start < period.end && end > period.start;
+}
+
+function toPeriod({ start, end, label }) {
+  return { start: new Date(start).getTime(), end: new Date(end).getTime(), label };
+}
+
+// The same meeting often shows up on several calendars (an invite on both
+// a work and a personal calendar); keep one copy of identical periods
+export function uniquePeriods(periods) {
+  const seen = new Set();
+  return periods.filter(period => {
+    const key = `${new Date(period.start).getTime()}|${new Date(period.end).getTime()}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// `starts` are candidate start instants on one day. `busy` is every busy
+// period that counts against a slot (the user's and colleagues'), `ownBusy`
+// the user's own meetings that day for the caps, `focus` the day's focus
+// blocks and `windows` its working ranges, all as { start, end } instants.
+// Returns { slots: [{ start, end }], rejected: [{ start, end, reason, detail }] }.
+export function evaluateSlots(starts, duration, { busy = [], ownBusy = busy, focus = [], windows = [], rules = {} } = {}) {
+  const config = normalizeSchedulingRules(rules);
+  const before = config.bufferBeforeMinutes * MINUTE;
+  const after = config.bufferAfterMinutes * MINUTE;
+  const fragment = config.minimumFragmentMinutes * MINUTE;
+
+  const busyPeriods = busy.map(toPeriod).sort((a, b) => a.start - b.start);
+  const focusPeriods = focus.map(toPeriod);
+  const windowPeriods = windows.map(toPeriod);
+
+  const own = ownBusy.map(toPeriod);
+  const meetingCount = own.length;
+  const meetingMinutes = own.reduce((total, period) => total + (period.end - period.start) / MINUTE, 0);
+
+  const slots = [];
+  const rejected = [];
+
+  for (const startTime of starts) {
+    const start = new Date(startTime).getTime();
+    const end = start + duration * MINUTE;
+    const reject = (reason, detail) => rejected.push({ start: new Date(start), end: new Date(end), reason, detail });
+
+    if (config.maxMeetingsPerDay !== null && meetingCount + 1 > config.maxMeetingsPerDay) {
+      reject('daily-meeting-cap', `${meetingCount} meetings already that day (cap ${config.maxMeetingsPerDay})`);
+      continue;
+    }
+    if (config.maxMeetingMinutesPerDay !== null && meetingMinutes + duration > config.maxMeetingMinutesPerDay) {
+      reject('daily-minutes-cap', `${meetingMinutes} meeting minutes already that day (cap ${config.maxMeetingMinutesPerDay})`);
+      continue;
+    }
+
+    // Any overlap at all, including a busy block wholly inside the slot
+    const clash = busyPeriods.find(period => overlaps(start, end, period));
+    if (clash) {
+      reject('busy', `Overlaps busy time ${new Date(clash.start).toISOString()}–${new Date(clash.end).toISOString()}`);
+      continue;
+    }
+
+    const tooClose = busyPeriods.find(period => overlaps(start - before, end + after, period));
+    if (tooClose) {
+      reject('buffer', `Too close to busy time ${new Date(tooClose.start).toISOString()}–${new Date(tooClose.end).toISOString()}`);
+      continue;
+    }
+
+    const focusBlock = focusPeriods.find(period => overlaps(start, end, period));
+    if (focusBlock) {
+      reject('focus', `Inside focus time${focusBlock.label ? ` (${focusBlock.label})` : ''}`);
+      continue;
+    }
+
+    // The free time left either side, up to the nearest event (plus its
+    // buffer) or the edge of the working range
+    const window = windowPeriods.find(period => start >= period.start && end <= period.end);
+    if (window && fragment > 0) {
+      const previous = Math.max(window.start, ...busyPeriods.filter(period => period.end <= start).map(period => period.end + before));
+      const next = Math.min(window.end, ...busyPeriods.filter(period => period.start >= end).map(period => period.start - after));
+      const gapBefore = start - previous;
+      const gapAfter = next - end;
+
+      if ((gapBefore > 0 && gapBefore < fragment) || (gapAfter > 0 && gapAfter < fragment)) {
+        reject('fragment', `Would leave a gap of ${Math.min(...[gapBefore, gapAfter].filter(gap => gap > 0)) / MINUTE} minutes`);
+        continue;
+      }
+    }
+
+    slots.push({ start: new Date(start), end: new Date(end) });
+  }
+
+  return { slots, rejected };
+}
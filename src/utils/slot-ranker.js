@@ -0,0 +1,225 @@
+// Slot Ranker
+// Orders free slots from best to worst for everyone involved. Each slot
+// gets a 0–100 score made of weighted factors, every one with the reason
+// behind it so a pick can be explained:
+//   businessHours   how the time falls in each participant's working day
+//   preferredTime   closeness to the user's preferred hours
+//                   (settings.timePreferences)
+//   proximity       sooner is better, more so when the chat sounds urgent
+//   fragmentation   fits snugly against other meetings rather than
+//                   leaving awkward gaps
+// Dependency-free (local times come from Intl) so the popup can use it.
+
+import { DEFAULT_WORKING_HOURS, workingRanges } from './working-hours.js';
+
+export const DEFAULT_TIME_PREFERENCES = {
+  preferredStart: '10:00',
+  preferredEnd: '16:00'
+};
+
+// Other people's hours aren't known; assume an ordinary working day
+const ASSUMED_WORKING_HOURS = { ...DEFAULT_WORKING_HOURS, blocked: [] };
+
+const WEIGHTS = {
+  businessHours: 0.35,
+  preferredTime: 0.25,
+  proximity: 0.2,
+  fragmentation: 0.2
+};
+
+// How much sooner matters, by AIProcessor.analyzeChatForSchedulingContext's urgencyLevel
+const URGENCY_WEIGHTS = { low: 0.05, normal: 0.2, high: 0.4 };
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+// A gap this small next to a slot is just the buffer, not wasted time
+const SNUG_MINUTES = 15;
+
+export function normalizeTimePreferences(preferences = {}) {
+  return { ...DEFAULT_TIME_PREFERENCES, ...preferences };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+// Wall-clock date, minute of the day and display time of an instant in `timeZone`
+function localTime(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+    text: new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' }).format(instant)
+  };
+}
+
+// Minutes from [start, end) to the nearest range, 0 when inside one
+function minutesOutside(start, end, ranges) {
+  if (ranges.some(range => start >= range.start && end <= range.end)) {
+    return 0;
+  }
+  const distances = ranges.map(range => Math.max(range.start - start, end - range.end, 0));
+  return distances.length ? Math.min(...distances) : Infinity;
+}
+
+function describeMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ');
+}
+
+function scoreBusinessHours(start, end, people) {
+  let worst = { score: 1, reason: 'Within working hours for everyone' };
+
+  for (const { timeZone, workingHours, label } of people) {
+    const local = localTime(start, timeZone);
+    const length = (end - start) / MINUTE;
+    const ranges = workingRanges(workingHours, local.date)
+      .map(range => ({ start: toMinutes(range.start), end: toMinutes(range.end) }));
+    const outside = minutesOutside(local.minute, local.minute + length, ranges);
+
+    let result = null;
+    if (outside > 0 && outside <= 60) {
+      result = { score: 0.5, reason: `${local.text} for ${label}, just outside working hours` };
+    } else if (outside > 60) {
+      result = { score: 0, reason: `${local.text} for ${label}, outside working hours` };
+    }
+
+    if (result && result.score < worst.score) {
+      worst = result;
+    }
+  }
+
+  return worst;
+}
+
+function scorePreferredTime(start, end, timeZone, preferences) {
+  const local = localTime(start, timeZone);
+  const window = { start: toMinutes(preferences.preferredStart), end: toMinutes(preferences.preferredEnd) };
+  const outside = minutesOutside(local.minute, local.minute + (end - start) / MINUTE, [window]);
+  const range = `${preferences.preferredStart}–${preferences.preferredEnd}`;
+
+  if (outside === 0) {
+    return { score: 1, reason: `Within your preferred ${range}` };
+  }
+  // Fades out over three hours
+  return {
+    score: Math.max(0, 1 - outside / 180),
+    reason: `${describeMinutes(outside)} outside your preferred ${range}`
+  };
+}
+
+function scoreProximity(start, now, horizonDays, urgency, timeZone) {
+  const days = Math.max(0, (start - now) / DAY);
+  const dayDifference = Math.round(
+    (Date.parse(localTime(start, timeZone).date) - Date.parse(localTime(now, timeZone).date)) / DAY
+  );
+  const when = dayDifference === 0 ? 'Today' : dayDifference === 1 ? 'Tomorrow' : `In ${dayDifference} days`;
+  const note = urgency === 'high' ? ' (urgent, so sooner is better)' : urgency === 'low' ? ' (no rush)' : '';
+
+  return { score: Math.max(0, 1 - days / horizonDays), reason: `${when}${note}` };
+}
+
+// Free time either side, up to the nearest meeting or the edge of the
+// working range: right up against either (allowing for a buffer) is best,
+// a large untouched stretch is fine, a short awkward gap is worst
+function scoreFragmentation(start, end, busy, windows) {
+  const window = windows.find(period => start >= period.start && end <= period.end);
+  if (!window) {
+    return { score: 0.5, reason: 'Outside your working ranges' };
+  }
+
+  const previous = Math.max(window.start, ...busy.filter(period => period.end <= start).map(period => period.end));
+  const next = Math.min(window.end, ...busy.filter(period => period.start >= end).map(period => period.start));
+  const gaps = [(start - previous) / MINUTE, (next - end) / MINUTE];
+  const gapScore = gap => gap <= SNUG_MINUTES ? 1 : gap >= 120 ? 0.8 : 0.3 + 0.5 * (gap / 120);
+  const score = (gapScore(gaps[0]) + gapScore(gaps[1])) / 2;
+
+  const nextToMeeting = busy.some(period =>
+    (period.end <= start && start - period.end <= SNUG_MINUTES * MINUTE) ||
+    (period.start >= end && period.start - end <= SNUG_MINUTES * MINUTE)
+  );
+  const awkward = gaps.filter(gap => gap > SNUG_MINUTES && gap < 120);
+
+  let reason = 'Keeps your free time in one piece';
+  if (nextToMeeting) {
+    reason = 'Right next to another meeting';
+  } else if (awkward.length) {
+    reason = `Leaves a ${Math.round(Math.min(...awkward))} minute gap`;
+  }
+
+  return { score, reason };
+}
+
+// `slots` are free { start, end } periods. `participantTimezones` are the
+// other people's zones (duplicates and the user's own zone are fine), `busy` the
+// user's own meetings and `windows` their working ranges over the same days,
+// as { start, end } instants. Returns the slots best first, each with
+// `score` (0–100) and `factors` [{ name, score, weight, reason }].
+export function rankSlots(slots, {
+  now = new Date(),
+  timeZone,
+  workingHours = DEFAULT_WORKING_HOURS,
+  participantTimezones = [],
+  preferences = DEFAULT_TIME_PREFERENCES,
+  urgency = 'normal',
+  horizonDays = 7,
+  busy = [],
+  windows = []
+} = {}) {
+  const config = normalizeTimePreferences(preferences);
+  const weights = { ...WEIGHTS, proximity: URGENCY_WEIGHTS[urgency] ?? WEIGHTS.proximity };
+  const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+  const people = [
+    { timeZone, workingHours, label: 'you' },
+    ...[...new Set(participantTimezones.filter(zone => zone && zone !== timeZone))]
+      .map(zone => ({ timeZone: zone, workingHours: ASSUMED_WORKING_HOURS, label: zone }))
+  ];
+  const busyPeriods = busy.map(period => ({ start: new Date(period.start).getTime(), end: new Date(period.end).getTime() }));
+  const windowPeriods = windows.map(period => ({ start: new Date(period.start).getTime(), end: new Date(period.end).getTime() }));
+  const nowTime = new Date(now).getTime();
+
+  return slots
+    .map(slot => {
+      const start = new Date(slot.start).getTime();
+      const end = new Date(slot.end).getTime();
+
+      const factors = Object.entries({
+        businessHours: scoreBusinessHours(start, end, people),
+        preferredTime: scorePreferredTime(start, end, timeZone, config),
+        proximity: scoreProximity(start, nowTime, horizonDays, urgency, timeZone),
+        fragmentation: scoreFragmentation(start, end, busyPeriods, windowPeriods)
+      }).map(([name, { score, reason }]) => ({
+        name,
+        score: Math.round(score * 100) / 100,
+        weight: weights[name],
+        reason
+      }));
+
+      return {
+        ...slot,
+        score: Math.round(factors.reduce((total, factor) => total + factor.score * factor.weight, 0) / totalWeight * 100),
+        factors
+      };
+    })
+    .sort((a, b) => b.score - a.score || new Date(a.start) - new Date(b.start));
+}
+
+// One line per factor, for tooltips and logs
+export function explainRanking(slot) {
+  return slot.factors.map(factor => `${factor.reason} (${Math.round(factor.score * 100)})`).join('\n');
+}
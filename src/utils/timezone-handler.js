@@ -2,6 +2,7 @@
 // Provides comprehensive timezone conversion and parsing
 
 import * as moment from 'moment-timezone';
+import { DEFAULT_WORKING_HOURS, candidateTimes, isWorkingDay, normalizeWorkingHours } from './working-hours.js';
 
 export class TimezoneHandler {
   constructor() {
@@ -26,8 +27,8 @@ export class TimezoneHandler {
       // Location-based
       { pattern: /\bNew York\b/i, timezone: 'America/New_York' },
       { pattern: /\bChicago\b/i, timezone: 'America/Chicago' },
-      { pattern: /\bLos Angeles|LA\b/i, timezone: 'America/Los_Angeles' },
-      { pattern: /\bSan Francisco|SF\b/i, timezone: 'America/Los_Angeles' },
+      { pattern: /\b(Los Angeles|LA)\b/i, timezone: 'America/Los_Angeles' },
+      { pattern: /\b(San Francisco|SF)\b/i, timezone: 'America/Los_Angeles' },
       { pattern: /\bSeattle\b/i, timezone: 'America/Los_Angeles' },
       { pattern: /\bDenver\b/i, timezone: 'America/Denver' },
       { pattern: /\bLondon\b/i, timezone: 'Europe/London' },
@@ -49,12 +50,112 @@ export class TimezoneHandler {
     return null;
   }
 
+  // Best guess at someone's timezone from their LinkedIn location and the
+  // messages they sent, newest last. Each clue is weighted; clues for the
+  // same zone add up and clues for another zone count against it.
+  // Returns { timezone, confidence (0-1), reason } or null.
+  inferTimezone({ location = null, messages = [] } = {}) {
+    const clues = [];
+
+    const fromLocation = location ? this.parseTimezoneFromText(location) : null;
+    if (fromLocation) {
+      clues.push({ timezone: fromLocation, weight: 0.7, reason: `LinkedIn location "${location}"` });
+    }
+
+    // Only their latest mention counts; "your time" is about us, not them
+    const mention = [...messages].reverse().find(message =>
+      !/\byour time\b/i.test(message.content) && this.parseTimezoneFromText(message.content)
+    );
+    if (mention) {
+      const aboutThemselves = /\b(I'm|I am|I live|we're|we are|based|here) in\b|\bmy time\b/i.test(mention.content);
+      clues.push({
+        timezone: this.parseTimezoneFromText(mention.content),
+        weight: aboutThemselves ? 0.8 : 0.5,
+        reason: `their message "${mention.content.length > 60 ? `${mention.content.slice(0, 57)}...` : mention.content}"`
+      });
+    }
+
+    if (clues.length === 0) {
+      return null;
+    }
+
+    const combined = (list) => 1 - list.reduce((rest, clue) => rest * (1 - clue.weight), 1);
+    const zones = [...new Set(clues.map(clue => clue.timezone))].map(timezone => {
+      const agreeing = clues.filter(clue => clue.timezone === timezone);
+      const conflicting = clues.filter(clue => clue.timezone !== timezone);
+      return {
+        timezone,
+        confidence: combined(agreeing) * (1 - combined(conflicting) / 2),
+        reason: agreeing.map(clue => clue.reason).join(' and ')
+      };
+    }).sort((a, b) => b.confidence - a.confidence);
+
+    return { ...zones[0], confidence: Math.round(zones[0].confidence * 100) / 100 };
+  }
+
   // Convert time between timezones
   convertTime(dateTime, fromTimezone, toTimezone) {
     const momentObj = moment.tz(dateTime, fromTimezone);
     return momentObj.tz(toTimezone);
   }
 
+  // Resolve a wall-clock date and time in an IANA zone to an absolute
+  // instant. A time skipped by a DST change ('gap') moves forward by the
+  // gap; one that happens twice ('overlap') uses the first. `dst` says
+  // which so callers can warn.
+  resolveLocalTime(date, time, timezone = this.userTimezone) {
+    if (!moment.tz.zone(timezone)) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    const wallClock = `${date}T${time.slice(0, 5)}`;
+    let resolved = moment.tz(wallClock, 'YYYY-MM-DDTHH:mm', true, timezone);
+
+    if (!resolved.isValid()) {
+      throw new Error(`Invalid date or time: ${date} ${time}`);
+    }
+
+    let dst = null;
+    const earlier = resolved.clone().subtract(1, 'hour');
+    const later = resolved.clone().add(1, 'hour');
+
+    if (resolved.format('YYYY-MM-DDTHH:mm') !== wallClock) {
+      dst = 'gap';
+    } else if (earlier.format('YYYY-MM-DDTHH:mm') === wallClock) {
+      dst = 'overlap';
+      resolved = earlier;
+    } else if (later.format('YYYY-MM-DDTHH:mm') === wallClock) {
+      dst = 'overlap';
+    }
+
+    return {
+      instant: resolved.toISOString(),
+      dateTime: resolved.format(),
+      localDateTime: resolved.format('YYYY-MM-DDTHH:mm:ss'),
+      date: resolved.format('YYYY-MM-DD'),
+      time: resolved.format('HH:mm'),
+      timezone,
+      tzAbbr: resolved.format('z'),
+      dst,
+      requested: { date, time: time.slice(0, 5) }
+    };
+  }
+
+  // Plain-language note for a DST adjustment made by resolveLocalTime
+  describeDstAdjustment(resolution) {
+    const requested = moment.tz(`${resolution.requested.date}T${resolution.requested.time}`, 'YYYY-MM-DDTHH:mm', 'UTC');
+    const when = `${requested.format('h:mm A')} on ${requested.format('MMM D')}`;
+
+    switch (resolution.dst) {
+      case 'gap':
+        return `${when} doesn't exist in ${resolution.timezone} (clocks go forward), so the meeting is at ${moment.tz(resolution.instant, resolution.timezone).format('h:mm A z')} instead.`;
+      case 'overlap':
+        return `${when} happens twice in ${resolution.timezone} (clocks go back); the first one (${resolution.tzAbbr}) is used.`;
+      default:
+        return null;
+    }
+  }
+
   // Format time with timezone
   formatWithTimezone(dateTime, timezone) {
     const m = moment.tz(dateTime, timezone);
@@ -126,14 +227,15 @@ export class TimezoneHandler {
     return null;
   }
 
-  // Detect if time reference is "my time" or "your time"
+  // Detect if time reference is "my time" or "your time" ("their time"
+  // and "his/her time" in a command to the assistant)
   detectTimeReference(text) {
     const lowerText = text.toLowerCase();
     
     if (/\bmy time\b/.test(lowerText)) {
       return 'sender';
     }
-    if (/\byour time\b/.test(lowerText)) {
+    if (/\b(your|their|his|her) time\b/.test(lowerText)) {
       return 'recipient';
     }
     
@@ -173,58 +275,6 @@ export class TimezoneHandler {
     return `${timezone} (${abbr} ${offset})`;
   }
 
-  // Suggest meeting times based on both timezones
-  suggestMeetingTimes(timezone1, timezone2, options = {}) {
-    const {
-      date = new Date(),
-      duration = 30,
-      businessHoursStart = 9,
-      businessHoursEnd = 17
-    } = options;
-
-    const suggestions = [];
-    const startDate = moment(date).startOf('day');
-
-    // Try each hour in timezone1's business hours
-    for (let hour = businessHoursStart; hour < businessHoursEnd; hour++) {
-      const time1 = startDate.clone().tz(timezone1).hour(hour).minute(0);
-      const time2 = time1.clone().tz(timezone2);
-
-      // Check if it's also in business hours for timezone2
-      const hour2 = time2.hour();
-      if (hour2 >= businessHoursStart && hour2 < businessHoursEnd) {
-        suggestions.push({
-          timezone1Time: time1.format('h:mm A'),
-          timezone2Time: time2.format('h:mm A'),
-          dateTime: time1.toISOString(),
-          score: this.calculateTimeScore(hour, hour2)
-        });
-      }
-    }
-
-    // Sort by score (prefer mid-day times)
-    suggestions.sort((a, b) => b.score - a.score);
-
-    return suggestions.slice(0, 5); // Return top 5
-  }
-
-  calculateTimeScore(hour1, hour2) {
-    // Prefer times between 10 AM - 4 PM for both parties
-    const idealStart = 10;
-    const idealEnd = 16;
-    
-    const score1 = hour1 >= idealStart && hour1 <= idealEnd ? 1 : 0.5;
-    const score2 = hour2 >= idealStart && hour2 <= idealEnd ? 1 : 0.5;
-    
-    // Avoid early morning and late afternoon
-    const earlyPenalty1 = hour1 < 9 ? -0.5 : 0;
-    const earlyPenalty2 = hour2 < 9 ? -0.5 : 0;
-    const latePenalty1 = hour1 > 17 ? -0.5 : 0;
-    const latePenalty2 = hour2 > 17 ? -0.5 : 0;
-    
-    return score1 + score2 + earlyPenalty1 + earlyPenalty2 + latePenalty1 + latePenalty2;
-  }
-
   // Format time range in both timezones
   formatTimeRange(startTime, duration, timezone1, timezone2) {
     const start1 = moment.tz(startTime, timezone1);
@@ -251,6 +301,86 @@ export class TimezoneHandler {
     };
   }
 
+  // Start instants on `date` in `timezone` where a meeting of `duration`
+  // fits inside working hours, no sooner than the minimum notice from `now`
+  workingStarts(workingHours, date, duration, timezone, now = new Date()) {
+    const hours = normalizeWorkingHours(workingHours);
+    const earliest = moment(now).add(hours.minimumNoticeMinutes || 0, 'minutes');
+
+    return candidateTimes(hours, date, duration)
+      .map(time => moment.tz(`${date}T${time}`, 'YYYY-MM-DDTHH:mm', timezone))
+      .filter(start => !start.isBefore(earliest))
+      .map(start => start.toDate());
+  }
+
+  // Wall-clock { start, end } 'HH:mm' periods on `date` as instants in `timezone`
+  wallClockPeriods(periods, date, timezone) {
+    const at = (time) => moment.tz(`${date}T${time}`, 'YYYY-MM-DDTHH:mm', timezone).toDate();
+    return periods.map(period => ({ ...period, start: at(period.start), end: at(period.end) }));
+  }
+
+  // Next `count` days after today in the given timezone that have working
+  // hours, as YYYY-MM-DD. Looks at most four weeks ahead.
+  getUpcomingWorkdays(count, timezone, from = new Date(), workingHours = DEFAULT_WORKING_HOURS) {
+    const days = [];
+    const day = moment.tz(from, timezone).startOf('day');
+
+    for (let checked = 0; days.length < count && checked < 28; checked++) {
+      day.add(1, 'day');
+      if (isWorkingDay(workingHours, day.format('YYYY-MM-DD'))) {
+        days.push(day.format('YYYY-MM-DD'));
+      }
+    }
+
+    return days;
+  }
+
+  // Every date from `from` to `to` (YYYY-MM-DD, inclusive), at most `limit`
+  getDaysBetween(from, to, limit = 31) {
+    const days = [];
+    for (const day = moment.utc(from, 'YYYY-MM-DD'); !day.isAfter(moment.utc(to, 'YYYY-MM-DD')) && days.length < limit; day.add(1, 'day')) {
+      days.push(day.format('YYYY-MM-DD'));
+    }
+    return days;
+  }
+
+  // Monday to Sunday of the week `weekOffset` weeks from this one in
+  // `timezone`, as YYYY-MM-DD
+  getWeekDays(timezone, weekOffset = 0, from = new Date()) {
+    const monday = moment.tz(from, timezone).startOf('isoWeek').add(weekOffset, 'weeks');
+    return Array.from({ length: 7 }, (_, index) => monday.clone().add(index, 'days').format('YYYY-MM-DD'));
+  }
+
+  // Where a { start, end } instant period falls on `date` in `timezone`, as
+  // wall-clock minutes from midnight, clipped to that day
+  minutesOfDay(period, date, timezone) {
+    const dayStart = moment.tz(date, 'YYYY-MM-DD', timezone);
+    const dayEnd = dayStart.clone().add(1, 'day');
+    const minute = (instant) => {
+      const time = moment.tz(instant, timezone);
+      if (!time.isAfter(dayStart)) return 0;
+      if (!time.isBefore(dayEnd)) return 24 * 60;
+      return time.hours() * 60 + time.minutes();
+    };
+
+    return { startMinute: minute(period.start), endMinute: minute(period.end) };
+  }
+
+  // A meeting's start–end for the user and, when the other person's clock
+  // reads differently, for them too, flagging a different calendar day
+  formatMeetingTimes(startTime, duration, userTimezone, otherTimezone = null) {
+    const showOther = Boolean(otherTimezone) &&
+      moment.tz(startTime, otherTimezone).utcOffset() !== moment.tz(startTime, userTimezone).utcOffset();
+    const range = this.formatTimeRange(startTime, duration, userTimezone, otherTimezone || userTimezone);
+    const withText = (side) => ({ ...side, text: `${side.start} – ${side.end} ${side.tzAbbr}` });
+
+    return {
+      user: withText(range.timezone1),
+      other: showOther ? withText(range.timezone2) : null,
+      differentDay: showOther && !this.isSameDay(startTime, userTimezone, otherTimezone)
+    };
+  }
+
   // Check if same calendar day in different timezones
   isSameDay(dateTime, timezone1, timezone2) {
     const m1 = moment.tz(dateTime, timezone1);
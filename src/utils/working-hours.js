@@ -0,0 +1,140 @@
+// Working Hours
+// When the user can meet, stored in settings.workingHours:
+//   days                  weekday name -> [{ start: 'HH:mm', end: 'HH:mm' }]
+//                         (an empty list is a day off)
+//   blocked               periods never offered, like lunch:
+//                         { label, start, end, days } (no days means every day)
+//   slotMinutes           step between candidate start times
+//   minimumNoticeMinutes  how soon from now a meeting may start
+// All times are wall-clock in the user's configured timezone, never the
+// service worker's. Dependency-free so the popup can use it.
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const WORKDAY = [{ start: '09:00', end: '17:00' }];
+
+export const DEFAULT_WORKING_HOURS = {
+  days: {
+    sunday: [],
+    monday: WORKDAY,
+    tuesday: WORKDAY,
+    wednesday: WORKDAY,
+    thursday: WORKDAY,
+    friday: WORKDAY,
+    saturday: []
+  },
+  blocked: [
+    { label: 'Lunch', start: '12:00', end: '13:00' }
+  ],
+  slotMinutes: 30,
+  minimumNoticeMinutes: 120
+};
+
+// Settings saved before a field existed fall back to its default
+export function normalizeWorkingHours(workingHours = {}) {
+  return {
+    ...DEFAULT_WORKING_HOURS,
+    ...workingHours,
+    days: { ...DEFAULT_WORKING_HOURS.days, ...workingHours?.days }
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Ranges as [start, end] minutes of the day, minus one blocked period
+function cutOut(ranges, [blockStart, blockEnd]) {
+  return ranges.flatMap(([start, end]) => {
+    if (blockEnd <= start || blockStart >= end) {
+      return [[start, end]];
+    }
+    return [[start, blockStart], [blockEnd, end]].filter(([from, to]) => to > from);
+  });
+}
+
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Bookable wall-clock ranges on `date` ('YYYY-MM-DD') as [{ start, end }]
+// 'HH:mm' strings, with blocked periods cut out
+export function workingRanges(workingHours, date) {
+  const hours = normalizeWorkingHours(workingHours);
+  const weekday = weekdayOf(date);
+
+  let ranges = (hours.days[weekday] || [])
+    .map(range => [toMinutes(range.start), toMinutes(range.end)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  for (const block of periodsOn(hours.blocked || [], date)) {
+    ranges = cutOut(ranges, [toMinutes(block.start), toMinutes(block.end)]);
+  }
+
+  return ranges.map(([start, end]) => ({ start: toTime(start), end: toTime(end) }));
+}
+
+// The { start, end, days } periods (blocked time, focus blocks) that apply
+// on `date`; no days means every day
+export function periodsOn(periods, date) {
+  const weekday = weekdayOf(date);
+  return periods.filter(period => !period.days?.length || period.days.includes(weekday));
+}
+
+// The same hours with `extra` ({ start, end } 'HH:mm') added to every
+// working day, for a search that may go past the usual day ("an evening")
+export function extendWorkingHours(workingHours, extra) {
+  const hours = normalizeWorkingHours(workingHours);
+  const days = Object.fromEntries(Object.entries(hours.days).map(([weekday, ranges]) => {
+    if (!ranges.length) {
+      return [weekday, ranges];
+    }
+
+    const merged = [];
+    for (const [start, end] of [...ranges, extra]
+      .map(range => [toMinutes(range.start), toMinutes(range.end)])
+      .sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    return [weekday, merged.map(([start, end]) => ({ start: toTime(start), end: toTime(end) }))];
+  }));
+
+  return { ...hours, days };
+}
+
+export function isWorkingDay(workingHours, date) {
+  return workingRanges(workingHours, date).length > 0;
+}
+
+// Wall-clock start times ('HH:mm') on `date` where a meeting of
+// `duration` minutes fits inside working hours, on the slot grid (9:00,
+// 9:30, ... for 30-minute slots). TimezoneHandler.workingStarts turns them
+// into instants and applies the minimum notice.
+export function candidateTimes(workingHours, date, duration) {
+  const hours = normalizeWorkingHours(workingHours);
+  const step = hours.slotMinutes || 30;
+  const times = [];
+
+  for (const range of workingRanges(hours, date)) {
+    const rangeStart = toMinutes(range.start);
+    const rangeEnd = toMinutes(range.end);
+
+    for (let minute = Math.ceil(rangeStart / step) * step; minute + duration <= rangeEnd; minute += step) {
+      times.push(toTime(minute));
+    }
+  }
+
+  return times;
+}
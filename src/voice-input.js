@@ -6,6 +6,7 @@ class VoiceInputController {
     this.recognition = null;
     this.isListening = false;
     this.micStream = null;
+    this.awaitingClarification = false;
     this.initializeVoiceRecognition();
     this.attachEventListeners();
   }
@@ -34,7 +35,11 @@ class VoiceInputController {
         // If final result
         if (event.results[0].isFinal) {
           this.updateUI(false, 'Processing your command...');
-          this.processVoiceCommand(transcript);
+          if (this.awaitingClarification) {
+            this.answerClarification(transcript);
+          } else {
+            this.processVoiceCommand(transcript);
+          }
         }
       };
 
@@ -72,6 +77,12 @@ class VoiceInputController {
     document.getElementById('close-button').addEventListener('click', () => {
       window.close();
     });
+
+    document.getElementById('clarification-input').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && event.target.value.trim()) {
+        this.answerClarification(event.target.value.trim());
+      }
+    });
   }
 
   async toggleVoiceRecognition() {
@@ -132,32 +143,70 @@ class VoiceInputController {
     errorDiv.style.display = 'block';
   }
 
-  processVoiceCommand(command) {
+  // Clarification sessions are kept per LinkedIn tab
+  async getLinkedInTabId() {
+    const tabs = await chrome.tabs.query({ url: 'https://www.linkedin.com/messaging/*' });
+    return tabs.length > 0 ? tabs[0].id : undefined;
+  }
+
+  async processVoiceCommand(command) {
     console.log('Processing command:', command);
 
     // Send to background script
     chrome.runtime.sendMessage({
       action: 'processSchedulingCommand',
       command: command,
+      tabId: await this.getLinkedInTabId(),
       context: null // Will be fetched from active LinkedIn tab if available
-    }, (response) => {
-      if (response && response.success) {
-        this.updateUI(false, '✅ Command processed successfully!');
-
-        // Show success message
-        document.getElementById('transcription').textContent =
-          `"${command}"\n\n✅ Your meeting request has been processed. Check your LinkedIn messages.`;
-
-        // Auto-close after 3 seconds
-        setTimeout(() => {
-          window.close();
-        }, 3000);
-      } else {
-        const errorMsg = response?.error || 'Failed to process command';
-        this.showError(errorMsg);
-        this.updateUI(false, 'Click the microphone to try again');
-      }
-    });
+    }, (response) => this.handleSchedulingResponse(command, response));
+  }
+
+  async answerClarification(answer) {
+    document.getElementById('clarification-input').value = '';
+
+    chrome.runtime.sendMessage({
+      action: 'answerClarification',
+      answer,
+      tabId: await this.getLinkedInTabId()
+    }, (response) => this.handleSchedulingResponse(answer, response));
+  }
+
+  showClarification(question) {
+    this.awaitingClarification = true;
+    document.getElementById('clarification-question').textContent = question;
+    document.getElementById('clarification-box').style.display = 'block';
+    this.updateUI(false, 'Click the microphone to answer, or type below');
+  }
+
+  hideClarification() {
+    this.awaitingClarification = false;
+    document.getElementById('clarification-box').style.display = 'none';
+  }
+
+  handleSchedulingResponse(command, response) {
+    if (response && response.needsInput) {
+      this.showClarification(response.question);
+      return;
+    }
+
+    this.hideClarification();
+
+    if (response && response.success) {
+      this.updateUI(false, '✅ Command processed successfully!');
+
+      // Show success message
+      document.getElementById('transcription').textContent =
+        `"${command}"\n\n✅ Your meeting request has been processed. Check your LinkedIn messages.`;
+
+      // Auto-close after 3 seconds
+      setTimeout(() => {
+        window.close();
+      }, 3000);
+    } else {
+      const errorMsg = response?.error || 'Failed to process command';
+      this.showError(errorMsg);
+      this.updateUI(false, 'Click the microphone to try again');
+    }
   }
 }
 